@@ -0,0 +1,72 @@
+// scripts/check-webhooks.js
+// Smoke check for the public webhook routes of a running API: each one is
+// posted to WITHOUT an Authorization header and must answer 200. A 401
+// means the route is shadowed by a router with a blanket requireAuth
+// (e.g. the '/' service-prices router) and providers can't reach it.
+//
+// Usage:
+//   npm run dev                      # API on :8080 (MPESA_DEV_CALLBACKS=1 if no token is set)
+//   API_URL=http://localhost:8080 MPESA_CALLBACK_TOKEN=... SMS_CALLBACK_TOKEN=... npm run check:webhooks
+//
+// The payloads reference nothing that exists, so no data is changed.
+
+const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/+$/, "");
+const mpesaToken = process.env.MPESA_CALLBACK_TOKEN || "local";
+const smsToken = process.env.SMS_CALLBACK_TOKEN || "local";
+const smsProvider = (process.env.SMS_PROVIDER || "console").toLowerCase();
+
+const checks = [
+  {
+    name: "M-Pesa STK callback",
+    path: `/payments/mpesa/callback/stk/${mpesaToken}`,
+    body: {
+      Body: {
+        stkCallback: {
+          MerchantRequestID: "check-webhooks",
+          CheckoutRequestID: `ws_CO_check_${Date.now()}`,
+          ResultCode: 1032,
+          ResultDesc: "Request cancelled by user",
+        },
+      },
+    },
+  },
+  {
+    name: "M-Pesa C2B validation",
+    path: `/payments/mpesa/c2b/validation/${mpesaToken}`,
+    body: { TransID: "CHECKWEBHOOK", TransAmount: "1", BillRefNumber: "" },
+  },
+  {
+    // No message id: the report is acknowledged and ignored
+    name: "SMS delivery report",
+    path: `/notifications/delivery/${smsProvider}/${smsToken}`,
+    body: { status: "Success" },
+  },
+];
+
+async function run() {
+  let failed = 0;
+  for (const c of checks) {
+    let status = 0;
+    let text = "";
+    try {
+      const res = await fetch(`${apiUrl}${c.path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(c.body),
+      });
+      status = res.status;
+      text = await res.text();
+    } catch (e) {
+      text = e.message;
+    }
+    const ok = status === 200;
+    if (!ok) failed += 1;
+    console.log(`${ok ? "✅" : "❌"} ${c.name}: POST ${c.path} -> ${status || "no response"} ${text}`);
+  }
+  if (failed) {
+    console.error(`❌ ${failed} webhook check(s) failed.`);
+    process.exit(1);
+  }
+}
+
+run();
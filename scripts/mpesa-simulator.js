@@ -0,0 +1,148 @@
+// scripts/mpesa-simulator.js
+// Offline stand-in for Safaricom Daraja. Implements just enough of the API
+// for the backend's M-Pesa module:
+//   GET  /oauth/v1/generate              -> fake access token
+//   POST /mpesa/stkpush/v1/processrequest -> ack, then fires the STK callback
+//   POST /mpesa/c2b/v1/registerurl       -> remembers C2B URLs
+//   POST /simulate/c2b                   -> fires a paybill confirmation
+//
+// Usage:
+//   npm run mpesa:sim
+//   MPESA_BASE_URL=http://localhost:8090 MPESA_CALLBACK_BASE_URL=http://localhost:8080 MPESA_DEV_CALLBACKS=1 npm run dev
+// (or set MPESA_CALLBACK_TOKEN instead of MPESA_DEV_CALLBACKS)
+//
+// STK outcome is picked from the phone number:
+//   254700000001 -> cancelled by user (1032)
+//   254700000002 -> insufficient balance (1)
+//   anything else -> success
+import express from "express";
+import crypto from "crypto";
+
+const port = Number(process.env.MPESA_SIM_PORT || 8090);
+const delayMs = Number(process.env.MPESA_SIM_DELAY_MS || 2000);
+
+const app = express();
+app.use(express.json());
+
+const c2bUrls = {
+  confirmation: process.env.MPESA_SIM_C2B_CONFIRMATION_URL || null,
+  validation: process.env.MPESA_SIM_C2B_VALIDATION_URL || null,
+};
+
+function receiptCode() {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let s = "S";
+  for (let i = 0; i < 9; i++) s += alphabet[crypto.randomInt(alphabet.length)];
+  return s;
+}
+
+function requestId() {
+  return `ws_CO_${Date.now()}${crypto.randomInt(1000, 9999)}`;
+}
+
+function darajaTime() {
+  return new Date(Date.now() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-T:]/g, "")
+    .slice(0, 14);
+}
+
+async function post(url, body) {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const text = await res.text();
+    console.log(`↪️  ${url} -> ${res.status} ${text}`);
+    return { status: res.status, body: text };
+  } catch (e) {
+    console.error(`❌ Callback to ${url} failed:`, e.message);
+    return { status: 0, body: e.message };
+  }
+}
+
+app.get("/oauth/v1/generate", (_req, res) => {
+  res.json({ access_token: `sim-${crypto.randomUUID()}`, expires_in: "3599" });
+});
+
+app.post("/mpesa/stkpush/v1/processrequest", (req, res) => {
+  const b = req.body || {};
+  if (!b.CallBackURL || !b.PhoneNumber || !(Number(b.Amount) > 0)) {
+    return res.status(400).json({ errorCode: "400.002.02", errorMessage: "Bad Request - Invalid request" });
+  }
+
+  const MerchantRequestID = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1e6, 9e6)}-1`;
+  const CheckoutRequestID = requestId();
+
+  res.json({
+    MerchantRequestID,
+    CheckoutRequestID,
+    ResponseCode: "0",
+    ResponseDescription: "Success. Request accepted for processing",
+    CustomerMessage: "Success. Request accepted for processing",
+  });
+
+  const phone = String(b.PhoneNumber);
+  const outcome =
+    phone === "254700000001"
+      ? { ResultCode: 1032, ResultDesc: "Request cancelled by user" }
+      : phone === "254700000002"
+        ? { ResultCode: 1, ResultDesc: "The balance is insufficient for the transaction" }
+        : { ResultCode: 0, ResultDesc: "The service request is processed successfully." };
+
+  const stkCallback = { MerchantRequestID, CheckoutRequestID, ...outcome };
+  if (outcome.ResultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: "Amount", Value: Number(b.Amount) },
+        { Name: "MpesaReceiptNumber", Value: receiptCode() },
+        { Name: "TransactionDate", Value: Number(darajaTime()) },
+        { Name: "PhoneNumber", Value: Number(phone) },
+      ],
+    };
+  }
+
+  setTimeout(() => post(b.CallBackURL, { Body: { stkCallback } }), delayMs);
+});
+
+app.post("/mpesa/c2b/v1/registerurl", (req, res) => {
+  c2bUrls.confirmation = req.body?.ConfirmationURL || c2bUrls.confirmation;
+  c2bUrls.validation = req.body?.ValidationURL || c2bUrls.validation;
+  res.json({
+    OriginatorCoversationID: crypto.randomUUID(),
+    ResponseCode: "0",
+    ResponseDescription: "Success",
+  });
+});
+
+/**
+ * POST /simulate/c2b
+ * Body: { amount, bill_ref, msisdn?, first_name? }
+ * Runs validation then confirmation against the registered URLs.
+ */
+app.post("/simulate/c2b", async (req, res) => {
+  if (!c2bUrls.confirmation) {
+    return res.status(409).json({ error: "No C2B URLs registered yet (POST /payments/mpesa/c2b/register on the API)." });
+  }
+  const payload = {
+    TransactionType: "Pay Bill",
+    TransID: receiptCode(),
+    TransTime: darajaTime(),
+    TransAmount: String(req.body?.amount ?? "0"),
+    BusinessShortCode: process.env.MPESA_SHORTCODE || "174379",
+    BillRefNumber: req.body?.bill_ref || "",
+    OrgAccountBalance: "",
+    MSISDN: req.body?.msisdn || "254708374149",
+    FirstName: req.body?.first_name || "John",
+    MiddleName: "",
+    LastName: "",
+  };
+
+  const validation = c2bUrls.validation ? await post(c2bUrls.validation, payload) : null;
+  const confirmation = await post(c2bUrls.confirmation, payload);
+  res.json({ payload, validation, confirmation });
+});
+
+app.listen(port, () => console.log(`🧪 M-Pesa simulator on :${port}`));
@@ -0,0 +1,38 @@
+-- ============================================================
+-- Wash job lifecycle
+-- - QUEUED -> IN_PROGRESS -> DONE -> COLLECTED
+-- - Bay assignment + start/finish/collect timestamps
+-- - Only DONE/COLLECTED jobs count towards commission & profit
+-- ============================================================
+
+-- 1) Status enum (safe-create)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'wash_status') THEN
+    CREATE TYPE wash_status AS ENUM ('QUEUED','IN_PROGRESS','DONE','COLLECTED');
+  END IF;
+END$$;
+
+-- 2) Lifecycle columns
+-- Existing rows were recorded after the fact, so they default to DONE.
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS status wash_status NOT NULL DEFAULT 'DONE',
+  ADD COLUMN IF NOT EXISTS bay_no INT CHECK (bay_no IS NULL OR bay_no > 0),
+  ADD COLUMN IF NOT EXISTS queued_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS finished_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS collected_at TIMESTAMPTZ;
+
+-- Backfill finish time for historical jobs
+UPDATE washes
+SET finished_at = washed_at
+WHERE status = 'DONE' AND finished_at IS NULL;
+
+-- 3) Queue board lookups
+CREATE INDEX IF NOT EXISTS idx_washes_status ON washes(status);
+CREATE INDEX IF NOT EXISTS idx_washes_washed_at ON washes(washed_at);
+
+-- 4) One active job per bay
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_washes_active_bay
+  ON washes(bay_no)
+  WHERE status = 'IN_PROGRESS' AND bay_no IS NOT NULL;
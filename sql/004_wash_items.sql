@@ -0,0 +1,60 @@
+-- ============================================================
+-- Multi-line wash tickets
+-- - addons: extras sold on top of a service (wax, tyre shine...)
+-- - wash_items: one row per line on a ticket (service OR add-on)
+-- - washes stays the ticket header: receipt_no, customer, promo,
+--   subtotal (sum of lines) and unit_price (amount charged)
+-- ============================================================
+
+-- 1) Add-on catalog
+CREATE TABLE IF NOT EXISTS addons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT UNIQUE NOT NULL,
+  description TEXT,
+  price NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (price >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+INSERT INTO addons (name, price, sort_order) SELECT 'Wax', 300, 1 WHERE NOT EXISTS (SELECT 1 FROM addons WHERE name='Wax');
+INSERT INTO addons (name, price, sort_order) SELECT 'Tyre Shine', 200, 2 WHERE NOT EXISTS (SELECT 1 FROM addons WHERE name='Tyre Shine');
+INSERT INTO addons (name, price, sort_order) SELECT 'Air Freshener', 150, 3 WHERE NOT EXISTS (SELECT 1 FROM addons WHERE name='Air Freshener');
+
+-- 2) Ticket lines
+CREATE TABLE IF NOT EXISTS wash_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wash_id UUID NOT NULL REFERENCES washes(id) ON DELETE CASCADE,
+  line_no INT NOT NULL,
+  service_id UUID REFERENCES services(id),
+  addon_id UUID REFERENCES addons(id),
+  unit_price NUMERIC(12,2) NOT NULL CHECK (unit_price >= 0),   -- list price of the line
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT chk_wash_item_kind CHECK ((service_id IS NULL) <> (addon_id IS NULL)),
+  UNIQUE (wash_id, line_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wash_items_wash ON wash_items(wash_id);
+CREATE INDEX IF NOT EXISTS idx_wash_items_service ON wash_items(service_id);
+
+-- 3) Ticket subtotal (before promos); unit_price keeps the charged total
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS subtotal NUMERIC(12,2);
+
+-- Backfill: every historical wash becomes a one-line ticket
+UPDATE washes SET subtotal = unit_price WHERE subtotal IS NULL AND is_free = FALSE;
+
+UPDATE washes w
+SET subtotal = COALESCE(sp.price, 0)
+FROM service_prices sp
+WHERE w.subtotal IS NULL
+  AND sp.service_id = w.service_id
+  AND sp.car_type_id = w.car_type_id;
+
+UPDATE washes SET subtotal = unit_price WHERE subtotal IS NULL;
+
+INSERT INTO wash_items (wash_id, line_no, service_id, unit_price)
+SELECT w.id, 1, w.service_id, w.subtotal
+FROM washes w
+WHERE NOT EXISTS (SELECT 1 FROM wash_items i WHERE i.wash_id = w.id);
@@ -0,0 +1,45 @@
+-- ============================================================
+-- Void / refund instead of hard DELETE
+-- - Washes are never erased; they move to VOIDED or REFUNDED
+-- - wash_reversals keeps one reversal entry per void/refund
+-- - Daily-draw winners remember which wash consumed them so a
+--   void can hand the reward back
+-- ============================================================
+
+-- 1) Reversed states (outside the normal lifecycle)
+ALTER TYPE wash_status ADD VALUE IF NOT EXISTS 'VOIDED';
+ALTER TYPE wash_status ADD VALUE IF NOT EXISTS 'REFUNDED';
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reversed_by UUID REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS reversal_reason TEXT,
+  ADD COLUMN IF NOT EXISTS status_before_reversal wash_status;
+
+-- 2) Reversal ledger (amounts are negative: they undo the original wash)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'wash_reversal_kind') THEN
+    CREATE TYPE wash_reversal_kind AS ENUM ('VOID','REFUND');
+  END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wash_reversals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wash_id UUID NOT NULL REFERENCES washes(id),
+  kind wash_reversal_kind NOT NULL,
+  reason TEXT NOT NULL,
+  amount NUMERIC(12,2) NOT NULL,
+  commission_amount NUMERIC(12,2) NOT NULL,
+  profit_amount NUMERIC(12,2) NOT NULL,
+  receipt_no TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (wash_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wash_reversals_created ON wash_reversals(created_at);
+
+-- 3) Link consumed draw rewards back to their wash
+ALTER TABLE daily_free_winners
+  ADD COLUMN IF NOT EXISTS used_wash_id UUID REFERENCES washes(id);
@@ -0,0 +1,69 @@
+-- ============================================================
+-- Payment capture (split tender)
+-- - wash_payments: one row per tender (cash, M-Pesa, card, account);
+--   money handed back is a REFUND row with a negative amount, so
+--   SUM(amount) is always what the wash has net been paid
+-- - washes.payment_status: UNPAID / PARTIAL / PAID, kept in sync
+--   by the API whenever payments or the price change
+-- ============================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'payment_method') THEN
+    CREATE TYPE payment_method AS ENUM ('CASH','MPESA','CARD','ACCOUNT');
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'payment_status') THEN
+    CREATE TYPE payment_status AS ENUM ('UNPAID','PARTIAL','PAID');
+  END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wash_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wash_id UUID NOT NULL REFERENCES washes(id) ON DELETE CASCADE,
+  method payment_method NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'PAYMENT',    -- PAYMENT | REFUND
+  amount NUMERIC(12,2) NOT NULL,           -- < 0 for refunds
+  reference TEXT,                          -- M-Pesa code, card auth no, account name
+  note TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  received_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE wash_payments ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'PAYMENT';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'wash_payments_kind_amount_check') THEN
+    ALTER TABLE wash_payments DROP CONSTRAINT IF EXISTS wash_payments_amount_check;
+    ALTER TABLE wash_payments ADD CONSTRAINT wash_payments_kind_amount_check CHECK (
+      (kind = 'PAYMENT' AND amount > 0) OR (kind = 'REFUND' AND amount < 0)
+    );
+  END IF;
+END$$;
+
+CREATE INDEX IF NOT EXISTS idx_wash_payments_wash ON wash_payments(wash_id);
+CREATE INDEX IF NOT EXISTS idx_wash_payments_received ON wash_payments(received_at);
+
+-- An M-Pesa confirmation code can only settle one payment (a refund may
+-- quote the code it pays back)
+DROP INDEX IF EXISTS uniq_wash_payments_mpesa_ref;
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_wash_payments_mpesa_code
+  ON wash_payments(upper(reference))
+  WHERE method = 'MPESA' AND kind = 'PAYMENT';
+
+-- Historical washes were settled outside the system, so existing rows start
+-- as PAID (they show up as "UNRECORDED" in the payment-method breakdown);
+-- new washes default to UNPAID. Guarded so re-running never re-marks rows.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'washes' AND column_name = 'payment_status'
+  ) THEN
+    ALTER TABLE washes ADD COLUMN payment_status payment_status NOT NULL DEFAULT 'PAID';
+    ALTER TABLE washes ALTER COLUMN payment_status SET DEFAULT 'UNPAID';
+  END IF;
+END$$;
+
+CREATE INDEX IF NOT EXISTS idx_washes_payment_status ON washes(payment_status);
@@ -0,0 +1,44 @@
+-- ============================================================
+-- M-Pesa (Daraja) transactions
+-- - One row per STK push we start and per C2B confirmation we receive
+-- - Successful rows are turned into wash_payments (method MPESA)
+-- - Callbacks that can't be matched to a wash stay UNMATCHED until
+--   someone allocates them by hand
+-- ============================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'mpesa_kind') THEN
+    CREATE TYPE mpesa_kind AS ENUM ('STK','C2B');
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'mpesa_status') THEN
+    CREATE TYPE mpesa_status AS ENUM ('PENDING','SUCCESS','FAILED','UNMATCHED');
+  END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS mpesa_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind mpesa_kind NOT NULL,
+  status mpesa_status NOT NULL DEFAULT 'PENDING',
+  wash_id UUID REFERENCES washes(id),
+  payment_id UUID REFERENCES wash_payments(id) ON DELETE SET NULL,
+  merchant_request_id TEXT,
+  checkout_request_id TEXT UNIQUE,          -- STK only
+  mpesa_receipt TEXT UNIQUE,                -- confirmation code once paid
+  phone TEXT,
+  amount NUMERIC(12,2),
+  account_reference TEXT,                   -- AccountReference / BillRefNumber
+  result_code TEXT,
+  result_desc TEXT,
+  raw JSONB,                                -- last payload received from Daraja
+  requested_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mpesa_transactions_wash ON mpesa_transactions(wash_id);
+CREATE INDEX IF NOT EXISTS idx_mpesa_transactions_status ON mpesa_transactions(status);
+
+-- STK pushes are matched back by the AccountReference we sent
+CREATE INDEX IF NOT EXISTS idx_mpesa_transactions_account_ref
+  ON mpesa_transactions(upper(account_reference)) WHERE kind = 'STK';
@@ -0,0 +1,44 @@
+-- ============================================================
+-- Gap-free receipt numbering per business day
+-- - receipt_sequences holds one counter row per business day; it is
+--   bumped in the same statement that inserts the wash, so a failed
+--   insert rolls the counter back and concurrent cashiers queue on
+--   the row lock instead of colliding
+-- - Format comes from app_settings (e.g. SH-20261019-0001)
+-- ============================================================
+
+ALTER TABLE app_settings
+  ADD COLUMN IF NOT EXISTS receipt_no_prefix TEXT NOT NULL DEFAULT 'SH',
+  ADD COLUMN IF NOT EXISTS receipt_no_format TEXT NOT NULL DEFAULT '{PREFIX}-{YYYYMMDD}-{SEQ:4}';
+
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+  business_day DATE PRIMARY KEY,
+  last_seq INT NOT NULL DEFAULT 0 CHECK (last_seq >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS receipt_day DATE,
+  ADD COLUMN IF NOT EXISTS receipt_seq INT;
+
+-- Each (day, seq) is issued exactly once; legacy rows keep NULLs
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_washes_receipt_day_seq
+  ON washes(receipt_day, receipt_seq)
+  WHERE receipt_seq IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_washes_receipt_no ON washes(receipt_no);
+
+-- A printed receipt number is what M-Pesa payments quote, so it must
+-- point at one wash. Legacy rows are left out if they already clash.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_class WHERE relname = 'uniq_washes_receipt_no')
+     AND NOT EXISTS (
+       SELECT 1 FROM washes WHERE receipt_seq IS NOT NULL
+       GROUP BY receipt_no HAVING COUNT(*) > 1
+     ) THEN
+    CREATE UNIQUE INDEX uniq_washes_receipt_no
+      ON washes(receipt_no)
+      WHERE receipt_seq IS NOT NULL;
+  END IF;
+END$$;
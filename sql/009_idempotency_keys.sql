@@ -0,0 +1,32 @@
+-- ============================================================
+-- Idempotency keys for retried POSTs (cashier tablet on flaky Wi-Fi)
+-- - One row per (user, key); the first request claims it, replays
+--   get the stored response instead of creating a second wash
+-- - claimed_at is when the running request took the key; a claim that
+--   never completed (crash, restart) can be taken over once it is stale
+-- - A wash stores its response (and wash_id) in the same transaction
+--   that creates it, so a key with a wash is never taken over
+-- - Rows are only needed for a while; purge old ones with
+--   DELETE FROM idempotency_keys WHERE created_at < now() - interval '7 days';
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID NOT NULL,
+  idem_key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INT,                      -- NULL while the first request is running
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ,
+  wash_id UUID,                             -- wash created under this key
+  PRIMARY KEY (user_id, idem_key)
+);
+
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ADD COLUMN IF NOT EXISTS wash_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
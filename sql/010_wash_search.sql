@@ -0,0 +1,17 @@
+-- ============================================================
+-- Indexes behind GET /washes search, filters and pagination
+-- - Keyset pagination walks (washed_at, id)
+-- - Partial plate / receipt search uses trigram indexes (ILIKE '%...%')
+-- ============================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_washes_washed_at_id ON washes(washed_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_washes_staff_washed ON washes(staff_id, washed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_washes_service ON washes(service_id);
+CREATE INDEX IF NOT EXISTS idx_washes_car_type ON washes(car_type_id);
+CREATE INDEX IF NOT EXISTS idx_washes_customer ON washes(customer_id);
+CREATE INDEX IF NOT EXISTS idx_washes_promo ON washes(promo_id) WHERE promo_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_washes_vehicle_reg_trgm ON washes USING gin (vehicle_reg gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_washes_receipt_no_trgm ON washes USING gin (receipt_no gin_trgm_ops);
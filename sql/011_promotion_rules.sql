@@ -0,0 +1,83 @@
+-- ============================================================
+-- Promotion rules engine
+-- - Each promotion row is a rule: type + params (JSONB), priority
+--   (lower runs first), stacking policy and an optional active window
+-- - Built-in rules reproduce the old hard-coded chain:
+--     DAILY_DRAW (10) > FEATURED_VEHICLE (20) > LOYALTY_13TH (30) > FREE_WASH (40)
+-- - washes.promo_trace keeps what the engine checked for that wash
+-- ============================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'promo_stacking') THEN
+    CREATE TYPE promo_stacking AS ENUM ('EXCLUSIVE','STACKABLE');
+  END IF;
+END$$;
+
+ALTER TABLE promotions
+  ADD COLUMN IF NOT EXISTS type TEXT,
+  ADD COLUMN IF NOT EXISTS description TEXT,
+  ADD COLUMN IF NOT EXISTS params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS priority INT NOT NULL DEFAULT 100,
+  ADD COLUMN IF NOT EXISTS stacking promo_stacking NOT NULL DEFAULT 'EXCLUSIVE',
+  ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS promo_trace JSONB;
+
+-- Built-in rules (create missing rows; existing ones keep is_active)
+INSERT INTO promotions (code, name, type, priority, params)
+SELECT v.code, v.name, v.type, v.priority, v.params::jsonb
+FROM (VALUES
+  ('DAILY_DRAW',       'Daily Draw Winner',      'DAILY_DRAW',       10, '{}'),
+  ('FEATURED_VEHICLE', 'Featured Vehicle',       'FEATURED_VEHICLE', 20, '{"once_per_month": true}'),
+  ('LOYALTY_13TH',     'Loyalty 13th Wash Free', 'NTH_VISIT',        30, '{"every": 13, "period": "month"}'),
+  ('FREE_WASH',        'Random Free Wash',       'RANDOM_FREE',      40, '{"probability": 0, "min_visits": 0, "daily_cap": 0}')
+) AS v(code, name, type, priority, params)
+WHERE NOT EXISTS (SELECT 1 FROM promotions p WHERE p.code = v.code);
+
+UPDATE promotions SET type = 'DAILY_DRAW', priority = 10 WHERE code = 'DAILY_DRAW' AND type IS NULL;
+UPDATE promotions SET type = 'FEATURED_VEHICLE', priority = 20,
+       params = '{"once_per_month": true}'::jsonb
+ WHERE code = 'FEATURED_VEHICLE' AND type IS NULL;
+UPDATE promotions SET type = 'NTH_VISIT', priority = 30,
+       params = '{"every": 13, "period": "month"}'::jsonb
+ WHERE code = 'LOYALTY_13TH' AND type IS NULL;
+UPDATE promotions SET type = 'RANDOM_FREE', priority = 40,
+       params = '{"probability": 0, "min_visits": 0, "daily_cap": 0}'::jsonb
+ WHERE code = 'FREE_WASH' AND type IS NULL;
+
+-- Carry the old app_settings knobs over into the rule params (when present)
+DO $$
+DECLARE
+  s RECORD;
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'app_settings' AND column_name = 'promo_free_prob') THEN
+    EXECUTE 'SELECT promo_free_enabled, promo_free_prob, promo_free_min_visits, promo_free_daily_cap
+               FROM app_settings WHERE id = 1' INTO s;
+    UPDATE promotions
+       SET params = jsonb_build_object(
+             'probability', COALESCE(s.promo_free_prob, 0),
+             'min_visits', COALESCE(s.promo_free_min_visits, 0),
+             'daily_cap', COALESCE(s.promo_free_daily_cap, 0)),
+           is_active = is_active AND COALESCE(s.promo_free_enabled, FALSE)
+     WHERE code = 'FREE_WASH' AND params->>'probability' = '0';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'app_settings' AND column_name = 'featured_free_once_per_month') THEN
+    EXECUTE 'UPDATE promotions
+                SET params = jsonb_build_object(''once_per_month'',
+                      (SELECT COALESCE(featured_free_once_per_month, TRUE) FROM app_settings WHERE id = 1))
+              WHERE code = ''FEATURED_VEHICLE''
+                AND params = ''{"once_per_month": true}''::jsonb';
+  END IF;
+END$$;
+
+-- Anything else without a type is a plain manual promo; keep it out of the engine
+UPDATE promotions SET type = 'MANUAL' WHERE type IS NULL;
+ALTER TABLE promotions ALTER COLUMN type SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_promotions_active_priority ON promotions(priority) WHERE is_active;
@@ -0,0 +1,31 @@
+-- ============================================================
+-- Wash change history
+-- - One versioned row per create / update / status change / void /
+--   refund, with who, when, why and a field-level diff
+-- - Existing washes get a baseline version 1 (action BASELINE) so
+--   later edits have something to diff against
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS wash_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wash_id UUID NOT NULL REFERENCES washes(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('BASELINE','CREATE','UPDATE','STATUS','VOID','REFUND')),
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,   -- { field: { from, to } }
+  snapshot JSONB,                              -- wash after the change
+  reason TEXT,
+  changed_by UUID REFERENCES users(id),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (wash_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wash_history_changed_at ON wash_history(changed_at);
+CREATE INDEX IF NOT EXISTS idx_wash_history_user ON wash_history(changed_by);
+
+INSERT INTO wash_history (wash_id, version, action, snapshot, changed_by, changed_at)
+SELECT w.id, 1, 'BASELINE',
+       to_jsonb(w) - 'promo_trace',
+       w.created_by_user_id,
+       COALESCE(w.created_at, w.washed_at, now())
+FROM washes w
+WHERE NOT EXISTS (SELECT 1 FROM wash_history h WHERE h.wash_id = w.id);
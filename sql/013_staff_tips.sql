@@ -0,0 +1,42 @@
+-- ============================================================
+-- Staff tips
+-- - Tips sit outside the wash price: they never touch unit_price,
+--   commission or profit
+-- - One wash_tips row per staff share (a tip split three ways is
+--   three rows); washes.tip_amount is the ticket total
+-- - A tip is owed until it is paid: either handed over directly
+--   (direct = true, paid at once) or settled by a tip_payouts row
+-- - Tips on voided/refunded washes are not owed
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS tip_payouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  staff_id UUID NOT NULL REFERENCES staff(id),
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  method payment_method NOT NULL DEFAULT 'CASH',
+  reference TEXT,
+  note TEXT,
+  paid_by UUID REFERENCES users(id),
+  paid_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS wash_tips (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wash_id UUID NOT NULL REFERENCES washes(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id),
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  method payment_method NOT NULL DEFAULT 'CASH',
+  reference TEXT,
+  direct BOOLEAN NOT NULL DEFAULT FALSE,     -- handed straight to the washer
+  paid_at TIMESTAMPTZ,                       -- NULL = owed
+  payout_id UUID REFERENCES tip_payouts(id),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wash_tips_wash ON wash_tips(wash_id);
+CREATE INDEX IF NOT EXISTS idx_wash_tips_staff_owed ON wash_tips(staff_id) WHERE paid_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tip_payouts_staff ON tip_payouts(staff_id, paid_at);
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS tip_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
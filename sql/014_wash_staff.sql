@@ -0,0 +1,29 @@
+-- ============================================================
+-- Wash crew (several washers on one vehicle)
+-- - One wash_staff row per washer with their share of the wash
+--   commission; shares on a wash add up to 100
+-- - washes.staff_id stays as the lead washer for older clients
+-- - commission_amount is the washer's cut of washes.commission_amount,
+--   so summing it across the crew gives the wash total
+-- - Existing washes get their single washer at 100%
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS wash_staff (
+  wash_id UUID NOT NULL REFERENCES washes(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id),
+  share_pct NUMERIC(5,2) NOT NULL CHECK (share_pct > 0 AND share_pct <= 100),
+  commission_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  is_lead BOOLEAN NOT NULL DEFAULT FALSE,
+  PRIMARY KEY (wash_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wash_staff_staff ON wash_staff(staff_id);
+
+INSERT INTO wash_staff (wash_id, staff_id, share_pct, commission_amount, is_lead)
+SELECT w.id, w.staff_id, 100,
+       COALESCE(w.commission_amount,
+                ROUND(w.unit_price * COALESCE(w.commission_pct, 30) / 100, 2), 0),
+       TRUE
+FROM washes w
+WHERE w.staff_id IS NOT NULL
+ON CONFLICT (wash_id, staff_id) DO NOTHING;
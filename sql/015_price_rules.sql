@@ -0,0 +1,72 @@
+-- ============================================================
+-- Time and calendar price rules
+-- - A rule adjusts the service_prices list price when a wash falls
+--   on its days of the week, time window and date range
+-- - mode FIXED replaces the price with value; PERCENT adds value %
+--   (negative for a discount, e.g. -20 for 20% off)
+-- - holidays: ANY ignores public holidays, ONLY matches holidays alone,
+--   ALSO matches holidays as well as the listed days, EXCEPT skips them
+-- - The lowest priority number among matching rules wins; one rule
+--   per line, never stacked
+-- - service_id / car_type_id NULL = every service / car type
+-- - Times and days are read in the business timezone (app_settings)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS public_holidays (
+  holiday_date DATE PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS price_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+  car_type_id UUID REFERENCES car_types(id) ON DELETE CASCADE,
+  days_of_week SMALLINT[],                 -- 0 = Sunday .. 6 = Saturday; NULL = every day
+  start_time TIME,                         -- NULL = from midnight
+  end_time TIME,                           -- NULL = to midnight; before start_time wraps overnight
+  start_date DATE,                         -- NULL = open-ended
+  end_date DATE,                           -- inclusive
+  holidays TEXT NOT NULL DEFAULT 'ANY' CHECK (holidays IN ('ANY','ONLY','ALSO','EXCEPT')),
+  mode TEXT NOT NULL CHECK (mode IN ('FIXED','PERCENT')),
+  value NUMERIC(12,2) NOT NULL,
+  priority INT NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT chk_price_rule_value CHECK (
+    (mode = 'FIXED' AND value >= 0) OR (mode = 'PERCENT' AND value >= -100)
+  ),
+  CONSTRAINT chk_price_rule_dates CHECK (
+    start_date IS NULL OR end_date IS NULL OR end_date >= start_date
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_rules_active ON price_rules(priority) WHERE is_active;
+
+-- Which rule priced a line, and the list price before it
+ALTER TABLE wash_items
+  ADD COLUMN IF NOT EXISTS base_price NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS price_rule_id UUID REFERENCES price_rules(id) ON DELETE SET NULL;
+
+-- Fixed-date Kenyan public holidays from last year through the next ten
+-- (re-running the migration extends the range; movable ones such as
+-- Good Friday and Eid are added through /price-rules/holidays)
+INSERT INTO public_holidays (holiday_date, name)
+SELECT make_date(y, m, d), n
+FROM generate_series(
+  EXTRACT(YEAR FROM now())::int - 1,
+  EXTRACT(YEAR FROM now())::int + 10
+) AS y
+CROSS JOIN (VALUES
+  (1, 1, 'New Year''s Day'),
+  (5, 1, 'Labour Day'),
+  (6, 1, 'Madaraka Day'),
+  (10, 10, 'Mazingira Day'),
+  (10, 20, 'Mashujaa Day'),
+  (12, 12, 'Jamhuri Day'),
+  (12, 25, 'Christmas Day'),
+  (12, 26, 'Boxing Day')
+) AS h(m, d, n)
+ON CONFLICT (holiday_date) DO NOTHING;
@@ -0,0 +1,31 @@
+-- ============================================================
+-- Effective-dated service price history
+-- - Every price change is a new row with effective_from and who made
+--   it; nothing is overwritten
+-- - A row with effective_from in the future is a scheduled change
+-- - The price for a service/car type at time T is the latest row with
+--   effective_from <= T; service_prices keeps the price in effect now
+-- - Existing prices are carried over as effective since the epoch
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS service_price_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  car_type_id UUID NOT NULL REFERENCES car_types(id) ON DELETE CASCADE,
+  price NUMERIC(12,2) NOT NULL CHECK (price >= 0),
+  effective_from TIMESTAMPTZ NOT NULL DEFAULT now(),
+  note TEXT,
+  changed_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_price_history_lookup
+  ON service_price_history(service_id, car_type_id, effective_from DESC, created_at DESC);
+
+INSERT INTO service_price_history (service_id, car_type_id, price, effective_from, note)
+SELECT sp.service_id, sp.car_type_id, sp.price, 'epoch'::timestamptz, 'Price before history was kept'
+FROM service_prices sp
+WHERE NOT EXISTS (
+  SELECT 1 FROM service_price_history h
+  WHERE h.service_id = sp.service_id AND h.car_type_id = sp.car_type_id
+);
@@ -0,0 +1,58 @@
+-- ============================================================
+-- Vouchers / discount codes
+-- - A voucher is a code with one effect: PERCENT off, a fixed AMOUNT
+--   off, or FREE_SERVICE (one eligible service line at no charge)
+-- - campaign groups codes for reporting (flyer, radio, ...)
+-- - Limits: starts_at / expires_at, max_uses in total and
+--   max_uses_per_customer; service_ids / car_type_ids restrict where
+--   it can be used (NULL = anywhere)
+-- - One redemption row per wash; redemptions on voided/refunded washes
+--   no longer count towards the limits
+-- - Vouchers apply after automatic promotions, on what is left to pay
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS vouchers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL,
+  campaign TEXT,
+  description TEXT,
+  kind TEXT NOT NULL CHECK (kind IN ('PERCENT','AMOUNT','FREE_SERVICE')),
+  value NUMERIC(12,2),                       -- percent or amount; unused for FREE_SERVICE
+  service_ids UUID[],                        -- eligible services (NULL = all)
+  car_type_ids UUID[],                       -- eligible car types (NULL = all)
+  min_subtotal NUMERIC(12,2),
+  starts_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  max_uses INT CHECK (max_uses IS NULL OR max_uses > 0),
+  max_uses_per_customer INT CHECK (max_uses_per_customer IS NULL OR max_uses_per_customer > 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT chk_voucher_value CHECK (
+    (kind = 'PERCENT' AND value > 0 AND value <= 100)
+    OR (kind = 'AMOUNT' AND value > 0)
+    OR kind = 'FREE_SERVICE'
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_vouchers_code ON vouchers (upper(code));
+CREATE INDEX IF NOT EXISTS idx_vouchers_campaign ON vouchers (campaign);
+
+CREATE TABLE IF NOT EXISTS voucher_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  voucher_id UUID NOT NULL REFERENCES vouchers(id),
+  wash_id UUID NOT NULL UNIQUE REFERENCES washes(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id),
+  vehicle_reg TEXT,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+  redeemed_by UUID REFERENCES users(id),
+  redeemed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_voucher ON voucher_redemptions (voucher_id);
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_customer ON voucher_redemptions (voucher_id, customer_id);
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS voucher_id UUID REFERENCES vouchers(id),
+  ADD COLUMN IF NOT EXISTS voucher_discount NUMERIC(12,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,76 @@
+-- ============================================================
+-- Prepaid packages and monthly unlimited plans
+-- - package_plans: what can be sold. CREDITS = N prepaid washes
+--   (optionally expiring), UNLIMITED = any number of washes for
+--   validity_days (optionally capped per day)
+-- - customer_packages: a plan sold to a customer, optionally tied to
+--   one plate. Price and credits are copied at sale time
+-- - package_redemptions: one row per wash a package paid for. Credits
+--   left = credits_total minus redemptions on washes that were not
+--   voided/refunded, so a void gives the credit back
+-- - Money: the sale is deferred revenue. CREDITS plans earn
+--   price / credits per wash (what is unused is earned when the
+--   package ends); UNLIMITED plans earn evenly over their period
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS package_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  kind TEXT NOT NULL CHECK (kind IN ('CREDITS','UNLIMITED')),
+  credits INT CHECK (credits IS NULL OR credits > 0),
+  validity_days INT CHECK (validity_days IS NULL OR validity_days > 0),
+  max_per_day INT CHECK (max_per_day IS NULL OR max_per_day > 0),
+  price NUMERIC(12,2) NOT NULL CHECK (price >= 0),
+  service_ids UUID[],                        -- services covered (NULL = any)
+  car_type_ids UUID[],                       -- car types allowed (NULL = any)
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT chk_package_plan_kind CHECK (
+    (kind = 'CREDITS' AND credits IS NOT NULL)
+    OR (kind = 'UNLIMITED' AND validity_days IS NOT NULL)
+  )
+);
+
+CREATE TABLE IF NOT EXISTS customer_packages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL REFERENCES package_plans(id),
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  vehicle_reg TEXT,                          -- NULL = any of the customer's vehicles
+  kind TEXT NOT NULL CHECK (kind IN ('CREDITS','UNLIMITED')),
+  credits_total INT,
+  max_per_day INT,
+  service_ids UUID[],
+  car_type_ids UUID[],
+  price_paid NUMERIC(12,2) NOT NULL CHECK (price_paid >= 0),
+  payment_method payment_method,
+  payment_reference TEXT,
+  starts_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ,                    -- NULL = credits never expire
+  cancelled_at TIMESTAMPTZ,
+  refund_amount NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+  note TEXT,
+  sold_by UUID REFERENCES users(id),
+  sold_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT chk_customer_package_period CHECK (expires_at IS NULL OR expires_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_packages_customer ON customer_packages (customer_id);
+CREATE INDEX IF NOT EXISTS idx_customer_packages_plate ON customer_packages (vehicle_reg);
+
+CREATE TABLE IF NOT EXISTS package_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_package_id UUID NOT NULL REFERENCES customer_packages(id),
+  wash_id UUID NOT NULL UNIQUE REFERENCES washes(id) ON DELETE CASCADE,
+  covered_amount NUMERIC(12,2) NOT NULL DEFAULT 0,   -- list price the package paid for
+  value NUMERIC(12,2) NOT NULL DEFAULT 0,            -- revenue earned (CREDITS only)
+  redeemed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_package_redemptions_package ON package_redemptions (customer_package_id);
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS customer_package_id UUID REFERENCES customer_packages(id),
+  ADD COLUMN IF NOT EXISTS package_covered NUMERIC(12,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,50 @@
+-- ============================================================
+-- Loyalty points ledger
+-- - Points are earned on paid washes: per shilling paid and/or a flat
+--   number per wash (rates in app_settings; both 0 = earning off)
+-- - Every change is a loyalty_transactions row; the balance is the sum
+-- - Earned points are lots: points_left is what is still unspent, used
+--   oldest-expiry first, and what is left at expires_at expires
+-- - Redeemed at the till through POST /washes: points off at
+--   loyalty_point_value each, or one service line free for
+--   loyalty_free_service_points
+-- - Voiding a wash takes back its points and returns what it spent
+-- ============================================================
+
+ALTER TABLE app_settings
+  ADD COLUMN IF NOT EXISTS loyalty_points_per_shilling NUMERIC(10,4) NOT NULL DEFAULT 0
+    CHECK (loyalty_points_per_shilling >= 0),
+  ADD COLUMN IF NOT EXISTS loyalty_points_per_wash INT NOT NULL DEFAULT 0
+    CHECK (loyalty_points_per_wash >= 0),
+  ADD COLUMN IF NOT EXISTS loyalty_point_value NUMERIC(10,2) NOT NULL DEFAULT 1.00
+    CHECK (loyalty_point_value > 0),
+  ADD COLUMN IF NOT EXISTS loyalty_free_service_points INT
+    CHECK (loyalty_free_service_points IS NULL OR loyalty_free_service_points > 0),
+  ADD COLUMN IF NOT EXISTS loyalty_points_expiry_days INT
+    CHECK (loyalty_points_expiry_days IS NULL OR loyalty_points_expiry_days > 0);
+
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  kind TEXT NOT NULL CHECK (kind IN ('EARN','REDEEM','EXPIRE','ADJUST','REVERSAL')),
+  points INT NOT NULL,                       -- signed: + earned, - spent/expired
+  points_left INT NOT NULL DEFAULT 0 CHECK (points_left >= 0),
+  expires_at TIMESTAMPTZ,                    -- lots only; NULL = never
+  amount NUMERIC(12,2),                      -- money value of a redemption
+  wash_id UUID REFERENCES washes(id) ON DELETE SET NULL,
+  note TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT chk_loyalty_lot CHECK (points_left <= GREATEST(points, 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_tx_customer ON loyalty_transactions (customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_loyalty_tx_wash ON loyalty_transactions (wash_id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_tx_open_lots
+  ON loyalty_transactions (customer_id, expires_at)
+  WHERE points_left > 0;
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS loyalty_points_earned INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS loyalty_points_redeemed INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS loyalty_discount NUMERIC(12,2) NOT NULL DEFAULT 0;
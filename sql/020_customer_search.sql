@@ -0,0 +1,14 @@
+-- ============================================================
+-- Indexes behind /customers search and sorting
+-- - Partial name / plate search uses trigram indexes (ILIKE '%...%')
+-- - Phone search compares digits only (07.., +2547.. and 2547..)
+-- ============================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_customers_name_trgm ON customers USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_customers_vehicle_reg_trgm ON customers USING gin (vehicle_reg gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_customers_phone_digits_trgm
+  ON customers USING gin ((regexp_replace(phone, '\D', '', 'g')) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_customers_visits ON customers (visits_count DESC, id);
+CREATE INDEX IF NOT EXISTS idx_customers_last_visit ON customers (last_visit DESC NULLS LAST, id);
@@ -0,0 +1,28 @@
+-- ============================================================
+-- Customer merges
+-- - The same driver can end up as several customer rows (new phone,
+--   other car). Merging moves everything onto one surviving row and
+--   deletes the others
+-- - customer_merges keeps a snapshot of every merged-away row and
+--   what was moved, so a merge can be traced (and undone by hand)
+-- - survivor_id follows chained merges (A -> B, later B -> C re-points
+--   A's row to C). It has no FK, like merged_id: the trail must not stop
+--   a survivor from being merged away or deleted later
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS customer_merges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  survivor_id UUID NOT NULL,                 -- current surviving row
+  merged_id UUID NOT NULL,                   -- row no longer exists
+  merged_customer JSONB NOT NULL,            -- the row as it was
+  moved JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { washes: n, ... }
+  reason TEXT,
+  merged_by UUID REFERENCES users(id),
+  merged_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_merges_survivor ON customer_merges (survivor_id);
+CREATE INDEX IF NOT EXISTS idx_customer_merges_merged ON customer_merges (merged_id);
+
+-- Databases created before survivor_id lost its FK
+ALTER TABLE customer_merges DROP CONSTRAINT IF EXISTS customer_merges_survivor_id_fkey;
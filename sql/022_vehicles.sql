@@ -0,0 +1,82 @@
+-- ============================================================
+-- Vehicles
+-- - One row per plate: usual car type, make, model, colour and the
+--   current owner (customers.vehicle_reg stays as the main plate)
+-- - vehicle_ownership keeps who owned the car when; the open row
+--   (to_at NULL) is the current owner
+-- - washes.vehicle_id links a wash to the car; POST /washes fills in
+--   the car type from it when the cashier leaves it out
+-- - Backfill: every plate seen on a wash or a customer, owned by the
+--   last customer who brought it, with its most common car type
+-- - app_settings.reward_scope: every-Nth-wash and featured-vehicle
+--   rewards count per CUSTOMER (all their cars) or per VEHICLE
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS vehicles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plate TEXT NOT NULL UNIQUE,
+  customer_id UUID REFERENCES customers(id),
+  car_type_id UUID REFERENCES car_types(id),
+  make TEXT,
+  model TEXT,
+  colour TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_customer ON vehicles (customer_id);
+CREATE INDEX IF NOT EXISTS idx_vehicles_plate_trgm ON vehicles USING gin (plate gin_trgm_ops);
+
+CREATE TABLE IF NOT EXISTS vehicle_ownership (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id),
+  from_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  to_at TIMESTAMPTZ,
+  note TEXT,
+  changed_by UUID REFERENCES users(id),
+  CONSTRAINT chk_vehicle_ownership_period CHECK (to_at IS NULL OR to_at >= from_at)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_vehicle_ownership_current
+  ON vehicle_ownership (vehicle_id) WHERE to_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_vehicle_ownership_customer ON vehicle_ownership (customer_id);
+
+ALTER TABLE washes
+  ADD COLUMN IF NOT EXISTS vehicle_id UUID REFERENCES vehicles(id);
+
+CREATE INDEX IF NOT EXISTS idx_washes_vehicle ON washes (vehicle_id);
+
+ALTER TABLE app_settings
+  ADD COLUMN IF NOT EXISTS reward_scope TEXT NOT NULL DEFAULT 'CUSTOMER'
+    CHECK (reward_scope IN ('CUSTOMER', 'VEHICLE'));
+
+-- Backfill from wash history, then plates only known on customers
+INSERT INTO vehicles (plate, customer_id, car_type_id, created_at)
+SELECT w.vehicle_reg,
+       (array_agg(w.customer_id ORDER BY w.washed_at DESC) FILTER (WHERE w.customer_id IS NOT NULL))[1],
+       mode() WITHIN GROUP (ORDER BY w.car_type_id),
+       MIN(w.washed_at)
+FROM washes w
+WHERE w.vehicle_reg IS NOT NULL AND w.vehicle_reg <> ''
+GROUP BY w.vehicle_reg
+ON CONFLICT (plate) DO NOTHING;
+
+INSERT INTO vehicles (plate, customer_id, created_at)
+SELECT DISTINCT ON (c.vehicle_reg) c.vehicle_reg, c.id, c.created_at
+FROM customers c
+WHERE c.vehicle_reg IS NOT NULL AND c.vehicle_reg <> ''
+ORDER BY c.vehicle_reg, c.updated_at DESC
+ON CONFLICT (plate) DO NOTHING;
+
+INSERT INTO vehicle_ownership (vehicle_id, customer_id, from_at, note)
+SELECT v.id, v.customer_id, v.created_at, 'Imported from wash history'
+FROM vehicles v
+WHERE v.customer_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM vehicle_ownership o WHERE o.vehicle_id = v.id);
+
+UPDATE washes w
+SET vehicle_id = v.id
+FROM vehicles v
+WHERE w.vehicle_id IS NULL AND v.plate = w.vehicle_reg;
@@ -0,0 +1,64 @@
+-- ============================================================
+-- SMS notifications
+-- - notification_templates: one message per event, {{placeholders}}
+--   filled in when the message is queued
+-- - notifications: the outbox. Rows are queued in the same transaction
+--   as the event (wash, winner approval) and sent by the dispatcher,
+--   which retries failures with backoff until max_attempts
+-- - Provider delivery reports move SENT rows to DELIVERED / FAILED
+-- ============================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_status') THEN
+    CREATE TYPE notification_status AS ENUM ('QUEUED','SENDING','SENT','DELIVERED','FAILED','CANCELLED');
+  END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+  code TEXT PRIMARY KEY,                     -- CAR_READY, DAILY_WINNER, ...
+  description TEXT,
+  body TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by UUID REFERENCES users(id),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO notification_templates (code, description, body) VALUES
+  ('CAR_READY', 'Wash finished, car ready for pick-up',
+   'Hi {{name}}, your car {{plate}} is ready for pick-up at {{business_name}}. Receipt {{receipt_no}}, total KES {{amount}}.'),
+  ('DAILY_WINNER', 'Daily free-wash draw winner approved',
+   'Congratulations {{name}}! {{plate}} has won a FREE wash at {{business_name}} on {{date}}. Show this SMS at the counter.'),
+  ('LOYALTY_NEXT_FREE', 'Next wash earns a loyalty reward',
+   'Hi {{name}}, thanks for washing {{plate}} with {{business_name}}. Your next wash is FREE ({{reward}}). See you soon!')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_code TEXT REFERENCES notification_templates(code),
+  channel TEXT NOT NULL DEFAULT 'SMS',
+  recipient TEXT NOT NULL,                   -- 2547XXXXXXXX
+  body TEXT NOT NULL,
+  status notification_status NOT NULL DEFAULT 'QUEUED',
+  customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+  wash_id UUID REFERENCES washes(id) ON DELETE SET NULL,
+  dedupe_key TEXT UNIQUE,                    -- e.g. car_ready:<wash id>
+  provider TEXT,
+  provider_message_id TEXT,
+  provider_status TEXT,                      -- provider's own wording
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5 CHECK (max_attempts > 0),
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_error TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  sent_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due
+  ON notifications (next_attempt_at) WHERE status = 'QUEUED';
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_customer ON notifications (customer_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_provider_msg ON notifications (provider, provider_message_id);
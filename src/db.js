@@ -27,3 +27,43 @@ export async function query(text, params = []) {
     throw err;
   }
 }
+
+/**
+ * Run fn(client) inside one transaction: COMMIT when it resolves, ROLLBACK
+ * when it throws. The client has the same query(text, params) as above, so
+ * helpers can take an optional `db` executor and work either way.
+ */
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+let savepointSeq = 0;
+
+/**
+ * Run fn(db) in a savepoint so a failure inside it doesn't abort the
+ * surrounding transaction. With the pool (no transaction) it just runs fn.
+ */
+export async function withSavepoint(db, fn) {
+  if (db === pool) return fn(db);
+  const name = `sp_${++savepointSeq}`;
+  await db.query(`SAVEPOINT ${name}`);
+  try {
+    const result = await fn(db);
+    await db.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (err) {
+    await db.query(`ROLLBACK TO SAVEPOINT ${name}`).catch(() => {});
+    throw err;
+  }
+}
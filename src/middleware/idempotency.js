@@ -0,0 +1,156 @@
+// src/middleware/idempotency.js
+// Idempotency-Key support for POSTs that must not run twice on retry.
+// The first request with a key claims it; later requests with the same key
+// get the stored response back (Idempotent-Replayed: true).
+import crypto from 'crypto';
+import { pool, query } from '../db.js';
+
+const KEY_RE = /^[A-Za-z0-9_.:-]{8,100}$/;
+// A claim still unfinished after this long was left by a crashed or
+// killed request; a retry may take it over (long requests keep theirs
+// fresh with touchKey)
+const STALE_CLAIM_SEC = 120;
+
+function idemError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function requestHash(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload ?? {})).digest('hex');
+}
+
+/**
+ * Claim a key. Returns { claimed: true } for a fresh key or
+ * { claimed: false, status, body } for one that already completed.
+ * Throws 409 while the first request is still running (up to
+ * STALE_CLAIM_SEC, then the retry takes the claim over) and 422 when the
+ * key is reused with a different body.
+ */
+export async function claimKey({ userId, key, method, path, hash }) {
+  if (!KEY_RE.test(key)) {
+    throw idemError('Idempotency-Key must be 8-100 characters of letters, digits, "-", "_", ".", ":".', 400);
+  }
+
+  const ins = await query(
+    `INSERT INTO idempotency_keys (user_id, idem_key, method, path, request_hash)
+     VALUES ($1::uuid, $2, $3, $4, $5)
+     ON CONFLICT (user_id, idem_key) DO NOTHING
+     RETURNING idem_key`,
+    [userId, key, method, path, hash]
+  );
+  if (ins.rows.length) return { claimed: true };
+
+  const { rows } = await query(
+    `SELECT * FROM idempotency_keys WHERE user_id = $1::uuid AND idem_key = $2`,
+    [userId, key]
+  );
+  const row = rows[0];
+  if (!row) return claimKey({ userId, key, method, path, hash }); // released meanwhile
+  if (row.method !== method || row.path !== path || row.request_hash !== hash) {
+    throw idemError('Idempotency-Key was already used for a different request.', 422);
+  }
+  if (row.response_status == null) {
+    const stale = await query(
+      `UPDATE idempotency_keys SET claimed_at = now()
+        WHERE user_id = $1::uuid AND idem_key = $2 AND response_status IS NULL
+          AND wash_id IS NULL
+          AND claimed_at < now() - make_interval(secs => $3)
+       RETURNING idem_key`,
+      [userId, key, STALE_CLAIM_SEC]
+    );
+    if (stale.rows.length) return { claimed: true };
+    throw idemError('A request with this Idempotency-Key is still being processed.', 409);
+  }
+  return { claimed: false, status: row.response_status, body: row.response_body };
+}
+
+/**
+ * Store the outcome. Server errors release the key so the client can retry.
+ * Pass the transaction that created the wash as db (and its id as washId)
+ * so the wash and the stored response commit together. Returns false when
+ * the key was already completed by a request that took the claim over;
+ * the caller must then roll back.
+ */
+export async function completeKey({ userId, key }, status, body, washId = null, db = pool) {
+  if (status >= 500) {
+    await db.query(
+      `DELETE FROM idempotency_keys
+        WHERE user_id = $1::uuid AND idem_key = $2 AND response_status IS NULL`,
+      [userId, key]
+    );
+    return true;
+  }
+  const { rowCount } = await db.query(
+    `UPDATE idempotency_keys
+        SET response_status = $3, response_body = $4::jsonb, wash_id = $5::uuid, completed_at = now()
+      WHERE user_id = $1::uuid AND idem_key = $2 AND response_status IS NULL`,
+    [userId, key, status, JSON.stringify(body ?? null), washId]
+  );
+  return rowCount > 0;
+}
+
+/** Complete the key inside the wash's transaction, or abort it with a 409. */
+export async function completeKeyWith(scope, status, body, washId, db) {
+  if (!(await completeKey(scope, status, body, washId, db))) {
+    throw idemError('A request with this Idempotency-Key has already completed; retry to get its response.', 409);
+  }
+}
+
+/** Keep a running claim from going stale (long batches). */
+export async function touchKey({ userId, key }) {
+  await query(
+    `UPDATE idempotency_keys SET claimed_at = now()
+      WHERE user_id = $1::uuid AND idem_key = $2 AND response_status IS NULL`,
+    [userId, key]
+  );
+}
+
+/**
+ * Route middleware. Requests without the header pass straight through.
+ * Must run after requireAuth (keys are scoped per user). The claim is
+ * left on req.idempotency; a handler that completes it in its own
+ * transaction (completeKeyWith) marks it completed once that commits, and
+ * it is not stored a second time.
+ */
+export function idempotent() {
+  return async (req, res, next) => {
+    const key = (req.get('Idempotency-Key') || '').trim();
+    if (!key) return next();
+
+    const scope = {
+      userId: req.user?.sub,
+      key,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      hash: requestHash(req.body),
+    };
+
+    try {
+      const claim = await claimKey(scope);
+      if (!claim.claimed) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.status).json(claim.body);
+      }
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error('❌ Idempotency key error:', err);
+      return res.status(500).json({ error: 'Failed to check Idempotency-Key.' });
+    }
+
+    req.idempotency = scope;
+
+    // Capture whatever the handler sends and keep it for replays
+    const json = res.json.bind(res);
+    // (stored before sending, so a quick retry never sees it half-finished)
+    res.json = (body) => {
+      if (scope.completed) return json(body);
+      completeKey(scope, res.statusCode, body)
+        .catch((err) => console.error('❌ Failed to store idempotent response:', err))
+        .finally(() => json(body));
+      return res;
+    };
+    next();
+  };
+}
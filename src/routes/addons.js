@@ -0,0 +1,131 @@
+// src/routes/addons.js
+import { Router } from "express";
+import { query } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+
+const router = Router();
+router.use(requireAuth);
+
+/* ========================================
+   1️⃣ GET ALL ADD-ONS (?active=true to hide retired ones)
+======================================== */
+router.get("/", async (req, res) => {
+  try {
+    const onlyActive = req.query.active === "true";
+    const { rows } = await query(`
+      SELECT id, name, description, price, is_active, sort_order, created_at, updated_at
+      FROM addons
+      ${onlyActive ? "WHERE is_active = TRUE" : ""}
+      ORDER BY sort_order ASC, name ASC
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching add-ons:", err);
+    res.status(500).json({ error: "Failed to fetch add-ons." });
+  }
+});
+
+/* ========================================
+   2️⃣ CREATE ADD-ON (Admin/Manager)
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { name, description = "", price, sort_order = 0, is_active = true } = req.body;
+
+  if (!name) return res.status(400).json({ error: "Name is required." });
+  if (price == null || isNaN(Number(price)) || Number(price) < 0) {
+    return res.status(400).json({ error: "Valid price is required." });
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      INSERT INTO addons (name, description, price, sort_order, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      RETURNING *
+      `,
+      [name, description, Number(price), sort_order, !!is_active]
+    );
+
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(400).json({ error: "An add-on with that name already exists." });
+    }
+    console.error("❌ Error creating add-on:", err);
+    res.status(500).json({ error: "Failed to create add-on." });
+  }
+});
+
+/* ========================================
+   3️⃣ UPDATE ADD-ON (Admin/Manager)
+======================================== */
+router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+  const { name, description, price, sort_order, is_active } = req.body;
+
+  if (price != null && (isNaN(Number(price)) || Number(price) < 0)) {
+    return res.status(400).json({ error: "Valid price is required." });
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      UPDATE addons
+      SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description),
+        price = COALESCE($3, price),
+        sort_order = COALESCE($4, sort_order),
+        is_active = COALESCE($5, is_active),
+        updated_at = NOW()
+      WHERE id = $6::uuid
+      RETURNING *
+      `,
+      [name, description, price == null ? null : Number(price), sort_order, is_active, id]
+    );
+
+    if (!rows[0]) return res.status(404).json({ error: "Add-on not found." });
+    res.json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(400).json({ error: "An add-on with that name already exists." });
+    }
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid add-on id or field value." });
+    console.error("❌ Error updating add-on:", err);
+    res.status(500).json({ error: "Failed to update add-on." });
+  }
+});
+
+/* ========================================
+   4️⃣ DELETE ADD-ON (Admin/Manager)
+   Add-ons already sold are retired instead of deleted.
+======================================== */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: used } = await query(
+      "SELECT 1 FROM wash_items WHERE addon_id = $1::uuid LIMIT 1",
+      [id]
+    );
+    if (used.length) {
+      const { rowCount } = await query(
+        "UPDATE addons SET is_active = FALSE, updated_at = NOW() WHERE id = $1::uuid",
+        [id]
+      );
+      if (rowCount === 0) return res.status(404).json({ error: "Add-on not found." });
+      return res.json({ success: true, message: "Add-on is on past tickets; it was deactivated." });
+    }
+
+    const { rowCount } = await query("DELETE FROM addons WHERE id = $1::uuid", [id]);
+    if (rowCount === 0)
+      return res.status(404).json({ error: "Add-on not found." });
+
+    res.json({ success: true, message: "Add-on deleted successfully." });
+  } catch (err) {
+    console.error("❌ Error deleting add-on:", err);
+    res.status(500).json({ error: "Failed to delete add-on." });
+  }
+});
+
+export default router;
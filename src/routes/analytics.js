@@ -2,52 +2,51 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth } from "../middleware/auth.js";
+import { profileRange } from "../utils/customerProfile.js";
+import { notReversedSql } from "../utils/washStatus.js";
 
 const router = Router();
 router.use(requireAuth);
 
 /**
  * GET /analytics/top-vehicles?month=YYYY-MM&limit=5
+ * One row per plate. GET /customers/ranking?sort=visits&month= ranks
+ * customers instead, with the full profile for each.
  * Returns:
  * [{ vehicle_reg, customer_name, customer_phone, washes, last_wash }]
  */
 router.get("/top-vehicles", async (req, res) => {
   try {
     const month = (req.query.month || "").toString().slice(0, 7);
-    const limit = Math.max(1, Math.min(parseInt(req.query.limit || "5", 10), 50));
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || "5", 10) || 5, 50));
 
     // default to current month if invalid
     const monthFilter = /^\d{4}-\d{2}$/.test(month)
       ? month
       : new Date().toISOString().slice(0, 7);
 
-    // We use COALESCE to prefer the wash.vehicle_reg column if you add it later;
-    // today we fall back to customers.vehicle_reg
+    // Ranked per plate washed (voided / refunded washes left out); the
+    // name and phone are those on the plate's latest wash
+    const { from, to } = profileRange({ month: monthFilter });
     const { rows } = await query(
       `
-      WITH base AS (
-        SELECT
-          UPPER(TRIM(COALESCE(c.vehicle_reg, ''))) AS vehicle_reg,
-          c.name  AS customer_name,
-          c.phone AS customer_phone,
-          w.washed_at
-        FROM washes w
-        LEFT JOIN customers c ON c.id = w.customer_id
-        WHERE date_trunc('month', w.washed_at) = date_trunc('month', to_timestamp($1 || '-01', 'YYYY-MM-DD'))
-          AND COALESCE(c.vehicle_reg, '') <> ''
-      )
       SELECT
-        vehicle_reg,
-        MAX(customer_name)   AS customer_name,
-        MAX(customer_phone)  AS customer_phone,
-        COUNT(*)::int        AS washes,
-        MAX(washed_at)       AS last_wash
-      FROM base
-      GROUP BY vehicle_reg
+        w.vehicle_reg,
+        (array_agg(c.name ORDER BY w.washed_at DESC) FILTER (WHERE c.id IS NOT NULL))[1] AS customer_name,
+        (array_agg(c.phone ORDER BY w.washed_at DESC) FILTER (WHERE c.id IS NOT NULL))[1] AS customer_phone,
+        COUNT(*)::int AS washes,
+        MAX(w.washed_at) AS last_wash
+      FROM washes w
+      LEFT JOIN customers c ON c.id = w.customer_id
+      WHERE w.washed_at >= $1::timestamptz
+        AND w.washed_at <  $2::timestamptz
+        AND COALESCE(w.vehicle_reg, '') <> ''
+        AND ${notReversedSql("w")}
+      GROUP BY w.vehicle_reg
       ORDER BY washes DESC, last_wash DESC
-      LIMIT $2
+      LIMIT $3
       `,
-      [monthFilter, limit]
+      [from, to, limit]
     );
 
     res.json(rows);
@@ -1,6 +1,8 @@
 // src/routes/catalog.js
 import { Router } from "express";
 import { query } from "../db.js";
+import { loadPricingContext, resolvePrice } from "../utils/priceRules.js";
+import { priceListAsOf } from "../utils/priceList.js";
 // import { requireAuth } from "../middleware/auth.js"; // Uncomment if auth is active
 
 const router = Router();
@@ -8,10 +10,18 @@ const router = Router();
 // router.use(requireAuth); // Keep disabled while testing
 
 /**
- * GET /catalog
- * Returns services, car_types, and their pricing relationships (with descriptions).
+ * GET /catalog?at=ISO datetime
+ * Returns services, car_types, add-ons and their pricing relationships (with descriptions).
+ * Each price is the one in effect at `at` (default now): the list price
+ * from the price history, then time/calendar price rules. base_price is
+ * the list price before rules.
  */
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
+  const at = req.query.at || null;
+  if (at && Number.isNaN(new Date(at).getTime())) {
+    return res.status(400).json({ error: "at must be a valid date/time." });
+  }
+
   try {
     // ✅ Fetch all services including descriptions
     const servicesRes = await query(`
@@ -38,25 +48,48 @@ router.get("/", async (_req, res) => {
       ORDER BY sort_order ASC NULLS LAST, label ASC;
     `);
 
-    // ✅ Fetch all service prices
-    const pricesRes = await query(`
-      SELECT 
-        service_id, 
-        car_type_id, 
-        price
-      FROM service_prices;
+    // ✅ Fetch the list prices in effect at `at`
+    const listPrices = await priceListAsOf(at && new Date(at).toISOString());
+
+    // ✅ Fetch active add-ons (wax, tyre shine, ...)
+    const addonsRes = await query(`
+      SELECT id, name, COALESCE(description, '') AS description, price, sort_order
+      FROM addons
+      WHERE is_active = TRUE
+      ORDER BY sort_order ASC, name ASC;
     `);
 
+    // ✅ Price in effect at `at` (off-peak / weekend / holiday rules)
+    const pricing = await loadPricingContext(at);
+    const prices = listPrices.map((p) => {
+      const effective = resolvePrice(pricing, {
+        serviceId: p.service_id,
+        carTypeId: p.car_type_id,
+        basePrice: Number(p.price),
+      });
+      return {
+        service_id: p.service_id,
+        car_type_id: p.car_type_id,
+        base_price: p.price,
+        price: effective.price,
+        price_rule: effective.rule,
+        price_effective_from: p.effective_from,
+      };
+    });
+
     // ✅ Combine services with their prices
     const services = servicesRes.rows.map((s) => ({
       ...s,
-      prices: pricesRes.rows.filter((p) => p.service_id === s.id),
+      prices: prices.filter((p) => p.service_id === s.id),
     }));
 
     // ✅ Send structured response
     res.json({
       services,
       car_types: carTypesRes.rows,
+      addons: addonsRes.rows,
+      priced_at: pricing.at,
+      holiday: pricing.holiday,
     });
   } catch (err) {
     console.error("❌ GET /catalog failed:", err);
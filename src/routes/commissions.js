@@ -2,6 +2,7 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import { countedWashSql, notReversedSql } from "../utils/washStatus.js";
 
 const router = Router();
 router.use(requireAuth);
@@ -23,6 +24,9 @@ function dateFilter(period = "today") {
 /* ==========================================
    Commission Summary (used by Staff page)
    GET /commissions/summary?period=today|week|month
+   Tips are listed next to commission but never added into it.
+   A wash shared by several washers credits each with their share
+   of its revenue and commission.
 ========================================== */
 router.get("/summary", async (req, res) => {
   const { period = "today" } = req.query;
@@ -35,17 +39,34 @@ router.get("/summary", async (req, res) => {
         s.name,
         s.role_label,
         COUNT(w.id) AS washes,
-        COALESCE(SUM(w.unit_price), 0) AS revenue,
+        COUNT(w.id) FILTER (WHERE ws.share_pct < 100) AS shared_washes,
+        ROUND(COALESCE(SUM(w.unit_price * ws.share_pct / 100), 0), 2) AS revenue,
         ROUND(
-          COALESCE(SUM(w.unit_price * COALESCE(cr.percentage, 30) / 100), 0),
+          COALESCE(SUM(w.unit_price * ws.share_pct / 100 * COALESCE(cr.percentage, 30) / 100), 0),
           2
-        ) AS commission
+        ) AS commission,
+        MAX(tp.tips_owed) AS tips_owed,
+        MAX(tp.tips_paid) AS tips_paid
       FROM staff s
-      LEFT JOIN washes w 
-        ON w.staff_id = s.id
-        ${dateFilter(period)}
+      LEFT JOIN (
+        wash_staff ws
+        JOIN washes w
+          ON w.id = ws.wash_id
+          AND ${countedWashSql("w")}
+          ${dateFilter(period)}
+      ) ON ws.staff_id = s.id
       LEFT JOIN commission_rates cr
         ON cr.role = s.role_label
+      LEFT JOIN LATERAL (
+        SELECT
+          COALESCE(SUM(t.amount) FILTER (WHERE t.paid_at IS NULL), 0) AS tips_owed,
+          COALESCE(SUM(t.amount) FILTER (WHERE t.paid_at IS NOT NULL), 0) AS tips_paid
+        FROM wash_tips t
+        JOIN washes w ON w.id = t.wash_id
+        WHERE t.staff_id = s.id
+          AND ${notReversedSql("w")}
+          ${dateFilter(period)}
+      ) tp ON TRUE
       GROUP BY s.id, s.name, s.role_label
       ORDER BY s.name
       `
@@ -54,6 +75,8 @@ router.get("/summary", async (req, res) => {
     const totalRevenue = rows.reduce((a, b) => a + Number(b.revenue), 0);
     const totalCommission = rows.reduce((a, b) => a + Number(b.commission), 0);
     const totalWashes = rows.reduce((a, b) => a + Number(b.washes), 0);
+    const totalTipsOwed = rows.reduce((a, b) => a + Number(b.tips_owed), 0);
+    const totalTipsPaid = rows.reduce((a, b) => a + Number(b.tips_paid), 0);
     const businessProfit = totalRevenue - totalCommission;
 
     const commissionPercent = totalRevenue
@@ -68,6 +91,8 @@ router.get("/summary", async (req, res) => {
       totalWashes,
       totalRevenue,
       totalCommission,
+      totalTipsOwed,
+      totalTipsPaid,
       businessProfit,
       commissionPercent,
       profitPercent,
@@ -0,0 +1,433 @@
+// src/routes/customers.js
+// Customers: search, edit and history. Washes still create customers on
+// their own (upsertCustomer in washes.js); this is for looking them up
+// and fixing them.
+import { Router } from "express";
+import { query, withTransaction } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { normPlate, normPhone, escapeLike } from "../utils/normalize.js";
+import { countedWashSql } from "../utils/washStatus.js";
+import { findDuplicates, mergeCustomers } from "../utils/customerMerge.js";
+import { PROFILE_SORTS, profileRange, customerProfiles, customerProfile } from "../utils/customerProfile.js";
+
+const router = Router();
+router.use(requireAuth);
+
+const LIST_SORTS = {
+  visits_count: "c.visits_count",
+  last_visit: "c.last_visit",
+  name: "lower(c.name)",
+  created_at: "c.created_at",
+  total_spent: "st.total_spent",
+};
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+const RECENT_WASHES = 10;
+
+// Phones are matched on their last 9 digits so 07.., +2547.. and 2547.. agree
+const phoneKey = (phone) => normPhone(phone).slice(-9);
+
+// Spend (counted washes + packages bought, as in the profile) and counted
+// visits for each customer (voided/refunded washes excluded)
+const STATS_SQL = `
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(SUM(w.unit_price), 0)::numeric
+             + COALESCE((SELECT SUM(cp.price_paid - cp.refund_amount)
+                           FROM customer_packages cp WHERE cp.customer_id = c.id), 0) AS total_spent,
+           COUNT(*)::int AS washes
+    FROM washes w
+    WHERE w.customer_id = c.id AND ${countedWashSql("w")}
+  ) st ON TRUE
+`;
+
+/** Validate + normalize a create/update body. Returns { fields } or { error } */
+function pickCustomer(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = (body.name ?? "").toString().trim() || null;
+  if (body.phone !== undefined) {
+    const phone = (body.phone ?? "").toString().trim();
+    if (phone && normPhone(phone).length < 9) return { error: "phone must have at least 9 digits." };
+    fields.phone = phone || null;
+  }
+  if (body.vehicle_reg !== undefined) fields.vehicle_reg = normPlate(body.vehicle_reg) || null;
+  return { fields };
+}
+
+async function phoneTaken(phone, exceptId = null) {
+  if (!phone) return null;
+  const { rows } = await query(
+    `SELECT id, name FROM customers
+      WHERE regexp_replace(phone, '\\D', '', 'g') LIKE '%' || $1
+        AND ($2::uuid IS NULL OR id <> $2::uuid)
+      LIMIT 1`,
+    [phoneKey(phone), exceptId]
+  );
+  return rows[0] || null;
+}
+
+async function recentWashes(customerId, limit) {
+  const { rows } = await query(
+    `
+    SELECT w.id, w.receipt_no, w.washed_at, w.status, w.payment_status, w.vehicle_reg,
+           w.subtotal, w.unit_price, w.is_free,
+           s.name AS service_name, ct.label AS car_type_label, st.name AS staff_name
+    FROM washes w
+    JOIN services s ON s.id = w.service_id
+    JOIN car_types ct ON ct.id = w.car_type_id
+    LEFT JOIN staff st ON st.id = w.staff_id
+    WHERE w.customer_id = $1::uuid
+    ORDER BY w.washed_at DESC, w.id DESC
+    LIMIT $2
+    `,
+    [customerId, limit]
+  );
+  return rows;
+}
+
+/* ========================================
+   LIST / SEARCH CUSTOMERS
+   ?q=      name, phone digits or plate (partial; main plate or any owned vehicle)
+   ?sort=   visits_count|last_visit|name|created_at|total_spent, order=asc|desc
+   Paging:  limit (max 200) + offset/page
+======================================== */
+router.get("/", async (req, res) => {
+  const q = req.query;
+  const sortKey = LIST_SORTS[q.sort] ? q.sort : "last_visit";
+  const dir = String(q.order || "desc").toLowerCase() === "asc" ? "ASC" : "DESC";
+
+  let limit = parseInt(q.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) limit = LIST_DEFAULT_LIMIT;
+  limit = Math.min(limit, LIST_MAX_LIMIT);
+
+  let offset = parseInt(q.offset, 10);
+  if (!Number.isInteger(offset) || offset < 0) {
+    const page = parseInt(q.page, 10);
+    offset = Number.isInteger(page) && page > 1 ? (page - 1) * limit : 0;
+  }
+
+  const params = [];
+  const where = [];
+  const term = (q.q || "").toString().trim();
+  if (term) {
+    params.push(escapeLike(term));
+    const or = [`c.name ILIKE '%' || $${params.length} || '%'`];
+    const plate = normPlate(term);
+    if (plate) {
+      params.push(escapeLike(plate));
+      // main plate on the row, or any car they currently own
+      or.push(`c.vehicle_reg ILIKE '%' || $${params.length} || '%'`);
+      or.push(
+        `EXISTS (SELECT 1 FROM vehicles v WHERE v.customer_id = c.id AND v.plate ILIKE '%' || $${params.length} || '%')`
+      );
+    }
+    const digits = normPhone(term);
+    if (digits.length >= 3) {
+      params.push(digits.length > 9 ? digits.slice(-9) : digits.replace(/^0/, ""));
+      or.push(`regexp_replace(c.phone, '\\D', '', 'g') LIKE '%' || $${params.length} || '%'`);
+    }
+    where.push(`(${or.join(" OR ")})`);
+  }
+  if (q.min_visits) {
+    params.push(Number(q.min_visits) || 0);
+    where.push(`c.visits_count >= $${params.length}`);
+  }
+  const whereSql = where.length ? "WHERE " + where.join(" AND ") : "";
+  const countParams = params.slice();
+
+  params.push(limit, offset);
+  try {
+    const [list, count] = await Promise.all([
+      query(
+        `
+        SELECT c.*, st.total_spent, st.washes
+        FROM customers c
+        ${STATS_SQL}
+        ${whereSql}
+        ORDER BY ${LIST_SORTS[sortKey]} ${dir} NULLS LAST, c.id ${dir}
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+        `,
+        params
+      ),
+      query(`SELECT COUNT(*)::int AS total FROM customers c ${whereSql}`, countParams),
+    ]);
+
+    res.json({
+      items: list.rows,
+      page: {
+        limit,
+        offset,
+        total: count.rows[0].total,
+        has_more: offset + list.rows.length < count.rows[0].total,
+      },
+      sort: { by: sortKey, order: dir.toLowerCase() },
+    });
+  } catch (err) {
+    console.error("❌ Error fetching customers:", err);
+    res.status(500).json({ error: "Failed to fetch customers." });
+  }
+});
+
+/* ========================================
+   LIKELY DUPLICATES
+   GET /customers/duplicates?name_similarity=0.8&limit=50
+   Pairs matched on phone digits, plate (incl. plates on their washes)
+   or a similar name; best matches first.
+======================================== */
+router.get("/duplicates", async (req, res) => {
+  const nameSimilarity = Number(req.query.name_similarity);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const pairs = await findDuplicates({
+      nameSimilarity: nameSimilarity > 0 && nameSimilarity <= 1 ? nameSimilarity : 0.8,
+      limit,
+    });
+    res.json(pairs);
+  } catch (err) {
+    console.error("❌ Error finding duplicate customers:", err);
+    res.status(500).json({ error: "Failed to find duplicate customers." });
+  }
+});
+
+/* ========================================
+   RANKED CUSTOMERS (lifetime value)
+   GET /customers/ranking?sort=total_spent&order=desc&limit=50&offset=0
+   sort: total_spent|visits|avg_spend|free_washes|discounts_received|
+         avg_gap_days|last_visit
+   Period: ?month=YYYY-MM or ?from=&to= (lifetime when left out)
+   Each row is the same summary as GET /customers/:id/profile.
+======================================== */
+router.get("/ranking", async (req, res) => {
+  const q = req.query;
+  const sortKey = PROFILE_SORTS.includes(q.sort) ? q.sort : "total_spent";
+  const order = String(q.order || "desc").toLowerCase() === "asc" ? "asc" : "desc";
+  const limit = Math.min(Math.max(parseInt(q.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+
+  try {
+    const range = profileRange(q);
+    const { rows, total } = await customerProfiles({ ...range, sort: sortKey, order, limit, offset });
+    res.json({
+      items: rows,
+      page: { limit, offset, total, has_more: offset + rows.length < total },
+      sort: { by: sortKey, order },
+      range,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error ranking customers:", err);
+    res.status(500).json({ error: "Failed to rank customers." });
+  }
+});
+
+/* ========================================
+   ONE CUSTOMER + owned vehicles + recent washes (?washes=N, max 50)
+======================================== */
+router.get("/:id", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.washes, 10) || RECENT_WASHES, 1), 50);
+
+  try {
+    const { rows } = await query(
+      `
+      SELECT c.*, st.total_spent, st.washes
+      FROM customers c
+      ${STATS_SQL}
+      WHERE c.id = $1::uuid
+      `,
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Customer not found." });
+
+    const { rows: vehicles } = await query(
+      `
+      SELECT v.*, ct.label AS car_type_label
+      FROM vehicles v
+      LEFT JOIN car_types ct ON ct.id = v.car_type_id
+      WHERE v.customer_id = $1::uuid
+      ORDER BY v.plate
+      `,
+      [rows[0].id]
+    );
+    res.json({ ...rows[0], vehicles, recent_washes: await recentWashes(rows[0].id, limit) });
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error fetching customer:", err);
+    res.status(500).json({ error: "Failed to fetch customer." });
+  }
+});
+
+/* ========================================
+   CUSTOMER PROFILE
+   GET /customers/:id/profile?month=YYYY-MM (or from=&to=; lifetime default)
+   Total spend, visits, average gap between visits (days), favourite
+   service, staff seen most often, free washes, last visit and the
+   promotions that rewarded them.
+======================================== */
+router.get("/:id/profile", async (req, res) => {
+  try {
+    const range = profileRange(req.query);
+    res.json({ ...(await customerProfile(req.params.id, range)), range });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error building customer profile:", err);
+    res.status(500).json({ error: "Failed to build customer profile." });
+  }
+});
+
+/* ========================================
+   CUSTOMER WASHES (paged)
+   GET /customers/:id/washes?limit=50&offset=0
+======================================== */
+router.get("/:id/washes", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const { rows } = await query(
+      `
+      SELECT w.*, s.name AS service_name, ct.label AS car_type_label, st.name AS staff_name
+      FROM washes w
+      JOIN services s ON s.id = w.service_id
+      JOIN car_types ct ON ct.id = w.car_type_id
+      LEFT JOIN staff st ON st.id = w.staff_id
+      WHERE w.customer_id = $1::uuid
+      ORDER BY w.washed_at DESC, w.id DESC
+      LIMIT $2 OFFSET $3
+      `,
+      [req.params.id, limit, offset]
+    );
+    res.json({ items: rows, page: { limit, offset } });
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error fetching customer washes:", err);
+    res.status(500).json({ error: "Failed to fetch customer washes." });
+  }
+});
+
+/* ========================================
+   CREATE CUSTOMER (Admin/Manager)
+   Body: { name?, phone?, vehicle_reg? } — a phone or a plate is required
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { fields, error } = pickCustomer(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!fields.phone && !fields.vehicle_reg) {
+    return res.status(400).json({ error: "A phone number or vehicle_reg is required." });
+  }
+
+  try {
+    const clash = await phoneTaken(fields.phone);
+    if (clash) {
+      return res.status(409).json({ error: "Another customer already has this phone number.", customer_id: clash.id });
+    }
+
+    const { rows } = await query(
+      `
+      INSERT INTO customers (name, phone, vehicle_reg, visits_count, last_visit)
+      VALUES ($1, $2, $3, 0, NULL)
+      RETURNING *
+      `,
+      [fields.name ?? null, fields.phone ?? null, fields.vehicle_reg ?? null]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ error: "Another customer already has this phone number." });
+    console.error("❌ Error creating customer:", err);
+    res.status(500).json({ error: "Failed to create customer." });
+  }
+});
+
+/* ========================================
+   UPDATE CUSTOMER (Admin/Manager)
+   Send only what changes; "" clears name / phone / vehicle_reg.
+======================================== */
+router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+  const { fields, error } = pickCustomer(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { rows: found } = await query("SELECT * FROM customers WHERE id = $1::uuid", [id]);
+    if (!found[0]) return res.status(404).json({ error: "Customer not found." });
+
+    const next = { ...found[0], ...fields };
+    if (!next.phone && !next.vehicle_reg) {
+      return res.status(400).json({ error: "A customer needs a phone number or vehicle_reg." });
+    }
+    if (fields.phone && phoneKey(fields.phone) !== phoneKey(found[0].phone)) {
+      const clash = await phoneTaken(fields.phone, id);
+      if (clash) {
+        return res
+          .status(409)
+          .json({ error: "Another customer already has this phone number.", customer_id: clash.id });
+      }
+    }
+
+    const { rows } = await query(
+      `
+      UPDATE customers
+      SET name = $1, phone = $2, vehicle_reg = $3, updated_at = NOW()
+      WHERE id = $4::uuid
+      RETURNING *
+      `,
+      [next.name, next.phone, next.vehicle_reg, id]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ error: "Another customer already has this phone number." });
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error updating customer:", err);
+    res.status(500).json({ error: "Failed to update customer." });
+  }
+});
+
+/* ========================================
+   MERGE CUSTOMERS (Admin/Manager)
+   POST /customers/:id/merge  Body: { merge_ids: [...], reason? }
+   :id survives. Washes, draw candidates and winners, vouchers, packages,
+   points and vehicles of merge_ids move onto it, visits_count is recomputed and
+   the merged rows are deleted (a snapshot stays in customer_merges).
+======================================== */
+router.post("/:id/merge", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const ids = req.body?.merge_ids ?? (req.body?.merge_id ? [req.body.merge_id] : []);
+  if (!Array.isArray(ids) || !ids.length) {
+    return res.status(400).json({ error: "merge_ids must be a non-empty array." });
+  }
+
+  try {
+    const result = await withTransaction((db) =>
+      mergeCustomers(
+        { survivorId: req.params.id, sourceIds: ids, reason: req.body.reason || null, userId: req.user?.sub },
+        db
+      )
+    );
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error merging customers:", err);
+    res.status(500).json({ error: "Failed to merge customers." });
+  }
+});
+
+/* ========================================
+   DELETE CUSTOMER (Admin/Manager)
+   Only customers nothing refers to yet (no washes, packages, points...).
+======================================== */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const { rowCount } = await query("DELETE FROM customers WHERE id = $1::uuid", [req.params.id]);
+    if (rowCount === 0) return res.status(404).json({ error: "Customer not found." });
+    res.json({ success: true, message: "Customer deleted successfully." });
+  } catch (err) {
+    if (err.code === "23503") {
+      return res.status(409).json({ error: "Customer has wash history and can't be deleted." });
+    }
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error deleting customer:", err);
+    res.status(500).json({ error: "Failed to delete customer." });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import { notReversedSql } from "../utils/washStatus.js";
+import { notifyDailyWinner } from "../utils/notifications.js";
 
 const router = Router();
 router.use(requireAuth);
@@ -71,7 +73,7 @@ async function fetchCandidates({
         ON date_trunc('month', w.washed_at) = date_trunc('month', mb.month_start)
       LEFT JOIN customers c ON c.id = w.customer_id
       JOIN services s ON s.id = w.service_id
-      WHERE true
+      WHERE ${notReversedSql("w")}
         ${svc.sql}
     ),
     agg AS (
@@ -110,7 +112,7 @@ async function assertDayFree(drawDate) {
   }
 }
 
-/** Insert winner row for a day */
+/** Insert winner row for a day and queue the winner SMS */
 async function insertWinner({ drawDate, winner, userId }) {
   const ins = await query(
     `
@@ -129,6 +131,8 @@ async function insertWinner({ drawDate, winner, userId }) {
       userId || null,
     ]
   );
+  // Text the winner (queued; sent by the notifications outbox)
+  await notifyDailyWinner(ins.rows[0], { userId });
   return ins.rows[0];
 }
 
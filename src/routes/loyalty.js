@@ -0,0 +1,156 @@
+// src/routes/loyalty.js
+// Loyalty points: balances, ledger, manual adjustments and expiry.
+// Points are earned and redeemed through POST /washes.
+import { Router } from "express";
+import { query, withTransaction } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import {
+  loyaltySettings,
+  pointsBalance,
+  expirePoints,
+  adjustPoints,
+  listTransactions,
+} from "../utils/loyaltyPoints.js";
+
+const router = Router();
+router.use(requireAuth);
+
+async function customerExists(id, db) {
+  const { rows } = await db.query("SELECT id, name, phone, vehicle_reg FROM customers WHERE id = $1::uuid", [id]);
+  return rows[0] || null;
+}
+
+/* ========================================
+   CURRENT RATES (from /settings)
+======================================== */
+router.get("/settings", async (_req, res) => {
+  try {
+    res.json(await loyaltySettings());
+  } catch (err) {
+    console.error("❌ Error loading loyalty settings:", err);
+    res.status(500).json({ error: "Failed to load loyalty settings." });
+  }
+});
+
+/* ========================================
+   CUSTOMER BALANCE + LEDGER
+   GET /loyalty/customers/:id?limit=50&offset=0
+   Lots past their expiry are closed first, so the ledger shows them.
+======================================== */
+router.get("/customers/:id", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const result = await withTransaction(async (db) => {
+      const customer = await customerExists(req.params.id, db);
+      if (!customer) return null;
+      await expirePoints(customer.id, db);
+
+      const { rows: expiring } = await db.query(
+        `
+        SELECT expires_at, SUM(points_left)::int AS points
+        FROM loyalty_transactions
+        WHERE customer_id = $1::uuid AND points_left > 0 AND expires_at IS NOT NULL
+        GROUP BY expires_at
+        ORDER BY expires_at
+        LIMIT 5
+        `,
+        [customer.id]
+      );
+      const { rows: totals } = await db.query(
+        `
+        SELECT kind, SUM(points)::int AS points
+        FROM loyalty_transactions
+        WHERE customer_id = $1::uuid
+        GROUP BY kind
+        `,
+        [customer.id]
+      );
+
+      return {
+        customer,
+        balance: (await pointsBalance(customer.id, db)).balance,
+        totals: Object.fromEntries(totals.map((t) => [t.kind.toLowerCase(), t.points])),
+        expiring,
+        transactions: await listTransactions(customer.id, { limit, offset }, db),
+        limit,
+        offset,
+      };
+    });
+    if (!result) return res.status(404).json({ error: "Customer not found." });
+    res.json(result);
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error fetching loyalty points:", err);
+    res.status(500).json({ error: "Failed to fetch loyalty points." });
+  }
+});
+
+/* ========================================
+   MANUAL ADJUSTMENT (Admin/Manager)
+   POST /loyalty/customers/:id/adjust  Body: { points: +/-N, note }
+======================================== */
+router.post("/customers/:id/adjust", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const points = Number(req.body.points);
+  const note = (req.body.note ?? "").toString().trim();
+
+  try {
+    const result = await withTransaction(async (db) => {
+      const { rows } = await db.query("SELECT id FROM customers WHERE id = $1::uuid FOR UPDATE", [req.params.id]);
+      if (!rows[0]) return null;
+      const tx = await adjustPoints({ customerId: rows[0].id, points, note, userId: req.user?.sub }, db);
+      return { transaction: tx, balance: (await pointsBalance(rows[0].id, db)).balance };
+    });
+    if (!result) return res.status(404).json({ error: "Customer not found." });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error adjusting loyalty points:", err);
+    res.status(500).json({ error: "Failed to adjust loyalty points." });
+  }
+});
+
+/* ========================================
+   EXPIRE DUE POINTS for everyone (Admin/Manager; run nightly)
+======================================== */
+router.post("/expire", requireRole("ADMIN", "MANAGER"), async (_req, res) => {
+  try {
+    res.json(await withTransaction((db) => expirePoints(null, db)));
+  } catch (err) {
+    console.error("❌ Error expiring loyalty points:", err);
+    res.status(500).json({ error: "Failed to expire loyalty points." });
+  }
+});
+
+/* ========================================
+   TOP BALANCES
+   GET /loyalty/balances?limit=50
+======================================== */
+router.get("/balances", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  try {
+    const { rows } = await query(
+      `
+      SELECT c.id AS customer_id, c.name, c.phone, c.vehicle_reg,
+             SUM(t.points_left)::int AS balance,
+             MIN(t.expires_at) AS next_expiry
+      FROM loyalty_transactions t
+      JOIN customers c ON c.id = t.customer_id
+      WHERE t.points_left > 0
+        AND (t.expires_at IS NULL OR t.expires_at > now())
+      GROUP BY c.id
+      ORDER BY balance DESC
+      LIMIT $1
+      `,
+      [limit]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching loyalty balances:", err);
+    res.status(500).json({ error: "Failed to fetch loyalty balances." });
+  }
+});
+
+export default router;
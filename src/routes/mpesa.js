@@ -0,0 +1,383 @@
+// src/routes/mpesa.js
+// M-Pesa payments: start STK pushes for a wash and receive Daraja callbacks.
+// Callback routes are public (Daraja can't authenticate) and are protected
+// by the MPESA_CALLBACK_TOKEN path segment instead.
+import { Router } from "express";
+import { query, withTransaction, withSavepoint } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { recordPayments } from "../utils/payments.js";
+import {
+  stkPush,
+  registerC2BUrls,
+  parseStkCallback,
+  parseC2B,
+  isValidCallbackToken,
+} from "../utils/mpesa.js";
+
+const router = Router();
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ACCOUNT_REF_MAX = 12;
+
+/** -------- Helpers -------- */
+
+/**
+ * AccountReference for an STK push (Daraja takes at most 12 characters):
+ * the receipt number when it fits, else the wash id without dashes, cut to
+ * 12. Never a truncated receipt number, which could name another wash.
+ */
+function washAccountReference(wash) {
+  if (wash.receipt_no && wash.receipt_no.length <= ACCOUNT_REF_MAX) return wash.receipt_no;
+  return wash.id.replace(/-/g, "").slice(0, ACCOUNT_REF_MAX).toUpperCase();
+}
+
+/**
+ * Find the wash a customer-typed account reference points at: a receipt
+ * number, a wash id, or a reference we sent with an STK push.
+ */
+async function findWashByReference(ref, db) {
+  const clean = (ref || "").toString().toUpperCase().replace(/\s+/g, "");
+  if (!clean) return null;
+  const { rows } = await db.query(
+    `
+    SELECT id, receipt_no, unit_price, status
+    FROM washes
+    WHERE upper(receipt_no) = $1
+       OR ($2::uuid IS NOT NULL AND id = $2::uuid)
+       OR id IN (
+         SELECT t.wash_id FROM mpesa_transactions t
+         WHERE t.kind = 'STK' AND upper(t.account_reference) = $1
+       )
+    ORDER BY washed_at DESC
+    LIMIT 1
+    `,
+    [clean, UUID_RE.test(clean) ? clean.toLowerCase() : null]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Turn a successful M-Pesa transaction into a wash payment.
+ * Anything that can't be applied (no wash, overpayment, voided wash)
+ * is parked as UNMATCHED with the reason for manual allocation.
+ * Runs inside the caller's transaction, which holds the row lock.
+ */
+async function settleTransaction(tx, washId, db) {
+  if (!washId) {
+    await db.query(
+      `UPDATE mpesa_transactions
+          SET status = 'UNMATCHED', result_desc = $2, updated_at = now()
+        WHERE id = $1::uuid`,
+      [tx.id, "No wash matches the account reference."]
+    );
+    return { status: "UNMATCHED" };
+  }
+
+  try {
+    // Payment and transaction status go in together; a rejected payment
+    // only rolls back to here so the row can still be parked
+    const payment = await withSavepoint(db, async () => {
+      const { payments } = await recordPayments(
+        washId,
+        [
+          {
+            method: "MPESA",
+            amount: Number(tx.amount),
+            reference: tx.mpesa_receipt,
+            note: tx.kind === "STK" ? "M-Pesa STK push" : "M-Pesa paybill",
+            received_at: null,
+          },
+        ],
+        tx.requested_by,
+        db
+      );
+      await db.query(
+        `UPDATE mpesa_transactions
+            SET status = 'SUCCESS', wash_id = $2::uuid, payment_id = $3::uuid, updated_at = now()
+          WHERE id = $1::uuid`,
+        [tx.id, washId, payments[0].id]
+      );
+      return payments[0];
+    });
+    return { status: "SUCCESS", payment };
+  } catch (err) {
+    if (!err.status) throw err;
+    await db.query(
+      `UPDATE mpesa_transactions
+          SET status = 'UNMATCHED', wash_id = $2::uuid, result_desc = $3, updated_at = now()
+        WHERE id = $1::uuid`,
+      [tx.id, washId, err.message]
+    );
+    return { status: "UNMATCHED", reason: err.message };
+  }
+}
+
+// Daraja only cares that we answer 200 with this shape
+function ack(res, code = 0, desc = "Accepted") {
+  res.json({ ResultCode: code, ResultDesc: desc });
+}
+
+function checkToken(req, res, next) {
+  if (!isValidCallbackToken(req.params.token)) {
+    console.warn("🚫 M-Pesa callback with bad token");
+    return res.status(404).json({ error: "Not found" });
+  }
+  next();
+}
+
+/* ==========================================
+   STK push for a wash
+   POST /payments/mpesa/stk-push
+   Body: { wash_id, phone, amount? }  (amount defaults to the balance due)
+========================================== */
+router.post("/stk-push", requireAuth, requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { wash_id, phone } = req.body || {};
+  if (!wash_id || !phone) {
+    return res.status(400).json({ error: "wash_id and phone are required." });
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      SELECT w.id, w.receipt_no, w.unit_price, w.status,
+             w.unit_price - COALESCE((SELECT SUM(p.amount) FROM wash_payments p WHERE p.wash_id = w.id), 0) AS balance
+      FROM washes w
+      WHERE w.id = $1::uuid
+      `,
+      [wash_id]
+    );
+    const wash = rows[0];
+    if (!wash) return res.status(404).json({ error: "Wash record not found." });
+    if (["VOIDED", "REFUNDED"].includes(wash.status)) {
+      return res.status(409).json({ error: `Cannot take payment on a ${wash.status} wash.` });
+    }
+
+    const amount = Number(req.body.amount ?? wash.balance);
+    if (!(amount > 0) || amount > Number(wash.balance)) {
+      return res
+        .status(400)
+        .json({ error: `Amount must be between 1 and the balance due (${Number(wash.balance).toFixed(2)}).` });
+    }
+    if (!Number.isInteger(amount)) {
+      return res.status(400).json({ error: "M-Pesa only accepts whole shillings." });
+    }
+
+    const accountReference = washAccountReference(wash);
+    const ackBody = await stkPush({ phone, amount, accountReference, description: "Car wash" });
+
+    const { rows: txRows } = await query(
+      `
+      INSERT INTO mpesa_transactions
+        (kind, status, wash_id, merchant_request_id, checkout_request_id,
+         phone, amount, account_reference, requested_by, raw)
+      VALUES ('STK', 'PENDING', $1::uuid, $2, $3, $4, $5, $6, $7::uuid, $8::jsonb)
+      RETURNING *
+      `,
+      [
+        wash.id,
+        ackBody.MerchantRequestID,
+        ackBody.CheckoutRequestID,
+        ackBody.PhoneNumber,
+        amount,
+        accountReference,
+        req.user?.sub || null,
+        JSON.stringify(ackBody),
+      ]
+    );
+
+    res.status(201).json({ transaction: txRows[0], customer_message: ackBody.CustomerMessage });
+  } catch (err) {
+    console.error("❌ STK push failed:", err);
+    // Only our own validation messages go back; Daraja/config details stay in the log
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
+    res.status(err.status === 502 ? 502 : 500).json({ error: "Failed to start M-Pesa payment." });
+  }
+});
+
+/* ==========================================
+   Transactions (polling + reconciliation)
+   GET  /payments/mpesa/transactions?status=UNMATCHED&wash_id=
+   GET  /payments/mpesa/transactions/:id
+   POST /payments/mpesa/transactions/:id/allocate  Body: { wash_id }
+========================================== */
+router.get("/transactions", requireAuth, async (req, res) => {
+  const where = [];
+  const params = [];
+  const status = (req.query.status || "").toString().toUpperCase();
+  if (["PENDING", "SUCCESS", "FAILED", "UNMATCHED"].includes(status)) {
+    params.push(status);
+    where.push(`t.status = $${params.length}::mpesa_status`);
+  }
+  if (req.query.wash_id) {
+    params.push(req.query.wash_id);
+    where.push(`t.wash_id = $${params.length}::uuid`);
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      SELECT t.id, t.kind, t.status, t.wash_id, t.payment_id, t.checkout_request_id,
+             t.mpesa_receipt, t.phone, t.amount, t.account_reference,
+             t.result_code, t.result_desc, t.created_at, t.updated_at,
+             w.receipt_no
+      FROM mpesa_transactions t
+      LEFT JOIN washes w ON w.id = t.wash_id
+      ${where.length ? "WHERE " + where.join(" AND ") : ""}
+      ORDER BY t.created_at DESC
+      LIMIT 200
+      `,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error listing M-Pesa transactions:", err);
+    res.status(500).json({ error: "Failed to load M-Pesa transactions." });
+  }
+});
+
+router.get("/transactions/:id", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await query(
+      "SELECT * FROM mpesa_transactions WHERE id = $1::uuid",
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Transaction not found." });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("❌ Error loading M-Pesa transaction:", err);
+    res.status(500).json({ error: "Failed to load M-Pesa transaction." });
+  }
+});
+
+router.post(
+  "/transactions/:id/allocate",
+  requireAuth,
+  requireRole("ADMIN", "MANAGER"),
+  async (req, res) => {
+    const washId = req.body?.wash_id;
+    if (!washId) return res.status(400).json({ error: "wash_id is required." });
+
+    try {
+      const result = await withTransaction(async (db) => {
+        const { rows } = await db.query(
+          "SELECT * FROM mpesa_transactions WHERE id = $1::uuid FOR UPDATE",
+          [req.params.id]
+        );
+        const tx = rows[0];
+        if (!tx) return { status: "NOT_FOUND" };
+        if (tx.status !== "UNMATCHED") {
+          return { status: "CONFLICT", reason: `Only UNMATCHED transactions can be allocated (this one is ${tx.status}).` };
+        }
+        return settleTransaction({ ...tx, requested_by: req.user?.sub }, washId, db);
+      });
+      if (result.status === "NOT_FOUND") return res.status(404).json({ error: "Transaction not found." });
+      if (result.status !== "SUCCESS") {
+        return res.status(409).json({ error: result.reason || "Could not allocate payment." });
+      }
+      res.json(result);
+    } catch (err) {
+      console.error("❌ Error allocating M-Pesa transaction:", err);
+      res.status(500).json({ error: "Failed to allocate M-Pesa transaction." });
+    }
+  }
+);
+
+/** POST /payments/mpesa/c2b/register  (Admin) — tell Daraja where to send paybill payments */
+router.post("/c2b/register", requireAuth, requireRole("ADMIN"), async (_req, res) => {
+  try {
+    res.json(await registerC2BUrls());
+  } catch (err) {
+    console.error("❌ C2B URL registration failed:", err);
+    res.status(err.status === 502 ? 502 : 500).json({ error: "Failed to register C2B URLs." });
+  }
+});
+
+/* ==========================================
+   Daraja callbacks (public)
+========================================== */
+
+/** STK push result: POST /payments/mpesa/callback/stk/:token */
+router.post("/callback/stk/:token", checkToken, async (req, res) => {
+  try {
+    const cb = parseStkCallback(req.body);
+    if (!cb) return ack(res);
+
+    await withTransaction(async (db) => {
+      // Lock the row so a retried callback waits here and then sees it handled
+      const { rows } = await db.query(
+        "SELECT * FROM mpesa_transactions WHERE checkout_request_id = $1 FOR UPDATE",
+        [cb.checkoutRequestId]
+      );
+      const tx = rows[0];
+      if (!tx) {
+        console.warn("⚠️ STK callback for unknown CheckoutRequestID:", cb.checkoutRequestId);
+        return;
+      }
+      if (tx.status !== "PENDING") return; // Daraja retries; already handled
+
+      if (cb.resultCode !== "0") {
+        await db.query(
+          `UPDATE mpesa_transactions
+              SET status = 'FAILED', result_code = $2, result_desc = $3, raw = $4::jsonb, updated_at = now()
+            WHERE id = $1::uuid`,
+          [tx.id, cb.resultCode, cb.resultDesc, JSON.stringify(req.body)]
+        );
+        return;
+      }
+
+      const { rows: updated } = await db.query(
+        `UPDATE mpesa_transactions
+            SET result_code = $2, result_desc = $3, mpesa_receipt = $4,
+                amount = COALESCE($5, amount), raw = $6::jsonb, updated_at = now()
+          WHERE id = $1::uuid
+          RETURNING *`,
+        [tx.id, cb.resultCode, cb.resultDesc, cb.receipt, cb.amount, JSON.stringify(req.body)]
+      );
+
+      // STK rows already know their wash; fall back to the account reference
+      const washId = tx.wash_id || (await findWashByReference(tx.account_reference, db))?.id || null;
+      await settleTransaction(updated[0], washId, db);
+    });
+    ack(res);
+  } catch (err) {
+    console.error("❌ STK callback failed:", err);
+    ack(res); // never make Daraja retry forever; the row stays PENDING for follow-up
+  }
+});
+
+/** C2B validation: POST /payments/mpesa/c2b/validation/:token */
+router.post("/c2b/validation/:token", checkToken, async (req, res) => {
+  // Accept everything; unknown references are parked as UNMATCHED on confirmation
+  ack(res);
+});
+
+/** C2B confirmation: POST /payments/mpesa/c2b/confirmation/:token */
+router.post("/c2b/confirmation/:token", checkToken, async (req, res) => {
+  try {
+    const c2b = parseC2B(req.body);
+    if (!c2b) return ack(res);
+
+    await withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `
+        INSERT INTO mpesa_transactions
+          (kind, status, mpesa_receipt, phone, amount, account_reference, result_code, result_desc, raw)
+        VALUES ('C2B', 'PENDING', $1, $2, $3, $4, '0', $5, $6::jsonb)
+        ON CONFLICT (mpesa_receipt) DO NOTHING
+        RETURNING *
+        `,
+        [c2b.receipt, c2b.phone, c2b.amount, c2b.billRef, c2b.name, JSON.stringify(req.body)]
+      );
+      if (!rows[0]) return; // duplicate delivery
+
+      const wash = await findWashByReference(c2b.billRef, db);
+      await settleTransaction(rows[0], wash?.id || null, db);
+    });
+    ack(res);
+  } catch (err) {
+    console.error("❌ C2B confirmation failed:", err);
+    ack(res);
+  }
+});
+
+export default router;
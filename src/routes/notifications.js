@@ -0,0 +1,243 @@
+// src/routes/notifications.js
+// SMS outbox: templates, what was sent and its delivery status, manual
+// retry/cancel and the provider delivery-report callback. Messages are
+// queued by washes and the daily draw (utils/notifications.js).
+// The delivery-report route is public and guarded by SMS_CALLBACK_TOKEN
+// in the path instead.
+import express, { Router } from "express";
+import { query } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import {
+  NOTIFICATION_STATUSES,
+  queueNotification,
+  dispatchNotifications,
+  recordDelivery,
+} from "../utils/notifications.js";
+import { SMS_PROVIDERS, parseDeliveryReport, isValidDeliveryToken } from "../utils/smsProviders.js";
+
+const router = Router();
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+/* ==========================================
+   Delivery reports (public)
+   POST /notifications/delivery/:provider/:token
+   Africa's Talking posts form fields; the http gateway may post JSON.
+========================================== */
+router.post(
+  "/delivery/:provider/:token",
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    if (!isValidDeliveryToken(req.params.token) || !SMS_PROVIDERS.includes(req.params.provider)) {
+      console.warn("🚫 SMS delivery report with bad token or provider");
+      return res.status(404).json({ error: "Not found" });
+    }
+    try {
+      const report = parseDeliveryReport(req.body);
+      if (report) await recordDelivery({ ...report, provider: req.params.provider });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Error recording SMS delivery report:", err);
+      res.status(500).json({ error: "Failed to record delivery report." });
+    }
+  }
+);
+
+router.use(requireAuth);
+
+/* ========================================
+   OUTBOX
+   GET /notifications?status=QUEUED,FAILED&customer_id=&wash_id=&template=
+       limit (max 200) + offset; newest first
+======================================== */
+router.get("/", async (req, res) => {
+  const q = req.query;
+  const limit = Math.min(Math.max(parseInt(q.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+
+  const where = [];
+  const params = [];
+  const add = (sql, v) => {
+    params.push(v);
+    where.push(sql.replace("$?", `$${params.length}`));
+  };
+  const statuses = String(q.status || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter((s) => NOTIFICATION_STATUSES.includes(s));
+  if (statuses.length) add("n.status = ANY($?::notification_status[])", statuses);
+  if (q.customer_id) add("n.customer_id = $?::uuid", q.customer_id);
+  if (q.wash_id) add("n.wash_id = $?::uuid", q.wash_id);
+  if (q.template) add("n.template_code = $?", String(q.template).toUpperCase());
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  try {
+    const [list, count] = await Promise.all([
+      query(
+        `
+        SELECT n.*, c.name AS customer_name, w.receipt_no
+        FROM notifications n
+        LEFT JOIN customers c ON c.id = n.customer_id
+        LEFT JOIN washes w ON w.id = n.wash_id
+        ${whereSql}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::int AS total FROM notifications n ${whereSql}`, params),
+    ]);
+    const total = count.rows[0].total;
+    res.json({
+      items: list.rows,
+      page: { limit, offset, total, has_more: offset + list.rows.length < total },
+      sort: { by: "created_at", order: "desc" },
+    });
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid id." });
+    console.error("❌ Error listing notifications:", err);
+    res.status(500).json({ error: "Failed to list notifications." });
+  }
+});
+
+/* ========================================
+   TEMPLATES
+   GET /notifications/templates
+   PUT /notifications/templates/:code  (Admin/Manager)
+       Body: { body?, is_active?, description? }
+       Placeholders: {{name}} {{plate}} {{business_name}} and per event
+       {{receipt_no}} {{amount}} (CAR_READY), {{date}} (DAILY_WINNER),
+       {{reward}} (LOYALTY_NEXT_FREE)
+======================================== */
+router.get("/templates", async (_req, res) => {
+  try {
+    const { rows } = await query("SELECT * FROM notification_templates ORDER BY code");
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error listing notification templates:", err);
+    res.status(500).json({ error: "Failed to list notification templates." });
+  }
+});
+
+router.put("/templates/:code", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { body, is_active, description } = req.body || {};
+  if (body !== undefined && !(typeof body === "string" && body.trim())) {
+    return res.status(400).json({ error: "body must be non-empty text." });
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      UPDATE notification_templates
+      SET body = COALESCE($2, body),
+          is_active = COALESCE($3, is_active),
+          description = COALESCE($4, description),
+          updated_by = $5::uuid,
+          updated_at = now()
+      WHERE code = $1
+      RETURNING *
+      `,
+      [
+        String(req.params.code).toUpperCase(),
+        body?.trim() ?? null,
+        typeof is_active === "boolean" ? is_active : null,
+        description ?? null,
+        req.user?.sub || null,
+      ]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Template not found." });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("❌ Error updating notification template:", err);
+    res.status(500).json({ error: "Failed to update notification template." });
+  }
+});
+
+/* ========================================
+   TEST MESSAGE (Admin/Manager)
+   POST /notifications/test  Body: { to, template?, data? }
+   Queues a template (CAR_READY by default) with sample values.
+======================================== */
+router.post("/test", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { to, template = "CAR_READY", data = {} } = req.body || {};
+  try {
+    const sample = {
+      name: "Test",
+      plate: "KAA123A",
+      receipt_no: "TEST-0001",
+      amount: "0.00",
+      date: new Date().toISOString().slice(0, 10),
+      reward: "Test reward",
+    };
+    const row = await queueNotification({
+      template: String(template).toUpperCase(),
+      to,
+      data: { ...sample, ...data },
+      userId: req.user?.sub,
+    });
+    if (!row) return res.status(400).json({ error: "Nothing queued: check the phone number and that the template is active." });
+    res.status(201).json(row);
+  } catch (err) {
+    console.error("❌ Error queueing test SMS:", err);
+    res.status(500).json({ error: "Failed to queue test SMS." });
+  }
+});
+
+/* ========================================
+   DISPATCH NOW (Admin/Manager)
+   POST /notifications/dispatch?limit=20
+   The server also dispatches every SMS_DISPATCH_INTERVAL_MS.
+======================================== */
+router.post("/dispatch", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), LIST_MAX_LIMIT);
+  try {
+    res.json(await dispatchNotifications({ limit }));
+  } catch (err) {
+    console.error("❌ Error dispatching notifications:", err);
+    res.status(500).json({ error: "Failed to dispatch notifications." });
+  }
+});
+
+/* ========================================
+   RETRY / CANCEL (Admin/Manager)
+   POST /notifications/:id/retry   FAILED or CANCELLED -> QUEUED now
+   POST /notifications/:id/cancel  QUEUED -> CANCELLED
+======================================== */
+async function moveNotification(req, res, { from, to, extra = "" }) {
+  try {
+    const { rows } = await query(
+      `
+      UPDATE notifications
+      SET status = $2::notification_status, updated_at = now()${extra}
+      WHERE id = $1::uuid AND status = ANY($3::notification_status[])
+      RETURNING *
+      `,
+      [req.params.id, to, from]
+    );
+    if (rows[0]) return res.json(rows[0]);
+
+    const { rows: found } = await query("SELECT status FROM notifications WHERE id = $1::uuid", [req.params.id]);
+    if (!found[0]) return res.status(404).json({ error: "Notification not found." });
+    res.status(409).json({ error: `Only ${from.join(" or ")} messages can be moved to ${to} (this one is ${found[0].status}).` });
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid notification id." });
+    console.error("❌ Error updating notification:", err);
+    res.status(500).json({ error: "Failed to update notification." });
+  }
+}
+
+router.post("/:id/retry", requireRole("ADMIN", "MANAGER"), (req, res) =>
+  moveNotification(req, res, {
+    from: ["FAILED", "CANCELLED"],
+    to: "QUEUED",
+    // A manual retry gets a fresh set of attempts
+    extra: ", attempts = 0, next_attempt_at = now(), last_error = NULL",
+  })
+);
+
+router.post("/:id/cancel", requireRole("ADMIN", "MANAGER"), (req, res) =>
+  moveNotification(req, res, { from: ["QUEUED"], to: "CANCELLED" })
+);
+
+export default router;
@@ -0,0 +1,408 @@
+// src/routes/packages.js
+// Prepaid wash packages: plans, selling them to customers, balances.
+// Credits are used by POST /washes (see utils/packages.js).
+import { Router } from "express";
+import { query, withTransaction } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import {
+  PACKAGE_KINDS,
+  PACKAGE_BALANCE_SQL,
+  validatePlan,
+  packageStatus,
+} from "../utils/packages.js";
+import { normPayment } from "../utils/payments.js";
+import { normPlate } from "../utils/normalize.js";
+
+const router = Router();
+router.use(requireAuth);
+
+const PLAN_FIELDS = [
+  "code",
+  "name",
+  "description",
+  "kind",
+  "credits",
+  "validity_days",
+  "max_per_day",
+  "price",
+  "service_ids",
+  "car_type_ids",
+  "is_active",
+];
+
+// Empty strings from the admin form mean "not set"
+function pickPlan(body) {
+  const out = {};
+  for (const f of PLAN_FIELDS) {
+    if (body[f] === undefined) continue;
+    out[f] = body[f] === "" ? null : body[f];
+  }
+  if (typeof out.code === "string") out.code = out.code.trim().toUpperCase();
+  if (typeof out.kind === "string") out.kind = out.kind.toUpperCase();
+  return out;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+function withStatus(p) {
+  return { ...p, status: packageStatus(p) };
+}
+
+function planDbError(err, res, action) {
+  if (err.code === "23505") return res.status(400).json({ error: "A plan with that code already exists." });
+  if (err.code === "22P02" || err.code === "23514") {
+    return res.status(400).json({ error: "Invalid plan values." });
+  }
+  console.error(`❌ Error ${action} package plan:`, err);
+  return res.status(500).json({ error: `Failed to ${action} package plan.` });
+}
+
+/* ========================================
+   KINDS (for the admin form)
+======================================== */
+router.get("/kinds", (_req, res) => {
+  res.json(PACKAGE_KINDS);
+});
+
+/* ========================================
+   PLANS
+   GET    /packages/plans?active=true
+   POST   /packages/plans      (Admin/Manager)
+          Body: { code, name, kind: CREDITS|UNLIMITED, price, credits?,
+                  validity_days?, max_per_day?, service_ids?, car_type_ids?,
+                  description? }
+   PUT    /packages/plans/:id  (Admin/Manager) — send only what changes;
+          packages already sold keep their terms
+   DELETE /packages/plans/:id  (Admin/Manager) — plans already sold are
+          deactivated instead
+======================================== */
+router.get("/plans", async (req, res) => {
+  try {
+    const { rows } = await query(
+      `
+      SELECT pp.*,
+             (SELECT COUNT(*)::int FROM customer_packages cp WHERE cp.plan_id = pp.id) AS times_sold
+      FROM package_plans pp
+      ${req.query.active === "true" ? "WHERE pp.is_active = TRUE" : ""}
+      ORDER BY pp.is_active DESC, pp.price ASC, pp.name ASC
+      `
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching package plans:", err);
+    res.status(500).json({ error: "Failed to fetch package plans." });
+  }
+});
+
+router.post("/plans", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const p = { is_active: true, ...pickPlan(req.body) };
+  const invalid = validatePlan(p);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const { rows } = await query(
+      `
+      INSERT INTO package_plans
+        (code, name, description, kind, credits, validity_days, max_per_day, price,
+         service_ids, car_type_ids, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::uuid[], $10::uuid[], $11)
+      RETURNING *
+      `,
+      [
+        p.code,
+        p.name.toString().trim(),
+        p.description ?? null,
+        p.kind,
+        p.kind === "CREDITS" ? Number(p.credits) : null,
+        p.validity_days ?? null,
+        p.max_per_day ?? null,
+        Number(p.price),
+        p.service_ids ?? null,
+        p.car_type_ids ?? null,
+        !!p.is_active,
+      ]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    planDbError(err, res, "create");
+  }
+});
+
+router.put("/plans/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: found } = await query("SELECT * FROM package_plans WHERE id = $1::uuid", [id]);
+    if (!found[0]) return res.status(404).json({ error: "Package plan not found." });
+
+    const next = { ...found[0], ...pickPlan(req.body) };
+    const invalid = validatePlan(next);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { rows } = await query(
+      `
+      UPDATE package_plans
+      SET code = $1, name = $2, description = $3, kind = $4, credits = $5,
+          validity_days = $6, max_per_day = $7, price = $8,
+          service_ids = $9::uuid[], car_type_ids = $10::uuid[], is_active = $11,
+          updated_at = NOW()
+      WHERE id = $12::uuid
+      RETURNING *
+      `,
+      [
+        next.code,
+        next.name.toString().trim(),
+        next.description,
+        next.kind,
+        next.kind === "CREDITS" ? Number(next.credits) : null,
+        next.validity_days,
+        next.max_per_day,
+        Number(next.price),
+        next.service_ids,
+        next.car_type_ids,
+        !!next.is_active,
+        id,
+      ]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    planDbError(err, res, "update");
+  }
+});
+
+router.delete("/plans/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: sold } = await query("SELECT 1 FROM customer_packages WHERE plan_id = $1::uuid LIMIT 1", [id]);
+    if (sold.length) {
+      const { rowCount } = await query(
+        "UPDATE package_plans SET is_active = FALSE, updated_at = NOW() WHERE id = $1::uuid",
+        [id]
+      );
+      if (rowCount === 0) return res.status(404).json({ error: "Package plan not found." });
+      return res.json({ success: true, message: "Plan has been sold before; it was deactivated." });
+    }
+
+    const { rowCount } = await query("DELETE FROM package_plans WHERE id = $1::uuid", [id]);
+    if (rowCount === 0) return res.status(404).json({ error: "Package plan not found." });
+    res.json({ success: true, message: "Package plan deleted successfully." });
+  } catch (err) {
+    planDbError(err, res, "delete");
+  }
+});
+
+/* ========================================
+   LIST SOLD PACKAGES
+   ?customer_id=  ?plate=  ?status=ACTIVE|EXPIRED|USED_UP|CANCELLED|PENDING
+======================================== */
+router.get("/", async (req, res) => {
+  const params = [];
+  const where = [];
+  if (req.query.customer_id) {
+    params.push(req.query.customer_id);
+    where.push(`cp.customer_id = $${params.length}::uuid`);
+  }
+  if (req.query.plate) {
+    params.push(normPlate(req.query.plate));
+    where.push(`cp.vehicle_reg = $${params.length}`);
+  }
+  const status = req.query.status ? req.query.status.toString().toUpperCase() : null;
+
+  try {
+    const { rows } = await query(
+      `
+      SELECT b.*, c.name AS customer_name, c.phone AS customer_phone
+      FROM (${PACKAGE_BALANCE_SQL} ${where.length ? "WHERE " + where.join(" AND ") : ""}) b
+      JOIN customers c ON c.id = b.customer_id
+      ORDER BY b.sold_at DESC
+      `,
+      params
+    );
+    const list = rows.map(withStatus);
+    res.json(status ? list.filter((p) => p.status === status) : list);
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid customer id." });
+    console.error("❌ Error fetching packages:", err);
+    res.status(500).json({ error: "Failed to fetch packages." });
+  }
+});
+
+/* ========================================
+   ONE PACKAGE with its uses
+======================================== */
+router.get("/:id", async (req, res) => {
+  try {
+    const { rows } = await query(
+      `
+      SELECT b.*, c.name AS customer_name, c.phone AS customer_phone, u.name AS sold_by_name
+      FROM (${PACKAGE_BALANCE_SQL} WHERE cp.id = $1::uuid) b
+      JOIN customers c ON c.id = b.customer_id
+      LEFT JOIN users u ON u.id = b.sold_by
+      `,
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Package not found." });
+
+    const { rows: uses } = await query(
+      `
+      SELECT r.*, w.receipt_no, w.washed_at, w.vehicle_reg, w.status AS wash_status,
+             s.name AS service_name
+      FROM package_redemptions r
+      JOIN washes w ON w.id = r.wash_id
+      JOIN services s ON s.id = w.service_id
+      WHERE r.customer_package_id = $1::uuid
+      ORDER BY w.washed_at DESC
+      `,
+      [req.params.id]
+    );
+    res.json({ ...withStatus(rows[0]), redemptions: uses });
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid package id." });
+    console.error("❌ Error fetching package:", err);
+    res.status(500).json({ error: "Failed to fetch package." });
+  }
+});
+
+/* ========================================
+   SELL A PACKAGE (Admin/Manager)
+   Body: { plan_id, customer_id, vehicle_reg?, starts_at?, price?,
+           payment_method, payment_reference?, note? }
+   vehicle_reg ties the package to one car; without it any wash of the
+   customer can use it. price defaults to the plan price (fleet deals).
+   The money is deferred revenue until the package is used up or runs out.
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { plan_id, customer_id, starts_at = null, note = null } = req.body;
+  if (!plan_id || !customer_id) {
+    return res.status(400).json({ error: "plan_id and customer_id are required." });
+  }
+  const vehicleReg = req.body.vehicle_reg ? normPlate(req.body.vehicle_reg) : null;
+  const startsAt = starts_at ? new Date(starts_at) : new Date();
+  if (Number.isNaN(startsAt.getTime())) return res.status(400).json({ error: "starts_at is not a valid date/time." });
+
+  try {
+    const { rows: plans } = await query("SELECT * FROM package_plans WHERE id = $1::uuid", [plan_id]);
+    const plan = plans[0];
+    if (!plan) return res.status(404).json({ error: "Package plan not found." });
+    if (!plan.is_active) return res.status(409).json({ error: "This plan is no longer sold." });
+
+    const { rows: customers } = await query("SELECT id FROM customers WHERE id = $1::uuid", [customer_id]);
+    if (!customers[0]) return res.status(404).json({ error: "Customer not found." });
+
+    const price = req.body.price == null || req.body.price === "" ? Number(plan.price) : round2(req.body.price);
+    if (!(price >= 0)) return res.status(400).json({ error: "price must be zero or more." });
+    const payment =
+      price > 0
+        ? normPayment({ method: req.body.payment_method, amount: price, reference: req.body.payment_reference })
+        : null;
+
+    const expiresAt = plan.validity_days
+      ? new Date(startsAt.getTime() + plan.validity_days * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { rows } = await query(
+      `
+      INSERT INTO customer_packages
+        (plan_id, customer_id, vehicle_reg, kind, credits_total, max_per_day,
+         service_ids, car_type_ids, price_paid, payment_method, payment_reference,
+         starts_at, expires_at, note, sold_by)
+      VALUES ($1::uuid, $2::uuid, $3, $4, $5, $6, $7::uuid[], $8::uuid[], $9,
+              $10::payment_method, $11, $12::timestamptz, $13::timestamptz, $14, $15::uuid)
+      RETURNING *
+      `,
+      [
+        plan.id,
+        customer_id,
+        vehicleReg,
+        plan.kind,
+        plan.kind === "CREDITS" ? plan.credits : null,
+        plan.max_per_day,
+        plan.service_ids,
+        plan.car_type_ids,
+        price,
+        payment?.method || null,
+        payment?.reference || null,
+        startsAt.toISOString(),
+        expiresAt ? expiresAt.toISOString() : null,
+        note,
+        req.user?.sub || null,
+      ]
+    );
+    res.status(201).json(
+      withStatus({
+        ...rows[0],
+        plan_code: plan.code,
+        plan_name: plan.name,
+        credits_used: 0,
+        value_used: 0,
+        credits_left: rows[0].credits_total,
+      })
+    );
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid plan or customer id." });
+    console.error("❌ Error selling package:", err);
+    res.status(500).json({ error: "Failed to sell package." });
+  }
+});
+
+/* ========================================
+   CANCEL A PACKAGE (Admin/Manager)
+   Body: { refund_amount?, reason? }
+   Stops further use. The refund (paid out at the counter) can't exceed
+   what has not been earned yet; the rest is earned at cancellation.
+======================================== */
+router.post("/:id/cancel", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const refund = round2(req.body.refund_amount || 0);
+  if (!(refund >= 0)) return res.status(400).json({ error: "refund_amount must be zero or more." });
+
+  try {
+    const result = await withTransaction(async (db) => {
+      const { rows } = await db.query(`${PACKAGE_BALANCE_SQL} WHERE cp.id = $1::uuid FOR UPDATE OF cp`, [
+        req.params.id,
+      ]);
+      const p = rows[0];
+      if (!p) return { status: 404, body: { error: "Package not found." } };
+      if (p.cancelled_at) return { status: 409, body: { error: "Package is already cancelled." } };
+
+      const now = new Date();
+      let earned = Number(p.value_used);
+      if (p.kind === "UNLIMITED") {
+        const start = new Date(p.starts_at).getTime();
+        const end = new Date(p.expires_at).getTime();
+        earned = Number(p.price_paid) * Math.min(Math.max((now.getTime() - start) / (end - start), 0), 1);
+      }
+      const refundable = round2(Math.max(Number(p.price_paid) - earned, 0));
+      if (refund > refundable) {
+        return { status: 400, body: { error: `At most ${refundable.toFixed(2)} can be refunded.` } };
+      }
+
+      const { rows: updated } = await db.query(
+        `
+        UPDATE customer_packages
+        SET cancelled_at = $2::timestamptz,
+            refund_amount = $3,
+            note = CASE WHEN $4::text IS NULL THEN note
+                        ELSE concat_ws(E'\\n', note, 'Cancelled: ' || $4::text) END
+        WHERE id = $1::uuid
+        RETURNING *
+        `,
+        [p.id, now.toISOString(), refund, req.body.reason || null]
+      );
+      return {
+        status: 200,
+        body: withStatus({ ...p, ...updated[0], refundable }),
+      };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid package id." });
+    console.error("❌ Error cancelling package:", err);
+    res.status(500).json({ error: "Failed to cancel package." });
+  }
+});
+
+export default router;
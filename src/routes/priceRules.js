@@ -0,0 +1,311 @@
+// src/routes/priceRules.js
+// CRUD for time/calendar price rules and the public holiday calendar
+// (see utils/priceRules.js for how a rule is matched)
+import { Router } from "express";
+import { query } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import {
+  PRICE_RULE_MODES,
+  PRICE_RULE_HOLIDAYS,
+  validatePriceRule,
+  loadPricingContext,
+  resolvePrice,
+} from "../utils/priceRules.js";
+import { priceListAsOf } from "../utils/priceList.js";
+
+const router = Router();
+router.use(requireAuth);
+
+const RULE_FIELDS = [
+  "name",
+  "service_id",
+  "car_type_id",
+  "days_of_week",
+  "start_time",
+  "end_time",
+  "start_date",
+  "end_date",
+  "holidays",
+  "mode",
+  "value",
+  "priority",
+  "is_active",
+];
+
+// Empty strings from the admin form mean "not set"
+function pickRule(body) {
+  const out = {};
+  for (const f of RULE_FIELDS) {
+    if (body[f] === undefined) continue;
+    out[f] = body[f] === "" ? null : body[f];
+  }
+  if (typeof out.mode === "string") out.mode = out.mode.toUpperCase();
+  if (out.holidays === null) out.holidays = "ANY";
+  if (typeof out.holidays === "string") out.holidays = out.holidays.toUpperCase();
+  if (Array.isArray(out.days_of_week)) out.days_of_week = out.days_of_week.map(Number);
+  return out;
+}
+
+function ruleError(err, res, action) {
+  if (err.code === "23503") return res.status(400).json({ error: "Service or car type not found." });
+  if (err.code === "22P02" || err.code === "22007" || err.code === "23514") {
+    return res.status(400).json({ error: "Invalid price rule values." });
+  }
+  console.error(`❌ Error ${action} price rule:`, err);
+  return res.status(500).json({ error: `Failed to ${action} price rule.` });
+}
+
+/* ========================================
+   PUBLIC HOLIDAYS
+   GET    /price-rules/holidays?year=2026
+   PUT    /price-rules/holidays/:date   { name }
+   DELETE /price-rules/holidays/:date
+======================================== */
+router.get("/holidays", async (req, res) => {
+  const year = Number(req.query.year) || null;
+  try {
+    const { rows } = await query(
+      `
+      SELECT to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date, name
+      FROM public_holidays
+      WHERE $1::int IS NULL OR EXTRACT(YEAR FROM holiday_date) = $1::int
+      ORDER BY holiday_date
+      `,
+      [year]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching holidays:", err);
+    res.status(500).json({ error: "Failed to fetch holidays." });
+  }
+});
+
+router.put("/holidays/:date", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { date } = req.params;
+  const name = (req.body?.name || "").toString().trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+    return res.status(400).json({ error: "Date must be YYYY-MM-DD." });
+  }
+  if (!name) return res.status(400).json({ error: "name is required." });
+
+  try {
+    const { rows } = await query(
+      `
+      INSERT INTO public_holidays (holiday_date, name)
+      VALUES ($1::date, $2)
+      ON CONFLICT (holiday_date) DO UPDATE SET name = EXCLUDED.name
+      RETURNING to_char(holiday_date, 'YYYY-MM-DD') AS holiday_date, name
+      `,
+      [date, name]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("❌ Error saving holiday:", err);
+    res.status(500).json({ error: "Failed to save holiday." });
+  }
+});
+
+router.delete("/holidays/:date", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const { rowCount } = await query(
+      "DELETE FROM public_holidays WHERE holiday_date = $1::date",
+      [req.params.date]
+    );
+    if (rowCount === 0) return res.status(404).json({ error: "Holiday not found." });
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code === "22007" || err.code === "22008") {
+      return res.status(400).json({ error: "Date must be YYYY-MM-DD." });
+    }
+    console.error("❌ Error deleting holiday:", err);
+    res.status(500).json({ error: "Failed to delete holiday." });
+  }
+});
+
+/* ========================================
+   PREVIEW: price in effect for one service/car type
+   GET /price-rules/preview?service_id=&car_type_id=&at=
+======================================== */
+router.get("/preview", async (req, res) => {
+  const { service_id, car_type_id, at = null } = req.query;
+  if (!service_id || !car_type_id) {
+    return res.status(400).json({ error: "service_id and car_type_id are required." });
+  }
+  if (at && Number.isNaN(new Date(at).getTime())) {
+    return res.status(400).json({ error: "at must be a valid date/time." });
+  }
+
+  try {
+    const rows = (await priceListAsOf(at && new Date(at).toISOString())).filter(
+      (p) => p.service_id === service_id && p.car_type_id === car_type_id
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: "Price not configured for service & car type." });
+    }
+    const pricing = await loadPricingContext(at);
+    res.json({
+      at: pricing.at,
+      local: pricing.parts,
+      holiday: pricing.holiday,
+      ...resolvePrice(pricing, {
+        serviceId: service_id,
+        carTypeId: car_type_id,
+        basePrice: Number(rows[0].price),
+      }),
+    });
+  } catch (err) {
+    console.error("❌ Error previewing price:", err);
+    res.status(500).json({ error: "Failed to preview price." });
+  }
+});
+
+/* ========================================
+   MODES + HOLIDAY OPTIONS (for the admin form)
+======================================== */
+router.get("/types", (_req, res) => {
+  res.json({ modes: PRICE_RULE_MODES, holidays: PRICE_RULE_HOLIDAYS });
+});
+
+/* ========================================
+   LIST RULES (?active=true to hide disabled ones)
+======================================== */
+router.get("/", async (req, res) => {
+  try {
+    const onlyActive = req.query.active === "true";
+    const { rows } = await query(`
+      SELECT r.*, s.name AS service_name, ct.label AS car_type_label
+      FROM price_rules r
+      LEFT JOIN services s ON s.id = r.service_id
+      LEFT JOIN car_types ct ON ct.id = r.car_type_id
+      ${onlyActive ? "WHERE r.is_active = TRUE" : ""}
+      ORDER BY r.priority ASC, r.created_at ASC
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching price rules:", err);
+    res.status(500).json({ error: "Failed to fetch price rules." });
+  }
+});
+
+/* ========================================
+   CREATE RULE (Admin/Manager)
+   Body: { name, mode: FIXED|PERCENT, value, service_id?, car_type_id?,
+           days_of_week?: [0..6], start_time?, end_time?, start_date?,
+           end_date?, holidays?: ANY|ONLY|ALSO|EXCEPT, priority?, is_active? }
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const rule = { holidays: "ANY", priority: 100, is_active: true, ...pickRule(req.body) };
+  if (!rule.name) return res.status(400).json({ error: "name is required." });
+  const invalid = validatePriceRule(rule);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (!Number.isInteger(Number(rule.priority))) {
+    return res.status(400).json({ error: "priority must be an integer." });
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      INSERT INTO price_rules
+        (name, service_id, car_type_id, days_of_week, start_time, end_time,
+         start_date, end_date, holidays, mode, value, priority, is_active)
+      VALUES ($1, $2::uuid, $3::uuid, $4::smallint[], $5::time, $6::time,
+              $7::date, $8::date, $9, $10, $11, $12, $13)
+      RETURNING *
+      `,
+      [
+        rule.name,
+        rule.service_id ?? null,
+        rule.car_type_id ?? null,
+        rule.days_of_week ?? null,
+        rule.start_time ?? null,
+        rule.end_time ?? null,
+        rule.start_date ?? null,
+        rule.end_date ?? null,
+        rule.holidays,
+        rule.mode,
+        Number(rule.value),
+        Number(rule.priority),
+        !!rule.is_active,
+      ]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    ruleError(err, res, "create");
+  }
+});
+
+/* ========================================
+   UPDATE RULE (Admin/Manager)
+   Send only the fields to change; null clears an optional condition.
+======================================== */
+router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: found } = await query(
+      `
+      SELECT *, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+             to_char(end_date, 'YYYY-MM-DD') AS end_date
+      FROM price_rules WHERE id = $1::uuid
+      `,
+      [id]
+    );
+    if (!found[0]) return res.status(404).json({ error: "Price rule not found." });
+
+    const next = { ...found[0], ...pickRule(req.body) };
+    if (!next.name) return res.status(400).json({ error: "name is required." });
+    const invalid = validatePriceRule(next);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!Number.isInteger(Number(next.priority))) {
+      return res.status(400).json({ error: "priority must be an integer." });
+    }
+
+    const { rows } = await query(
+      `
+      UPDATE price_rules
+      SET name = $1, service_id = $2::uuid, car_type_id = $3::uuid,
+          days_of_week = $4::smallint[], start_time = $5::time, end_time = $6::time,
+          start_date = $7::date, end_date = $8::date, holidays = $9,
+          mode = $10, value = $11, priority = $12, is_active = $13,
+          updated_at = NOW()
+      WHERE id = $14::uuid
+      RETURNING *
+      `,
+      [
+        next.name,
+        next.service_id,
+        next.car_type_id,
+        next.days_of_week,
+        next.start_time,
+        next.end_time,
+        next.start_date,
+        next.end_date,
+        next.holidays,
+        next.mode,
+        Number(next.value),
+        Number(next.priority),
+        !!next.is_active,
+        id,
+      ]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    ruleError(err, res, "update");
+  }
+});
+
+/* ========================================
+   DELETE RULE (Admin/Manager)
+   Washes keep their prices; their lines just lose the rule link.
+======================================== */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const { rowCount } = await query("DELETE FROM price_rules WHERE id = $1::uuid", [req.params.id]);
+    if (rowCount === 0) return res.status(404).json({ error: "Price rule not found." });
+    res.json({ success: true });
+  } catch (err) {
+    ruleError(err, res, "delete");
+  }
+});
+
+export default router;
@@ -0,0 +1,206 @@
+// src/routes/promotions.js
+// CRUD for promotion rules (see utils/promoEngine.js for the rule types)
+import { Router } from "express";
+import { query } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { PROMO_TYPES, PROMO_STACKING, validatePromotion } from "../utils/promoEngine.js";
+
+const router = Router();
+router.use(requireAuth);
+
+function parseWindowDate(v, field) {
+  if (v === undefined) return { value: undefined };
+  if (v === null || v === "") return { value: null };
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return { error: `${field} is not a valid date/time.` };
+  return { value: d.toISOString() };
+}
+
+/* ========================================
+   1️⃣ LIST RULES (?active=true to hide disabled ones)
+======================================== */
+router.get("/", async (req, res) => {
+  try {
+    const onlyActive = req.query.active === "true";
+    const { rows } = await query(`
+      SELECT p.*,
+             (SELECT COUNT(*)::int FROM washes w WHERE w.promo_id = p.id) AS times_used
+      FROM promotions p
+      ${onlyActive ? "WHERE p.is_active = TRUE" : ""}
+      ORDER BY p.priority ASC, p.created_at ASC
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching promotion rules:", err);
+    res.status(500).json({ error: "Failed to fetch promotion rules." });
+  }
+});
+
+/* ========================================
+   2️⃣ RULE TYPES + STACKING POLICIES (for the admin form)
+======================================== */
+router.get("/types", (_req, res) => {
+  res.json({ types: Object.keys(PROMO_TYPES), stacking: PROMO_STACKING });
+});
+
+/* ========================================
+   3️⃣ CREATE RULE (Admin/Manager)
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const {
+    code,
+    name,
+    description = null,
+    type,
+    params = {},
+    priority = 100,
+    stacking = "EXCLUSIVE",
+    is_active = true,
+  } = req.body;
+
+  if (!code || !name) return res.status(400).json({ error: "Code and name are required." });
+  const invalid = validatePromotion({ type, params, stacking });
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (!Number.isInteger(Number(priority))) {
+    return res.status(400).json({ error: "priority must be an integer." });
+  }
+  const startsAt = parseWindowDate(req.body.starts_at, "starts_at");
+  const endsAt = parseWindowDate(req.body.ends_at, "ends_at");
+  const windowError = startsAt.error || endsAt.error;
+  if (windowError) return res.status(400).json({ error: windowError });
+  if (startsAt.value && endsAt.value && endsAt.value <= startsAt.value) {
+    return res.status(400).json({ error: "ends_at must be after starts_at." });
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      INSERT INTO promotions
+        (code, name, description, type, params, priority, stacking, starts_at, ends_at, is_active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7::promo_stacking, $8, $9, $10, NOW(), NOW())
+      RETURNING *
+      `,
+      [
+        String(code).trim().toUpperCase(),
+        name,
+        description,
+        type,
+        JSON.stringify(params),
+        Number(priority),
+        stacking,
+        startsAt.value ?? null,
+        endsAt.value ?? null,
+        !!is_active,
+      ]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(400).json({ error: "A promotion with that code already exists." });
+    }
+    console.error("❌ Error creating promotion rule:", err);
+    res.status(500).json({ error: "Failed to create promotion rule." });
+  }
+});
+
+/* ========================================
+   4️⃣ UPDATE RULE (Admin/Manager)
+   Code is fixed once created (built-in rules are looked up by it).
+======================================== */
+router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+  const { name, description, type, params, priority, stacking, is_active } = req.body;
+
+  try {
+    const { rows: found } = await query("SELECT * FROM promotions WHERE id = $1::uuid", [id]);
+    const current = found[0];
+    if (!current) return res.status(404).json({ error: "Promotion not found." });
+
+    const invalid = validatePromotion({
+      type: type ?? current.type,
+      params: params ?? current.params,
+      stacking,
+    });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (priority != null && !Number.isInteger(Number(priority))) {
+      return res.status(400).json({ error: "priority must be an integer." });
+    }
+    const startsAt = parseWindowDate(req.body.starts_at, "starts_at");
+    const endsAt = parseWindowDate(req.body.ends_at, "ends_at");
+    const windowError = startsAt.error || endsAt.error;
+    if (windowError) return res.status(400).json({ error: windowError });
+    const nextStart = startsAt.value === undefined ? current.starts_at : startsAt.value;
+    const nextEnd = endsAt.value === undefined ? current.ends_at : endsAt.value;
+    if (nextStart && nextEnd && new Date(nextEnd) <= new Date(nextStart)) {
+      return res.status(400).json({ error: "ends_at must be after starts_at." });
+    }
+
+    const { rows } = await query(
+      `
+      UPDATE promotions
+      SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description),
+        type = COALESCE($3, type),
+        params = COALESCE($4::jsonb, params),
+        priority = COALESCE($5, priority),
+        stacking = COALESCE($6::promo_stacking, stacking),
+        starts_at = $7,
+        ends_at = $8,
+        is_active = COALESCE($9, is_active),
+        updated_at = NOW()
+      WHERE id = $10::uuid
+      RETURNING *
+      `,
+      [
+        name,
+        description,
+        type,
+        params ? JSON.stringify(params) : null,
+        priority != null ? Number(priority) : null,
+        stacking,
+        nextStart,
+        nextEnd,
+        is_active,
+        id,
+      ]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("❌ Error updating promotion rule:", err);
+    res.status(500).json({ error: "Failed to update promotion rule." });
+  }
+});
+
+/* ========================================
+   5️⃣ DELETE RULE (Admin/Manager)
+   Rules already applied to washes are deactivated instead.
+======================================== */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: used } = await query(
+      "SELECT 1 FROM washes WHERE promo_id = $1::uuid LIMIT 1",
+      [id]
+    );
+    if (used.length) {
+      const { rowCount } = await query(
+        "UPDATE promotions SET is_active = FALSE, updated_at = NOW() WHERE id = $1::uuid",
+        [id]
+      );
+      if (rowCount === 0) return res.status(404).json({ error: "Promotion not found." });
+      return res.json({ success: true, message: "Promotion was used on past washes; it was deactivated." });
+    }
+
+    const { rowCount } = await query("DELETE FROM promotions WHERE id = $1::uuid", [id]);
+    if (rowCount === 0) return res.status(404).json({ error: "Promotion not found." });
+
+    res.json({ success: true, message: "Promotion deleted successfully." });
+  } catch (err) {
+    console.error("❌ Error deleting promotion rule:", err);
+    res.status(500).json({ error: "Failed to delete promotion rule." });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@
 import { Router } from 'express';
 import { query } from '../db.js';
 import { requireAuth } from '../middleware/auth.js';
+import { countedWashSql, notReversedSql } from '../utils/washStatus.js';
+import { packageRevenueSql } from '../utils/packages.js';
 
 const router = Router();
 router.use(requireAuth);
@@ -61,6 +63,7 @@ router.get('/daily', async (req, res) => {
       FROM washes
       WHERE washed_at >= $1::date
         AND washed_at <  ($1::date + interval '1 day')
+        AND ${countedWashSql('')}
     `;
     const sqlE = `
       SELECT COALESCE(SUM(amount),0)::numeric AS expenses
@@ -102,6 +105,7 @@ router.get('/summary', async (req, res) => {
         FROM washes
         WHERE washed_at >= $1::timestamptz
           AND washed_at <  $2::timestamptz
+          AND ${countedWashSql('')}
       ),
       e AS (
         SELECT COALESCE(SUM(amount),0)::numeric AS expenses
@@ -123,6 +127,7 @@ router.get('/summary', async (req, res) => {
       FROM washes
       WHERE washed_at >= $1::timestamptz
         AND washed_at <  $2::timestamptz
+        AND ${countedWashSql('')}
       GROUP BY 1
       ORDER BY 1
     `;
@@ -138,12 +143,44 @@ router.get('/summary', async (req, res) => {
       ORDER BY 1
     `;
 
-    const [{ rows: [t] }, { rows: ws }, { rows: es }] = await Promise.all([
+    // Money in per tender type for the washes in range (voided / refunded
+    // ones included), refunds handed back as one negative line, and what is
+    // still held against voided / refunded washes taken back out as REVERSED
+    // so the lines add up to the net paid on counted washes
+    const methodSql = `
+      SELECT CASE WHEN p.kind = 'REFUND' THEN 'REFUNDS' ELSE p.method::text END AS method,
+             COUNT(*)::int AS payments, COALESCE(SUM(p.amount),0)::numeric AS amount
+      FROM wash_payments p
+      JOIN washes w ON w.id = p.wash_id
+      WHERE w.washed_at >= $1::timestamptz
+        AND w.washed_at <  $2::timestamptz
+        AND (${countedWashSql('w')} OR NOT ${notReversedSql('w')})
+      GROUP BY 1
+      UNION ALL
+      SELECT 'REVERSED', COUNT(DISTINCT w.id)::int, -COALESCE(SUM(p.amount),0)::numeric
+      FROM wash_payments p
+      JOIN washes w ON w.id = p.wash_id
+      WHERE w.washed_at >= $1::timestamptz
+        AND w.washed_at <  $2::timestamptz
+        AND NOT ${notReversedSql('w')}
+      ORDER BY 1
+    `;
+
+    const [{ rows: [t] }, { rows: ws }, { rows: es }, { rows: ms }] = await Promise.all([
       query(totalsSql, [pStart, pEnd]),
       query(seriesSql, [pStart, pEnd]),
       query(expSeriesSql, [pStart, pEnd]),
+      query(methodSql, [pStart, pEnd]),
     ]);
 
+    // Revenue with no payment recorded (legacy rows, unpaid balances)
+    const recorded = ms.reduce((a, r) => a + Number(r.amount || 0), 0);
+    const by_payment_method = {
+      CASH: 0, MPESA: 0, CARD: 0, ACCOUNT: 0, REFUNDS: 0, REVERSED: 0,
+      ...Object.fromEntries(ms.map(r => [r.method, Number(r.amount || 0)])),
+      UNRECORDED: Math.round((Number(t?.revenue || 0) - recorded) * 100) / 100,
+    };
+
     const expenses = Number(t?.expenses || 0);
     const net_income = Number(t?.profit || 0) - expenses;
 
@@ -169,6 +206,7 @@ router.get('/summary', async (req, res) => {
         expenses,
         net_income,
       },
+      by_payment_method,
       daily,
     });
   } catch (err) {
@@ -186,19 +224,25 @@ router.get('/services', async (req, res) => {
     const pStart = toPgTs(start);
     const pEnd   = toPgTs(end);
 
+    // One row per ticket line; the ticket's charged amounts are shared
+    // across its lines in proportion to each line's list price.
     const sql = `
       SELECT
-        s.name AS service,
-        COUNT(*)::int                                 AS washes_count,
-        COALESCE(SUM(w.unit_price),0)::numeric        AS revenue,
-        COALESCE(SUM(w.commission_amount),0)::numeric AS commission,
-        COALESCE(SUM(w.profit_amount),0)::numeric     AS profit
-      FROM washes w
-      JOIN services s ON s.id = w.service_id
+        COALESCE(s.name, a.name) AS service,
+        CASE WHEN i.addon_id IS NULL THEN 'SERVICE' ELSE 'ADDON' END AS kind,
+        COUNT(*)::int AS washes_count,
+        ROUND(COALESCE(SUM(w.unit_price        * i.unit_price / NULLIF(w.subtotal, 0)),0), 2)::numeric AS revenue,
+        ROUND(COALESCE(SUM(w.commission_amount * i.unit_price / NULLIF(w.subtotal, 0)),0), 2)::numeric AS commission,
+        ROUND(COALESCE(SUM(w.profit_amount     * i.unit_price / NULLIF(w.subtotal, 0)),0), 2)::numeric AS profit
+      FROM wash_items i
+      JOIN washes w ON w.id = i.wash_id
+      LEFT JOIN services s ON s.id = i.service_id
+      LEFT JOIN addons a ON a.id = i.addon_id
       WHERE w.washed_at >= $1::timestamptz
         AND w.washed_at <  $2::timestamptz
-      GROUP BY 1
-      ORDER BY 1
+        AND ${countedWashSql('w')}
+      GROUP BY 1, 2
+      ORDER BY 2 DESC, 1
     `;
     const { rows } = await query(sql, [pStart, pEnd]);
     res.json(rows);
@@ -210,6 +254,10 @@ router.get('/services', async (req, res) => {
 
 /* ---------------------------------------------------------
    STAFF — accepts day/range/month (keeps ?date for compat)
+   Shared washes count once per washer with that washer's cut of
+   the commission (wash_staff.commission_amount).
+   Tips for washes in the range are reported beside commission
+   (tips_owed = not yet handed over); they are not part of it.
 --------------------------------------------------------- */
 router.get('/staff', async (req, res) => {
   try {
@@ -218,16 +266,43 @@ router.get('/staff', async (req, res) => {
     const pEnd   = toPgTs(end);
 
     const sql = `
+      WITH c AS (
+        SELECT
+          ws.staff_id,
+          COUNT(*)::int                                             AS washes_count,
+          COUNT(*) FILTER (WHERE ws.share_pct < 100)::int           AS shared_washes,
+          COALESCE(SUM(ws.commission_amount),0)::numeric            AS commission_to_pay
+        FROM wash_staff ws
+        JOIN washes w ON w.id = ws.wash_id
+        WHERE w.washed_at >= $1::timestamptz
+          AND w.washed_at <  $2::timestamptz
+          AND ${countedWashSql('w')}
+        GROUP BY 1
+      ),
+      t AS (
+        SELECT
+          t.staff_id,
+          COALESCE(SUM(t.amount),0)::numeric                                    AS tips_earned,
+          COALESCE(SUM(t.amount) FILTER (WHERE t.paid_at IS NULL),0)::numeric     AS tips_owed,
+          COALESCE(SUM(t.amount) FILTER (WHERE t.paid_at IS NOT NULL),0)::numeric AS tips_paid
+        FROM wash_tips t
+        JOIN washes w ON w.id = t.wash_id
+        WHERE w.washed_at >= $1::timestamptz
+          AND w.washed_at <  $2::timestamptz
+          AND ${notReversedSql('w')}
+        GROUP BY 1
+      )
       SELECT
         st.name AS staff_name,
-        COUNT(*)::int                                 AS washes_count,
-        COALESCE(SUM(w.commission_amount),0)::numeric AS commission_to_pay
-      FROM washes w
-      JOIN staff st ON st.id = w.staff_id
-      WHERE w.staff_id IS NOT NULL
-        AND w.washed_at >= $1::timestamptz
-        AND w.washed_at <  $2::timestamptz
-      GROUP BY 1
+        COALESCE(c.washes_count,0)::int          AS washes_count,
+        COALESCE(c.shared_washes,0)::int         AS shared_washes,
+        COALESCE(c.commission_to_pay,0)::numeric AS commission_to_pay,
+        COALESCE(t.tips_earned,0)::numeric       AS tips_earned,
+        COALESCE(t.tips_owed,0)::numeric         AS tips_owed,
+        COALESCE(t.tips_paid,0)::numeric         AS tips_paid
+      FROM c
+      FULL JOIN t ON t.staff_id = c.staff_id
+      JOIN staff st ON st.id = COALESCE(c.staff_id, t.staff_id)
       ORDER BY 1
     `;
     const { rows } = await query(sql, [pStart, pEnd]);
@@ -238,6 +313,244 @@ router.get('/staff', async (req, res) => {
   }
 });
 
+/* ---------------------------------------------------------
+   VOUCHERS — redemptions per campaign for day/range/month
+   Voided/refunded washes are left out. revenue is what those
+   tickets were still charged after the voucher.
+--------------------------------------------------------- */
+router.get('/vouchers', async (req, res) => {
+  try {
+    const { start, end, label } = resolveRange(req.query);
+    const params = [toPgTs(start), toPgTs(end)];
+
+    const { rows: campaigns } = await query(
+      `
+      SELECT
+        COALESCE(v.campaign, '(no campaign)')      AS campaign,
+        COUNT(DISTINCT v.id)::int                   AS codes_used,
+        COUNT(*)::int                               AS redemptions,
+        COUNT(DISTINCT COALESCE(r.customer_id::text, r.vehicle_reg))::int AS customers,
+        COALESCE(SUM(r.amount),0)::numeric          AS discount_given,
+        COALESCE(SUM(w.unit_price),0)::numeric      AS revenue
+      FROM voucher_redemptions r
+      JOIN vouchers v ON v.id = r.voucher_id
+      JOIN washes w ON w.id = r.wash_id
+      WHERE w.washed_at >= $1::timestamptz
+        AND w.washed_at <  $2::timestamptz
+        AND ${countedWashSql('w')}
+      GROUP BY 1
+      ORDER BY redemptions DESC, 1
+      `,
+      params
+    );
+
+    const { rows: codes } = await query(
+      `
+      SELECT
+        v.id AS voucher_id, v.code, v.campaign, v.kind, v.value, v.max_uses,
+        COUNT(*)::int                          AS redemptions,
+        COALESCE(SUM(r.amount),0)::numeric     AS discount_given,
+        COALESCE(SUM(w.unit_price),0)::numeric AS revenue
+      FROM voucher_redemptions r
+      JOIN vouchers v ON v.id = r.voucher_id
+      JOIN washes w ON w.id = r.wash_id
+      WHERE w.washed_at >= $1::timestamptz
+        AND w.washed_at <  $2::timestamptz
+        AND ${countedWashSql('w')}
+      GROUP BY v.id
+      ORDER BY v.campaign NULLS LAST, redemptions DESC
+      `,
+      params
+    );
+
+    res.json({ label, campaigns, codes });
+  } catch (err) {
+    console.error('❌ /reports/vouchers error:', err);
+    res.status(500).json({ error: 'Failed to load voucher report.' });
+  }
+});
+
+/* ---------------------------------------------------------
+   REVERSALS — voids & refunds for day/range/month (audit)
+   Reversed washes are already excluded from the reports above;
+   this lists what was taken out and why.
+--------------------------------------------------------- */
+router.get('/reversals', async (req, res) => {
+  try {
+    const { start, end } = resolveRange(req.query);
+    const pStart = toPgTs(start);
+    const pEnd   = toPgTs(end);
+
+    const sql = `
+      SELECT
+        r.id, r.kind, r.reason, r.amount, r.commission_amount, r.profit_amount,
+        r.receipt_no, r.created_at,
+        w.id AS wash_id, w.washed_at, w.vehicle_reg,
+        u.name AS reversed_by
+      FROM wash_reversals r
+      JOIN washes w ON w.id = r.wash_id
+      LEFT JOIN users u ON u.id = r.created_by
+      WHERE r.created_at >= $1::timestamptz
+        AND r.created_at <  $2::timestamptz
+      ORDER BY r.created_at DESC
+    `;
+    const { rows } = await query(sql, [pStart, pEnd]);
+
+    const totals = { VOID: { count: 0, amount: 0 }, REFUND: { count: 0, amount: 0 } };
+    for (const r of rows) {
+      totals[r.kind].count += 1;
+      totals[r.kind].amount += Number(r.amount || 0);
+    }
+
+    res.json({ range: { start: pStart, end: pEnd }, totals, items: rows });
+  } catch (err) {
+    console.error('❌ /reports/reversals error:', err);
+    res.status(500).json({ error: 'Failed to load reversals report.' });
+  }
+});
+
+/* ---------------------------------------------------------
+   RECEIPT AUDIT — gap check on the daily receipt sequence
+   Every allocated number belongs to a wash (voided/refunded
+   washes keep theirs), so "missing" should always be empty.
+--------------------------------------------------------- */
+router.get('/receipt-audit', async (req, res) => {
+  try {
+    const { start, end } = resolveRange(req.query);
+    const dStart = toPgTs(start).slice(0, 10);
+    const dEnd   = toPgTs(end).slice(0, 10);
+
+    const daysSql = `
+      SELECT
+        s.business_day::text AS business_day,
+        s.last_seq,
+        COUNT(w.id)::int AS issued,
+        COUNT(w.id) FILTER (WHERE w.status IN ('VOIDED','REFUNDED'))::int AS reversed,
+        COALESCE((
+          SELECT array_agg(g.n ORDER BY g.n)
+          FROM generate_series(1, s.last_seq) AS g(n)
+          WHERE NOT EXISTS (
+            SELECT 1 FROM washes x
+            WHERE x.receipt_day = s.business_day AND x.receipt_seq = g.n
+          )
+        ), '{}') AS missing
+      FROM receipt_sequences s
+      LEFT JOIN washes w ON w.receipt_day = s.business_day
+      WHERE s.business_day >= $1::date
+        AND s.business_day <  $2::date
+      GROUP BY s.business_day, s.last_seq
+      ORDER BY s.business_day
+    `;
+    const reversedSql = `
+      SELECT w.id, w.receipt_no, w.receipt_day::text AS business_day, w.receipt_seq,
+             w.status, w.reversal_reason, w.reversed_at
+      FROM washes w
+      WHERE w.receipt_day >= $1::date
+        AND w.receipt_day <  $2::date
+        AND w.status IN ('VOIDED','REFUNDED')
+      ORDER BY w.receipt_day, w.receipt_seq
+    `;
+    // Receipts issued before sequential numbering (random SH-XXXXXXXX)
+    const legacySql = `
+      SELECT COUNT(*)::int AS count
+      FROM washes
+      WHERE receipt_seq IS NULL
+        AND washed_at >= $1::timestamptz
+        AND washed_at <  $2::timestamptz
+    `;
+
+    const [days, reversed, legacy] = await Promise.all([
+      query(daysSql, [dStart, dEnd]),
+      query(reversedSql, [dStart, dEnd]),
+      query(legacySql, [toPgTs(start), toPgTs(end)]),
+    ]);
+
+    const missingCount = days.rows.reduce((a, d) => a + d.missing.length, 0);
+    res.json({
+      range: { start: dStart, end: dEnd },
+      ok: missingCount === 0,
+      missing_count: missingCount,
+      days: days.rows,
+      reversed: reversed.rows,
+      legacy_unsequenced: legacy.rows[0]?.count || 0,
+    });
+  } catch (err) {
+    console.error('❌ /reports/receipt-audit error:', err);
+    res.status(500).json({ error: 'Failed to load receipt audit.' });
+  }
+});
+
+/* ---------------------------------------------------------
+   LATE EDITS — washes changed more than ?hours (default 24)
+   after washed_at, by edit time (day/range/month). washed_at is taken
+   as first recorded (CREATE / BASELINE version), or as it was before
+   the edit if earlier, so moving washed_at later can't hide an edit.
+--------------------------------------------------------- */
+router.get('/late-edits', async (req, res) => {
+  try {
+    const { start, end } = resolveRange(req.query);
+    const pStart = toPgTs(start);
+    const pEnd   = toPgTs(end);
+    const hours = Number(req.query.hours ?? 24);
+    if (!Number.isFinite(hours) || hours < 0) {
+      return res.status(400).json({ error: 'hours must be a non-negative number.' });
+    }
+
+    const sql = `
+      SELECT
+        e.*,
+        ROUND(EXTRACT(EPOCH FROM (e.changed_at - e.original_washed_at)) / 3600.0, 1) AS hours_after_wash
+      FROM (
+        SELECT
+          h.wash_id, h.version, h.action, h.changes, h.reason, h.changed_at,
+          u.name AS changed_by,
+          w.receipt_no, w.vehicle_reg, w.washed_at, w.unit_price, w.status,
+          COALESCE(
+            LEAST((h0.snapshot->>'washed_at')::timestamptz,
+                  (h.changes->'washed_at'->>'from')::timestamptz),
+            w.washed_at
+          ) AS original_washed_at
+        FROM wash_history h
+        JOIN washes w ON w.id = h.wash_id
+        LEFT JOIN users u ON u.id = h.changed_by
+        LEFT JOIN LATERAL (
+          SELECT f.snapshot FROM wash_history f
+          WHERE f.wash_id = h.wash_id AND f.action IN ('CREATE','BASELINE')
+          ORDER BY f.version
+          LIMIT 1
+        ) h0 ON TRUE
+        WHERE h.action IN ('UPDATE','VOID','REFUND')
+          AND h.changed_at >= $1::timestamptz
+          AND h.changed_at <  $2::timestamptz
+      ) e
+      WHERE e.changed_at > e.original_washed_at + make_interval(secs => $3::float8 * 3600)
+      ORDER BY e.changed_at DESC
+    `;
+    const { rows } = await query(sql, [pStart, pEnd, hours]);
+
+    // Price drops are what auditors look for first
+    const priceDrops = rows.filter((r) => {
+      const c = r.changes?.unit_price;
+      return c && Number(c.to) < Number(c.from);
+    });
+
+    res.json({
+      range: { start: pStart, end: pEnd },
+      hours,
+      total_edits: rows.length,
+      washes_affected: new Set(rows.map((r) => r.wash_id)).size,
+      price_drops: priceDrops.length,
+      price_drop_amount: priceDrops.reduce(
+        (a, r) => a + (Number(r.changes.unit_price.from) - Number(r.changes.unit_price.to)), 0
+      ),
+      items: rows,
+    });
+  } catch (err) {
+    console.error('❌ /reports/late-edits error:', err);
+    res.status(500).json({ error: 'Failed to load late edits report.' });
+  }
+});
+
 /* ---------------------------------------------------------
    EXPENSES — totals + list for day/range/month
 --------------------------------------------------------- */
@@ -279,6 +592,9 @@ router.get('/expenses', async (req, res) => {
 
 /* ---------------------------------------------------------
    PROFIT & LOSS — totals + daily series for day/range/month
+   Prepaid packages: sales go to deferred_revenue; package_revenue is
+   what the period earned from them (see utils/packages.js) and counts
+   in net income. Washes paid by a package carry only their commission.
 --------------------------------------------------------- */
 router.get('/profit-loss', async (req, res) => {
   try {
@@ -295,15 +611,30 @@ router.get('/profit-loss', async (req, res) => {
         FROM washes
         WHERE washed_at >= $1::timestamptz
           AND washed_at <  $2::timestamptz
+          AND ${countedWashSql('')}
       ),
       e AS (
         SELECT COALESCE(SUM(amount),0)::numeric AS expenses
         FROM expenses
         WHERE spent_at >= $1::timestamptz
           AND spent_at <  $2::timestamptz
+      ),
+      p AS (
+        SELECT
+          COALESCE((SELECT SUM(price_paid) FROM customer_packages
+                     WHERE sold_at >= $1::timestamptz AND sold_at < $2::timestamptz), 0)::numeric AS sales,
+          COALESCE((SELECT SUM(refund_amount) FROM customer_packages
+                     WHERE cancelled_at >= $1::timestamptz AND cancelled_at < $2::timestamptz), 0)::numeric AS refunds,
+          ${packageRevenueSql('$1::timestamptz', '$2::timestamptz')}::numeric AS earned,
+          (COALESCE((SELECT SUM(price_paid - CASE WHEN cancelled_at < $2::timestamptz THEN refund_amount ELSE 0 END)
+                       FROM customer_packages
+                      WHERE sold_at < $2::timestamptz), 0)
+           - ${packageRevenueSql("'-infinity'::timestamptz", '$2::timestamptz')})::numeric AS deferred
       )
-      SELECT w.revenue, w.commission, w.profit, e.expenses
-      FROM w CROSS JOIN e
+      SELECT w.revenue, w.commission, w.profit, e.expenses,
+             p.sales AS package_sales, p.refunds AS package_refunds,
+             p.earned AS package_revenue, p.deferred AS deferred_revenue
+      FROM w CROSS JOIN e CROSS JOIN p
     `;
 
     const seriesSql = `
@@ -316,6 +647,7 @@ router.get('/profit-loss', async (req, res) => {
         FROM washes
         WHERE washed_at >= $1::timestamptz
           AND washed_at <  $2::timestamptz
+          AND ${countedWashSql('')}
         GROUP BY 1
       ),
       es AS (
@@ -326,15 +658,29 @@ router.get('/profit-loss', async (req, res) => {
         WHERE spent_at >= $1::timestamptz
           AND spent_at <  $2::timestamptz
         GROUP BY 1
+      ),
+      ps AS (
+        SELECT day, package_revenue
+        FROM (
+          SELECT
+            d::date AS day,
+            ${packageRevenueSql('GREATEST(d, $1::timestamptz)', "LEAST(d + interval '1 day', $2::timestamptz)")}::numeric
+              AS package_revenue
+          FROM generate_series(date_trunc('day', $1::timestamptz), $2::timestamptz - interval '1 microsecond',
+                               interval '1 day') d
+        ) x
+        WHERE package_revenue <> 0
       )
       SELECT
-        COALESCE(ws.day, es.day)            AS day,
-        COALESCE(ws.revenue, 0)::numeric    AS revenue,
-        COALESCE(ws.commission, 0)::numeric AS commission,
-        COALESCE(ws.profit, 0)::numeric     AS profit,
-        COALESCE(es.expenses, 0)::numeric   AS expenses
+        COALESCE(ws.day, es.day, ps.day)        AS day,
+        COALESCE(ws.revenue, 0)::numeric         AS revenue,
+        COALESCE(ws.commission, 0)::numeric      AS commission,
+        COALESCE(ws.profit, 0)::numeric          AS profit,
+        COALESCE(es.expenses, 0)::numeric        AS expenses,
+        COALESCE(ps.package_revenue, 0)::numeric AS package_revenue
       FROM ws
       FULL OUTER JOIN es ON ws.day = es.day
+      FULL OUTER JOIN ps ON ps.day = COALESCE(ws.day, es.day)
       ORDER BY day
     `;
 
@@ -343,12 +689,22 @@ router.get('/profit-loss', async (req, res) => {
       query(seriesSql, [pStart, pEnd]),
     ]);
 
+    // Package money: sales are deferred; what the period earned from
+    // packages joins the wash profit in net income
+    const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
     const totals = {
       revenue: Number(t?.revenue || 0),
       commission: Number(t?.commission || 0),
       profit: Number(t?.profit || 0),
       expenses: Number(t?.expenses || 0),
-      net_income: Number(t?.profit || 0) - Number(t?.expenses || 0),
+      package_revenue: round2(t?.package_revenue),
+      net_income: round2(Number(t?.profit || 0) + Number(t?.package_revenue || 0) - Number(t?.expenses || 0)),
+    };
+    const deferred_revenue = {
+      package_sales: Number(t?.package_sales || 0),
+      package_refunds: Number(t?.package_refunds || 0),
+      recognized: round2(t?.package_revenue),
+      balance_at_end: round2(t?.deferred_revenue),
     };
 
     const daily = series.map(r => ({
@@ -357,10 +713,11 @@ router.get('/profit-loss', async (req, res) => {
       commission: Number(r.commission || 0),
       profit: Number(r.profit || 0),
       expenses: Number(r.expenses || 0),
-      net: Number(r.profit || 0) - Number(r.expenses || 0),
+      package_revenue: round2(r.package_revenue),
+      net: round2(Number(r.profit || 0) + Number(r.package_revenue || 0) - Number(r.expenses || 0)),
     }));
 
-    res.json({ range: { start: pStart, end: pEnd }, totals, daily });
+    res.json({ range: { start: pStart, end: pEnd }, totals, deferred_revenue, daily });
   } catch (err) {
     console.error('❌ /reports/profit-loss error:', err);
     res.status(500).json({ error: 'Failed to load profit & loss report.' });
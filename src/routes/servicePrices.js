@@ -1,38 +1,150 @@
 // src/routes/servicePrices.js
 import { Router } from 'express';
-import { query } from '../db.js';
+import { query, withTransaction } from '../db.js';
 import { requireAuth, requireRole } from '../middleware/auth.js';
+import { setServicePrice, priceHistory, priceListAsOf } from '../utils/priceList.js';
 
 const router = Router();
 router.use(requireAuth);
 
 /**
  * PUT /services/:serviceId/prices/:carTypeId
- * Body: { price: number }
- * Upserts a price for (service, car type)
+ * Body: { price: number, effective_from?: ISO date/time, note?: string }
+ * Records a price for (service, car type). Without effective_from it applies
+ * now; a future date schedules the change and the current price stays until then.
  */
 router.put('/services/:serviceId/prices/:carTypeId', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   const { serviceId, carTypeId } = req.params;
-  const { price } = req.body;
-
-  if (price == null || isNaN(Number(price))) {
-    return res.status(400).json({ error: 'Valid price is required.' });
-  }
+  const { price, effective_from = null, note = null } = req.body;
 
   try {
-    const sql = `
-      INSERT INTO service_prices (service_id, car_type_id, price)
-      VALUES ($1,$2,$3)
-      ON CONFLICT (service_id, car_type_id)
-      DO UPDATE SET price = EXCLUDED.price
-      RETURNING service_id, car_type_id, price
-    `;
-    const { rows } = await query(sql, [serviceId, carTypeId, Number(price)]);
-    res.json(rows[0]);
+    const change = await withTransaction((db) =>
+      setServicePrice(
+        { serviceId, carTypeId, price, effectiveFrom: effective_from, note, userId: req.user?.sub },
+        db
+      )
+    );
+    res.json({
+      service_id: change.service_id,
+      car_type_id: change.car_type_id,
+      price: change.price,
+      effective_from: change.effective_from,
+      scheduled: change.scheduled,
+      change_id: change.id,
+    });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error('Upsert service price failed', e);
     res.status(500).json({ error: 'Failed to save price' });
   }
 });
 
+/**
+ * GET /services/:serviceId/prices/:carTypeId/history
+ * Every change for the pair, scheduled ones included (scheduled = true).
+ */
+router.get('/services/:serviceId/prices/:carTypeId/history', async (req, res) => {
+  const { serviceId, carTypeId } = req.params;
+  try {
+    res.json(await priceHistory(serviceId, carTypeId));
+  } catch (e) {
+    if (e.code === '22P02') return res.status(400).json({ error: 'Invalid service or car type id.' });
+    console.error('Load price history failed', e);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
+/**
+ * GET /price-list?as_of=YYYY-MM-DD | ISO date/time
+ * The price list as it stood at the end of that day (or at that moment);
+ * defaults to now.
+ */
+router.get('/price-list', async (req, res) => {
+  const asOf = req.query.as_of || null;
+  try {
+    const prices = await priceListAsOf(asOf);
+    const { rows: services } = await query('SELECT id, name FROM services ORDER BY name');
+    const { rows: carTypes } = await query(
+      'SELECT id, label FROM car_types ORDER BY sort_order ASC NULLS LAST, label ASC'
+    );
+    const label = Object.fromEntries(carTypes.map((ct) => [ct.id, ct.label]));
+
+    res.json({
+      as_of: asOf || new Date().toISOString(),
+      services: services.map((s) => ({
+        service_id: s.id,
+        service_name: s.name,
+        prices: prices
+          .filter((p) => p.service_id === s.id)
+          .map((p) => ({
+            car_type_id: p.car_type_id,
+            car_type_label: label[p.car_type_id] || null,
+            price: Number(p.price),
+            effective_from: p.effective_from,
+          })),
+      })),
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('Load price list failed', e);
+    res.status(500).json({ error: 'Failed to load price list' });
+  }
+});
+
+/**
+ * GET /price-list/scheduled
+ * Price changes that have not taken effect yet.
+ */
+router.get('/price-list/scheduled', async (_req, res) => {
+  try {
+    const { rows } = await query(`
+      SELECT h.*, s.name AS service_name, ct.label AS car_type_label,
+             cur.price AS current_price, u.name AS changed_by_name
+      FROM service_price_history h
+      JOIN services s ON s.id = h.service_id
+      JOIN car_types ct ON ct.id = h.car_type_id
+      LEFT JOIN LATERAL (
+        SELECT c.price
+        FROM service_price_history c
+        WHERE c.service_id = h.service_id AND c.car_type_id = h.car_type_id
+          AND c.effective_from <= now()
+        ORDER BY c.effective_from DESC, c.created_at DESC
+        LIMIT 1
+      ) cur ON TRUE
+      LEFT JOIN users u ON u.id = h.changed_by
+      WHERE h.effective_from > now()
+      ORDER BY h.effective_from, s.name, ct.label
+    `);
+    res.json(rows);
+  } catch (e) {
+    console.error('Load scheduled prices failed', e);
+    res.status(500).json({ error: 'Failed to load scheduled prices' });
+  }
+});
+
+/**
+ * DELETE /price-list/scheduled/:id
+ * Cancel a scheduled change before it takes effect. Past changes stay.
+ */
+router.delete('/price-list/scheduled/:id', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    const { rows } = await query(
+      'SELECT effective_from > now() AS scheduled FROM service_price_history WHERE id = $1::uuid',
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Price change not found' });
+    if (!rows[0].scheduled) {
+      return res.status(409).json({ error: 'This price is already in effect; record a new price instead' });
+    }
+    await query('DELETE FROM service_price_history WHERE id = $1::uuid AND effective_from > now()', [
+      req.params.id,
+    ]);
+    res.json({ success: true });
+  } catch (e) {
+    if (e.code === '22P02') return res.status(400).json({ error: 'Invalid id' });
+    console.error('Cancel scheduled price failed', e);
+    res.status(500).json({ error: 'Failed to cancel scheduled price' });
+  }
+});
+
 export default router;
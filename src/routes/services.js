@@ -1,7 +1,8 @@
 // src/routes/services.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import { setServicePrice, priceListAsOf } from "../utils/priceList.js";
 
 const router = Router();
 
@@ -19,9 +20,8 @@ router.get("/", async (_req, res) => {
     const { rows: carTypes } = await query(
       "SELECT id, label, description, sort_order FROM car_types ORDER BY sort_order"
     );
-    const { rows: prices } = await query(
-      "SELECT service_id, car_type_id, price FROM service_prices"
-    );
+    // Prices in effect now (scheduled changes count once their date passes)
+    const prices = await priceListAsOf();
 
     const data = services.map((s) => ({
       ...s,
@@ -102,24 +102,23 @@ router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
 
 /* ========================================
    4️⃣ UPDATE price for one car type
+   Body: { price, effective_from?, note? } — kept in the price history
 ======================================== */
 router.put("/:serviceId/price/:carTypeId", requireRole("ADMIN", "MANAGER"), async (req, res) => {
   const { serviceId, carTypeId } = req.params;
-  const { price } = req.body;
+  const { price, effective_from = null, note = null } = req.body;
 
   try {
-    await query(
-      `
-      INSERT INTO service_prices (service_id, car_type_id, price, created_at, updated_at)
-      VALUES ($1, $2, $3, NOW(), NOW())
-      ON CONFLICT (service_id, car_type_id)
-      DO UPDATE SET price = EXCLUDED.price, updated_at = NOW()
-      `,
-      [serviceId, carTypeId, price]
+    const change = await withTransaction((db) =>
+      setServicePrice(
+        { serviceId, carTypeId, price, effectiveFrom: effective_from, note, userId: req.user?.sub },
+        db
+      )
     );
 
-    res.json({ success: true });
+    res.json({ success: true, scheduled: change.scheduled, effective_from: change.effective_from });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("❌ Error updating service price:", err);
     res.status(500).json({ error: "Failed to update price." });
   }
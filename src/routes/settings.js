@@ -3,6 +3,8 @@ import { Router } from 'express';
 import bcrypt from 'bcryptjs';
 import { query } from '../db.js';
 import { requireAuth, requireRole } from '../middleware/auth.js';
+import { validateReceiptFormat } from '../utils/receiptNo.js';
+import { REWARD_SCOPES } from '../utils/promoEngine.js';
 
 const router = Router();
 router.use(requireAuth);
@@ -42,6 +44,11 @@ router.get('/', async (_req, res) => {
 /** UPDATE settings
  * Admin + Manager allowed to update business/receipt prefs.
  * If you want to restrict some fields to ADMIN only, add checks here.
+ * Loyalty points: loyalty_points_per_shilling / loyalty_points_per_wash
+ * (earning), loyalty_point_value (KES per point when redeemed),
+ * loyalty_free_service_points and loyalty_points_expiry_days (0 = off).
+ * reward_scope: CUSTOMER or VEHICLE — whether every-Nth-wash and
+ * featured-vehicle rewards count per customer or per car.
  */
 router.put('/', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   const {
@@ -54,8 +61,42 @@ router.put('/', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
     receipt_header,
     receipt_footer,
     show_staff_on_receipt,
+    receipt_no_prefix,
+    receipt_no_format,
+    loyalty_points_per_shilling,
+    loyalty_points_per_wash,
+    loyalty_point_value,
+    loyalty_free_service_points,
+    loyalty_points_expiry_days,
+    reward_scope,
   } = req.body;
 
+  if (receipt_no_format != null) {
+    const fmtError = validateReceiptFormat(receipt_no_format);
+    if (fmtError) return res.status(400).json({ error: fmtError });
+  }
+  if (receipt_no_prefix != null && !/^[A-Za-z0-9-]{0,10}$/.test(receipt_no_prefix)) {
+    return res.status(400).json({ error: 'receipt_no_prefix may only use letters, digits and "-" (max 10).' });
+  }
+  if (reward_scope != null && !REWARD_SCOPES.includes(reward_scope)) {
+    return res.status(400).json({ error: `reward_scope must be one of ${REWARD_SCOPES.join(', ')}.` });
+  }
+  if (loyalty_points_per_shilling != null && !(Number(loyalty_points_per_shilling) >= 0)) {
+    return res.status(400).json({ error: 'loyalty_points_per_shilling must be zero or more.' });
+  }
+  if (loyalty_point_value != null && !(Number(loyalty_point_value) > 0)) {
+    return res.status(400).json({ error: 'loyalty_point_value must be greater than zero.' });
+  }
+  for (const [field, v] of Object.entries({
+    loyalty_points_per_wash,
+    loyalty_free_service_points,
+    loyalty_points_expiry_days,
+  })) {
+    if (v != null && !(Number.isInteger(Number(v)) && Number(v) >= 0)) {
+      return res.status(400).json({ error: `${field} must be a whole number (0 = off).` });
+    }
+  }
+
   try {
     const { rows } = await query(
       `
@@ -69,6 +110,16 @@ router.put('/', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
         receipt_header = COALESCE($7, receipt_header),
         receipt_footer = COALESCE($8, receipt_footer),
         show_staff_on_receipt = COALESCE($9, show_staff_on_receipt),
+        receipt_no_prefix = COALESCE($10, receipt_no_prefix),
+        receipt_no_format = COALESCE($11, receipt_no_format),
+        loyalty_points_per_shilling = COALESCE($12, loyalty_points_per_shilling),
+        loyalty_points_per_wash = COALESCE($13, loyalty_points_per_wash),
+        loyalty_point_value = COALESCE($14, loyalty_point_value),
+        loyalty_free_service_points = CASE WHEN $15::int IS NULL THEN loyalty_free_service_points
+                                           ELSE NULLIF($15::int, 0) END,
+        loyalty_points_expiry_days = CASE WHEN $16::int IS NULL THEN loyalty_points_expiry_days
+                                          ELSE NULLIF($16::int, 0) END,
+        reward_scope = COALESCE($17, reward_scope),
         updated_at = now()
       WHERE id = 1
       RETURNING *
@@ -83,6 +134,14 @@ router.put('/', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
         receipt_header,
         receipt_footer,
         show_staff_on_receipt,
+        receipt_no_prefix,
+        receipt_no_format,
+        loyalty_points_per_shilling,
+        loyalty_points_per_wash,
+        loyalty_point_value,
+        loyalty_free_service_points,
+        loyalty_points_expiry_days,
+        reward_scope,
       ]
     );
     res.json(rows[0]);
@@ -1,7 +1,10 @@
 // backend/src/routes/staff.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, withTransaction } from "../db.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import { countedWashSql } from "../utils/washStatus.js";
+import { PAYMENT_METHODS } from "../utils/payments.js";
+import { tipsOwedSql } from "../utils/tips.js";
 
 const router = Router();
 router.use(requireAuth);
@@ -34,15 +37,20 @@ router.get("/", async (req, res) => {
       ORDER BY name ASC
     `);
 
+    // Shared washes count once per washer, with that washer's share of the commission
     const { rows: stats } = await query(
       `
       SELECT
         s.id AS staff_id,
         COUNT(w.id) AS washes,
-        COALESCE(SUM(w.unit_price * COALESCE(w.commission_pct, 30) / 100), 0) AS commission
+        COALESCE(SUM(ws.commission_amount), 0) AS commission
       FROM staff s
-      LEFT JOIN washes w ON w.staff_id = s.id
-      ${periodFilter(period)}
+      LEFT JOIN (
+        wash_staff ws
+        JOIN washes w ON w.id = ws.wash_id
+          AND ${countedWashSql("w")}
+          ${periodFilter(period)}
+      ) ON ws.staff_id = s.id
       GROUP BY s.id
       `
     );
@@ -201,6 +209,149 @@ router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
   }
 });
 
+/* ==========================================
+   TIPS for one staff member
+   GET /staff/:id/tips?from=YYYY-MM-DD&to=YYYY-MM-DD
+   Owed tips are always listed in full; from/to narrows the
+   paid tips and payouts.
+========================================== */
+router.get("/:id/tips", async (req, res) => {
+  const { id } = req.params;
+  const from = req.query.from || null;
+  const to = req.query.to || null;
+
+  try {
+    const { rows: owed } = await query(
+      `
+      SELECT t.id, t.wash_id, w.receipt_no, w.vehicle_reg, w.washed_at,
+             t.amount, t.method, t.reference, t.created_at
+      FROM wash_tips t
+      JOIN washes w ON w.id = t.wash_id
+      WHERE t.staff_id = $1::uuid AND ${tipsOwedSql("t")}
+      ORDER BY w.washed_at
+      `,
+      [id]
+    );
+
+    const { rows: paid } = await query(
+      `
+      SELECT t.id, t.wash_id, w.receipt_no, w.vehicle_reg, w.washed_at,
+             t.amount, t.method, t.direct, t.paid_at, t.payout_id
+      FROM wash_tips t
+      JOIN washes w ON w.id = t.wash_id
+      WHERE t.staff_id = $1::uuid
+        AND t.paid_at IS NOT NULL
+        AND ($2::date IS NULL OR t.paid_at >= $2::date)
+        AND ($3::date IS NULL OR t.paid_at < $3::date + 1)
+      ORDER BY t.paid_at DESC
+      `,
+      [id, from, to]
+    );
+
+    const { rows: payouts } = await query(
+      `
+      SELECT p.*, u.name AS paid_by_name
+      FROM tip_payouts p
+      LEFT JOIN users u ON u.id = p.paid_by
+      WHERE p.staff_id = $1::uuid
+        AND ($2::date IS NULL OR p.paid_at >= $2::date)
+        AND ($3::date IS NULL OR p.paid_at < $3::date + 1)
+      ORDER BY p.paid_at DESC
+      `,
+      [id, from, to]
+    );
+
+    const sum = (list) => Math.round(list.reduce((a, t) => a + Number(t.amount), 0) * 100) / 100;
+    res.json({
+      staff_id: id,
+      tips_owed: sum(owed),
+      tips_paid: sum(paid),
+      owed,
+      paid,
+      payouts,
+    });
+  } catch (err) {
+    if (err.code === "22P02" || err.code === "22007" || err.code === "22008") {
+      return res.status(400).json({ error: "Invalid staff id or date." });
+    }
+    console.error("❌ Error loading staff tips:", err);
+    res.status(500).json({ error: "Failed to load staff tips." });
+  }
+});
+
+/* ==========================================
+   PAY OUT owed tips
+   POST /staff/:id/tips/payout
+   Body: { tip_ids?: [...], until?: ISO date, method?, reference?, note? }
+   Without tip_ids every owed tip (up to `until`) is paid.
+========================================== */
+router.post("/:id/tips/payout", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+  const { tip_ids, until, reference, note } = req.body || {};
+  const method = (req.body?.method || "CASH").toString().trim().toUpperCase();
+  if (!PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({ error: `method must be one of ${PAYMENT_METHODS.join(", ")}.` });
+  }
+  if (tip_ids != null && (!Array.isArray(tip_ids) || !tip_ids.length)) {
+    return res.status(400).json({ error: "tip_ids must be a non-empty array." });
+  }
+
+  try {
+    const result = await withTransaction(async (db) => {
+      const { rows: tips } = await db.query(
+        `
+        SELECT t.id, t.amount
+        FROM wash_tips t
+        WHERE t.staff_id = $1::uuid
+          AND ${tipsOwedSql("t")}
+          AND ($2::uuid[] IS NULL OR t.id = ANY($2::uuid[]))
+          AND ($3::timestamptz IS NULL OR t.created_at <= $3::timestamptz)
+        ORDER BY t.created_at
+        FOR UPDATE OF t
+        `,
+        [id, tip_ids || null, until || null]
+      );
+      if (tip_ids && tips.length !== new Set(tip_ids).size) {
+        const err = new Error("Some tips are not owed to this staff member (already paid or reversed).");
+        err.status = 409;
+        throw err;
+      }
+      if (!tips.length) {
+        const err = new Error("No owed tips to pay out.");
+        err.status = 404;
+        throw err;
+      }
+
+      const amount = Math.round(tips.reduce((a, t) => a + Number(t.amount), 0) * 100) / 100;
+      const { rows } = await db.query(
+        `
+        INSERT INTO tip_payouts (staff_id, amount, method, reference, note, paid_by)
+        VALUES ($1::uuid, $2, $3::payment_method, $4, $5, $6::uuid)
+        RETURNING *
+        `,
+        [id, amount, method, reference || null, note || null, req.user?.sub || null]
+      );
+      const payout = rows[0];
+
+      await db.query(
+        "UPDATE wash_tips SET paid_at = $2, payout_id = $3::uuid WHERE id = ANY($1::uuid[])",
+        [tips.map((t) => t.id), payout.paid_at, payout.id]
+      );
+      return { payout, tip_ids: tips.map((t) => t.id), tips_count: tips.length };
+    });
+
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === "22P02" || err.code === "22007" || err.code === "22008") {
+      return res.status(400).json({ error: "Invalid staff id, tip id or date." });
+    }
+    if (err.code === "23503") return res.status(404).json({ error: "Staff not found." });
+    console.error("❌ Error paying out tips:", err);
+    res.status(500).json({ error: "Failed to pay out tips." });
+  }
+});
+
 /* ==========================================
    DELETE staff
 ========================================== */
@@ -0,0 +1,247 @@
+// src/routes/vehicles.js
+// Vehicles: plate, usual car type, make/model/colour and ownership history.
+// POST /washes creates vehicles on first visit (ensureVehicle in
+// utils/vehicles.js); this is for looking them up, fixing them and
+// moving a car to a new owner.
+import { Router } from "express";
+import { query, withTransaction } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { normPlate, escapeLike } from "../utils/normalize.js";
+import { countedWashSql } from "../utils/washStatus.js";
+import { transferVehicle } from "../utils/vehicles.js";
+
+const router = Router();
+router.use(requireAuth);
+
+const KE_PLATE_RE = /^[A-Z]{3}\d{3}[A-Z]$/;
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+const VEHICLE_SQL = `
+  SELECT v.*, ct.label AS car_type_label,
+         c.name AS customer_name, c.phone AS customer_phone,
+         st.washes, st.last_wash
+  FROM vehicles v
+  LEFT JOIN car_types ct ON ct.id = v.car_type_id
+  LEFT JOIN customers c ON c.id = v.customer_id
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)::int AS washes, MAX(w.washed_at) AS last_wash
+    FROM washes w
+    WHERE w.vehicle_reg = v.plate AND ${countedWashSql("w")}
+  ) st ON TRUE
+`;
+
+/** Validate + normalize a create/update body. Returns { fields } or { error } */
+function pickVehicle(body) {
+  const fields = {};
+  if (body.plate !== undefined) {
+    fields.plate = normPlate(body.plate);
+    if (!KE_PLATE_RE.test(fields.plate)) {
+      return { error: "plate must match Kenyan format: e.g. KDP547Z (AAA999A)." };
+    }
+  }
+  for (const f of ["car_type_id", "make", "model", "colour", "notes"]) {
+    if (body[f] !== undefined) fields[f] = (body[f] ?? "").toString().trim() || null;
+  }
+  return { fields };
+}
+
+function vehicleDbError(err, res, action) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  if (err.code === "23505") return res.status(409).json({ error: "A vehicle with that plate already exists." });
+  if (err.code === "22P02") return res.status(400).json({ error: "Invalid id." });
+  if (err.code === "23503") {
+    return res.status(400).json({ error: "Unknown car_type_id or customer_id." });
+  }
+  console.error(`❌ Error ${action} vehicle:`, err);
+  return res.status(500).json({ error: `Failed to ${action} vehicle.` });
+}
+
+/* ========================================
+   LIST VEHICLES
+   ?q= plate (partial)   ?customer_id=   limit (max 200) + offset
+======================================== */
+router.get("/", async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const where = [];
+  const params = [];
+  const plate = normPlate(req.query.q || req.query.plate);
+  if (plate) {
+    params.push(escapeLike(plate));
+    where.push(`v.plate ILIKE '%' || $${params.length} || '%'`);
+  }
+  if (req.query.customer_id) {
+    params.push(req.query.customer_id);
+    where.push(`v.customer_id = $${params.length}::uuid`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  try {
+    const { rows } = await query(
+      `
+      ${VEHICLE_SQL}
+      ${whereSql}
+      ORDER BY v.plate
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `,
+      [...params, limit, offset]
+    );
+    const { rows: count } = await query(`SELECT COUNT(*)::int AS total FROM vehicles v ${whereSql}`, params);
+    const total = count[0].total;
+    res.json({
+      items: rows,
+      page: { limit, offset, total, has_more: offset + rows.length < total },
+      sort: { by: "plate", order: "asc" },
+    });
+  } catch (err) {
+    return vehicleDbError(err, res, "listing");
+  }
+});
+
+/* ========================================
+   ONE VEHICLE + ownership history
+   GET /vehicles/:id  (or /vehicles/plate/:plate)
+======================================== */
+async function sendVehicle(res, where, value) {
+  const { rows } = await query(`${VEHICLE_SQL} WHERE ${where}`, [value]);
+  if (!rows[0]) return res.status(404).json({ error: "Vehicle not found." });
+  const { rows: owners } = await query(
+    `
+    SELECT o.id, o.customer_id, c.name AS customer_name, c.phone AS customer_phone,
+           o.from_at, o.to_at, o.note, o.changed_by, u.name AS changed_by_name
+    FROM vehicle_ownership o
+    LEFT JOIN customers c ON c.id = o.customer_id
+    LEFT JOIN users u ON u.id = o.changed_by
+    WHERE o.vehicle_id = $1::uuid
+    ORDER BY o.from_at DESC
+    `,
+    [rows[0].id]
+  );
+  res.json({ ...rows[0], owners });
+}
+
+router.get("/plate/:plate", async (req, res) => {
+  try {
+    await sendVehicle(res, "v.plate = $1", normPlate(req.params.plate));
+  } catch (err) {
+    return vehicleDbError(err, res, "fetching");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    await sendVehicle(res, "v.id = $1::uuid", req.params.id);
+  } catch (err) {
+    return vehicleDbError(err, res, "fetching");
+  }
+});
+
+/* ========================================
+   CREATE VEHICLE (Admin/Manager)
+   Body: { plate, customer_id?, car_type_id?, make?, model?, colour?, notes? }
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { fields, error } = pickVehicle(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!fields.plate) return res.status(400).json({ error: "plate is required." });
+
+  try {
+    const vehicle = await withTransaction(async (db) => {
+      const { rows } = await db.query(
+        `
+        INSERT INTO vehicles (plate, car_type_id, make, model, colour, notes)
+        VALUES ($1, $2::uuid, $3, $4, $5, $6)
+        RETURNING *
+        `,
+        [fields.plate, fields.car_type_id ?? null, fields.make ?? null, fields.model ?? null,
+          fields.colour ?? null, fields.notes ?? null]
+      );
+      if (!req.body.customer_id) return rows[0];
+      return transferVehicle(
+        { vehicleId: rows[0].id, customerId: req.body.customer_id, note: req.body.note || null, userId: req.user?.sub },
+        db
+      );
+    });
+    res.status(201).json(vehicle);
+  } catch (err) {
+    return vehicleDbError(err, res, "creating");
+  }
+});
+
+/* ========================================
+   UPDATE VEHICLE (Admin/Manager)
+   Send only what changes; "" clears make / model / colour / notes.
+   The owner changes through POST /vehicles/:id/transfer.
+======================================== */
+router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { fields, error } = pickVehicle(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { rows: found } = await query("SELECT * FROM vehicles WHERE id = $1::uuid", [req.params.id]);
+    if (!found[0]) return res.status(404).json({ error: "Vehicle not found." });
+    const next = { ...found[0], ...fields };
+
+    const { rows } = await query(
+      `
+      UPDATE vehicles
+      SET plate = $1, car_type_id = $2::uuid, make = $3, model = $4, colour = $5, notes = $6,
+          updated_at = now()
+      WHERE id = $7::uuid
+      RETURNING *
+      `,
+      [next.plate, next.car_type_id, next.make, next.model, next.colour, next.notes, req.params.id]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    return vehicleDbError(err, res, "updating");
+  }
+});
+
+/* ========================================
+   TRANSFER OWNERSHIP (Admin/Manager)
+   POST /vehicles/:id/transfer  Body: { customer_id | null, note? }
+   Closes the current owner's period and starts the new one.
+======================================== */
+router.post("/:id/transfer", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  if (req.body?.customer_id === undefined) {
+    return res.status(400).json({ error: "customer_id is required (null for no owner)." });
+  }
+
+  try {
+    const vehicle = await withTransaction((db) =>
+      transferVehicle(
+        {
+          vehicleId: req.params.id,
+          customerId: req.body.customer_id || null,
+          note: req.body.note || null,
+          userId: req.user?.sub,
+        },
+        db
+      )
+    );
+    res.json(vehicle);
+  } catch (err) {
+    return vehicleDbError(err, res, "transferring");
+  }
+});
+
+/* ========================================
+   DELETE VEHICLE (Admin/Manager)
+   Only vehicles no wash is linked to.
+======================================== */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const { rowCount } = await query("DELETE FROM vehicles WHERE id = $1::uuid", [req.params.id]);
+    if (rowCount === 0) return res.status(404).json({ error: "Vehicle not found." });
+    res.json({ success: true, message: "Vehicle deleted successfully." });
+  } catch (err) {
+    if (err.code === "23503") {
+      return res.status(409).json({ error: "Vehicle has wash history and can't be deleted." });
+    }
+    return vehicleDbError(err, res, "deleting");
+  }
+});
+
+export default router;
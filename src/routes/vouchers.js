@@ -0,0 +1,254 @@
+// src/routes/vouchers.js
+// CRUD for voucher / discount codes (redeemed through POST /washes voucher_code)
+import { Router } from "express";
+import { query } from "../db.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { VOUCHER_KINDS, validateVoucher, normVoucherCode } from "../utils/vouchers.js";
+import { notReversedSql } from "../utils/washStatus.js";
+
+const router = Router();
+router.use(requireAuth);
+
+const VOUCHER_FIELDS = [
+  "code",
+  "campaign",
+  "description",
+  "kind",
+  "value",
+  "service_ids",
+  "car_type_ids",
+  "min_subtotal",
+  "starts_at",
+  "expires_at",
+  "max_uses",
+  "max_uses_per_customer",
+  "is_active",
+];
+
+// Empty strings from the admin form mean "not set"
+function pickVoucher(body) {
+  const out = {};
+  for (const f of VOUCHER_FIELDS) {
+    if (body[f] === undefined) continue;
+    out[f] = body[f] === "" ? null : body[f];
+  }
+  if (out.code != null) out.code = normVoucherCode(out.code);
+  if (typeof out.kind === "string") out.kind = out.kind.toUpperCase();
+  if (typeof out.campaign === "string") out.campaign = out.campaign.trim() || null;
+  return out;
+}
+
+// Usage that still counts (washes not voided or refunded)
+const USAGE_SQL = `
+  SELECT r.voucher_id,
+         COUNT(*)::int AS times_used,
+         COALESCE(SUM(r.amount), 0)::numeric AS discount_given
+  FROM voucher_redemptions r
+  JOIN washes w ON w.id = r.wash_id
+  WHERE ${notReversedSql("w")}
+  GROUP BY r.voucher_id
+`;
+
+function voucherDbError(err, res, action) {
+  if (err.code === "23505") return res.status(400).json({ error: "A voucher with that code already exists." });
+  if (err.code === "22P02" || err.code === "23514") {
+    return res.status(400).json({ error: "Invalid voucher values." });
+  }
+  console.error(`❌ Error ${action} voucher:`, err);
+  return res.status(500).json({ error: `Failed to ${action} voucher.` });
+}
+
+/* ========================================
+   KINDS (for the admin form)
+======================================== */
+router.get("/kinds", (_req, res) => {
+  res.json(VOUCHER_KINDS);
+});
+
+/* ========================================
+   LIST VOUCHERS
+   ?campaign=  ?active=true  ?q= (code search)
+======================================== */
+router.get("/", async (req, res) => {
+  const params = [];
+  const where = [];
+  if (req.query.campaign) {
+    params.push(req.query.campaign);
+    where.push(`v.campaign = $${params.length}`);
+  }
+  if (req.query.active === "true") where.push("v.is_active = TRUE");
+  if (req.query.q) {
+    params.push(`%${normVoucherCode(req.query.q)}%`);
+    where.push(`upper(v.code) LIKE $${params.length}`);
+  }
+
+  try {
+    const { rows } = await query(
+      `
+      SELECT v.*,
+             COALESCE(u.times_used, 0) AS times_used,
+             COALESCE(u.discount_given, 0) AS discount_given
+      FROM vouchers v
+      LEFT JOIN (${USAGE_SQL}) u ON u.voucher_id = v.id
+      ${where.length ? "WHERE " + where.join(" AND ") : ""}
+      ORDER BY v.created_at DESC
+      `,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("❌ Error fetching vouchers:", err);
+    res.status(500).json({ error: "Failed to fetch vouchers." });
+  }
+});
+
+/* ========================================
+   REDEMPTIONS for one voucher
+======================================== */
+router.get("/:id/redemptions", async (req, res) => {
+  try {
+    const { rows } = await query(
+      `
+      SELECT r.*, w.receipt_no, w.washed_at, w.status AS wash_status, w.unit_price,
+             c.name AS customer_name, u.name AS redeemed_by_name
+      FROM voucher_redemptions r
+      JOIN washes w ON w.id = r.wash_id
+      LEFT JOIN customers c ON c.id = r.customer_id
+      LEFT JOIN users u ON u.id = r.redeemed_by
+      WHERE r.voucher_id = $1::uuid
+      ORDER BY r.redeemed_at DESC
+      `,
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    if (err.code === "22P02") return res.status(400).json({ error: "Invalid voucher id." });
+    console.error("❌ Error fetching voucher redemptions:", err);
+    res.status(500).json({ error: "Failed to fetch voucher redemptions." });
+  }
+});
+
+/* ========================================
+   CREATE VOUCHER (Admin/Manager)
+   Body: { code, kind: PERCENT|AMOUNT|FREE_SERVICE, value?, campaign?,
+           description?, service_ids?, car_type_ids?, min_subtotal?,
+           starts_at?, expires_at?, max_uses?, max_uses_per_customer? }
+======================================== */
+router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const v = { is_active: true, ...pickVoucher(req.body) };
+  const invalid = validateVoucher(v);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const { rows } = await query(
+      `
+      INSERT INTO vouchers
+        (code, campaign, description, kind, value, service_ids, car_type_ids, min_subtotal,
+         starts_at, expires_at, max_uses, max_uses_per_customer, is_active, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6::uuid[], $7::uuid[], $8,
+              $9::timestamptz, $10::timestamptz, $11, $12, $13, $14::uuid)
+      RETURNING *
+      `,
+      [
+        v.code,
+        v.campaign ?? null,
+        v.description ?? null,
+        v.kind,
+        v.kind === "FREE_SERVICE" ? null : Number(v.value),
+        v.service_ids ?? null,
+        v.car_type_ids ?? null,
+        v.min_subtotal ?? null,
+        v.starts_at ?? null,
+        v.expires_at ?? null,
+        v.max_uses ?? null,
+        v.max_uses_per_customer ?? null,
+        !!v.is_active,
+        req.user?.sub || null,
+      ]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    voucherDbError(err, res, "create");
+  }
+});
+
+/* ========================================
+   UPDATE VOUCHER (Admin/Manager)
+   Send only the fields to change; the code itself is fixed once created.
+======================================== */
+router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: found } = await query("SELECT * FROM vouchers WHERE id = $1::uuid", [id]);
+    if (!found[0]) return res.status(404).json({ error: "Voucher not found." });
+
+    const changes = pickVoucher(req.body);
+    delete changes.code;
+    const next = { ...found[0], ...changes };
+    const invalid = validateVoucher(next);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { rows } = await query(
+      `
+      UPDATE vouchers
+      SET campaign = $1, description = $2, kind = $3, value = $4,
+          service_ids = $5::uuid[], car_type_ids = $6::uuid[], min_subtotal = $7,
+          starts_at = $8::timestamptz, expires_at = $9::timestamptz,
+          max_uses = $10, max_uses_per_customer = $11, is_active = $12,
+          updated_at = NOW()
+      WHERE id = $13::uuid
+      RETURNING *
+      `,
+      [
+        next.campaign,
+        next.description,
+        next.kind,
+        next.kind === "FREE_SERVICE" ? null : Number(next.value),
+        next.service_ids,
+        next.car_type_ids,
+        next.min_subtotal,
+        next.starts_at,
+        next.expires_at,
+        next.max_uses,
+        next.max_uses_per_customer,
+        !!next.is_active,
+        id,
+      ]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    voucherDbError(err, res, "update");
+  }
+});
+
+/* ========================================
+   DELETE VOUCHER (Admin/Manager)
+   Vouchers already redeemed are deactivated instead.
+======================================== */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows: used } = await query(
+      "SELECT 1 FROM voucher_redemptions WHERE voucher_id = $1::uuid LIMIT 1",
+      [id]
+    );
+    if (used.length) {
+      const { rowCount } = await query(
+        "UPDATE vouchers SET is_active = FALSE, updated_at = NOW() WHERE id = $1::uuid",
+        [id]
+      );
+      if (rowCount === 0) return res.status(404).json({ error: "Voucher not found." });
+      return res.json({ success: true, message: "Voucher was redeemed on past washes; it was deactivated." });
+    }
+
+    const { rowCount } = await query("DELETE FROM vouchers WHERE id = $1::uuid", [id]);
+    if (rowCount === 0) return res.status(404).json({ error: "Voucher not found." });
+    res.json({ success: true, message: "Voucher deleted successfully." });
+  } catch (err) {
+    voucherDbError(err, res, "delete");
+  }
+});
+
+export default router;
@@ -1,148 +1,122 @@
 // backend/src/routes/washes.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, pool, withTransaction, withSavepoint } from "../db.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import {
+  normStatus,
+  parseStatusList,
+  canTransition,
+  isReversed,
+  notReversedSql,
+} from "../utils/washStatus.js";
+import {
+  normPayment,
+  normPaymentList,
+  recordPayments,
+  recordRefund,
+  getPaidTotal,
+  refreshPaymentStatus,
+  listPayments,
+} from "../utils/payments.js";
+import {
+  RECEIPT_FORMATS,
+  paperWidth,
+  buildReceiptModel,
+  renderEscPos,
+  renderHtml,
+  renderPdf,
+} from "../utils/receiptRender.js";
+import { businessDay, splitReceiptFormat } from "../utils/receiptNo.js";
+import {
+  idempotent,
+  claimKey,
+  completeKey,
+  completeKeyWith,
+  touchKey,
+  requestHash,
+} from "../middleware/idempotency.js";
+import { evaluatePromotions, applyPromoEffects, loyaltyProgress } from "../utils/promoEngine.js";
+import { normPlate, normPhone, escapeLike } from "../utils/normalize.js";
+import { recordWashHistory, listWashHistory } from "../utils/washHistory.js";
+import { normTipList, recordTips, listTips, refreshTipTotal } from "../utils/tips.js";
+import {
+  normCrew,
+  splitCommission,
+  saveWashStaff,
+  resplitCommission,
+  listWashStaff,
+} from "../utils/washStaff.js";
+import { loadPricingContext, resolvePrice } from "../utils/priceRules.js";
+import { checkVoucher, redeemVoucher, normVoucherCode } from "../utils/vouchers.js";
+import { findPackage, redeemPackage } from "../utils/packages.js";
+import { usualCarType, ensureVehicle } from "../utils/vehicles.js";
+import { notifyCarReady, notifyLoyaltyNextFree, cancelWashNotifications } from "../utils/notifications.js";
+import {
+  loyaltySettings,
+  pointsFor,
+  pointsBalance,
+  normRedeemRequest,
+  checkRedemption,
+  redeemPoints,
+  earnPoints,
+  reverseWashPoints,
+} from "../utils/loyaltyPoints.js";
 
 const router = Router();
 router.use(requireAuth);
 
 /* -------------------------------------------
-   Receipt ID helpers (NEW)
-   Format: SH + last 5 of timestamp + 2 random digits (no hyphens)
-   Example: SH839521, SH015734
+   Helpers
 ------------------------------------------- */
-function generateReceiptID() {
-  const prefix = "SH";
-  const ts = Date.now().toString().slice(-5);         // last 5 digits of timestamp
-  const rnd = Math.floor(Math.random() * 90 + 10);    // 2 random digits 10–99
-  return `${prefix}${ts}${rnd}`;
+async function getAppSettings(db = pool) {
+  const { rows } = await db.query("SELECT * FROM app_settings LIMIT 1");
+  return rows[0] || {};
 }
 
-async function generateUniqueReceiptNo() {
-  for (let i = 0; i < 5; i++) {
-    const candidate = generateReceiptID();
-    const { rows } = await query(
-      "SELECT 1 FROM washes WHERE receipt_no = $1 LIMIT 1",
-      [candidate]
+/* ✅ Find customer by phone, then the plate's owner, then the customer's
+   main plate (lock=true takes a row lock) */
+async function findCustomer({ phone, vehicle_reg }, db = pool, { lock = false } = {}) {
+  const forUpdate = lock ? " FOR UPDATE" : "";
+  if (phone) {
+    const r = await db.query(`SELECT * FROM customers WHERE phone = $1${forUpdate}`, [phone]);
+    if (r.rows[0]) return r.rows[0];
+  }
+  if (vehicle_reg) {
+    const r = await db.query(
+      `SELECT c.* FROM vehicles v JOIN customers c ON c.id = v.customer_id
+       WHERE v.plate = $1${lock ? " FOR UPDATE OF c" : ""}`,
+      [vehicle_reg]
     );
-    if (rows.length === 0) return candidate;
+    if (r.rows[0]) return r.rows[0];
   }
-  return `SH${Date.now()}`; // ultra-rare fallback
-}
-
-/* -------------------------------------------
-   Helpers for promotions (existing + new)
-------------------------------------------- */
-async function getAppSettings() {
-  const { rows } = await query("SELECT * FROM app_settings LIMIT 1");
-  return rows[0] || {};
-}
-
-async function countFreeToday() {
-  const { rows } = await query(
-    "SELECT COUNT(*)::int AS c FROM washes WHERE is_free = TRUE AND DATE(washed_at) = CURRENT_DATE"
-  );
-  return rows[0]?.c || 0;
-}
-
-async function getFreePromoId() {
-  const { rows } = await query(
-    "SELECT id FROM promotions WHERE code='FREE_WASH' AND is_active=TRUE"
-  );
-  return rows[0]?.id || null;
-}
-
-/* ✅ Loyalty promo (13th wash this month) */
-async function countCustomerWashesThisMonth(customerId, washedAt) {
-  if (!customerId) return 0;
-  const { rows } = await query(
-    `
-    SELECT COUNT(*)::int AS c
-    FROM washes
-    WHERE customer_id = $1::uuid
-      AND date_trunc('month', washed_at) = date_trunc('month', COALESCE($2::timestamptz, now()))
-    `,
-    [customerId, washedAt || null]
-  );
-  return rows[0]?.c || 0;
-}
-
-async function getLoyaltyPromoId() {
-  const { rows } = await query(
-    "SELECT id FROM promotions WHERE code='LOYALTY_13TH' AND is_active=TRUE"
-  );
-  return rows[0]?.id || null;
-}
-
-/* ✅ Featured vehicles monthly reward */
-function firstDayOfMonth(d) {
-  const dt = d ? new Date(d) : new Date();
-  return new Date(dt.getFullYear(), dt.getMonth(), 1);
-}
-
-async function isVehicleFeaturedForMonth(vehicle_reg, washedAt) {
-  if (!vehicle_reg) return null;
-  const month = firstDayOfMonth(washedAt).toISOString().slice(0, 10); // YYYY-MM-DD
-  const { rows } = await query(
-    `SELECT * FROM featured_vehicles WHERE vehicle_reg = $1 AND month = $2::date LIMIT 1`,
-    [vehicle_reg.trim(), month]
-  );
-  return rows[0] || null;
-}
-
-async function hasUsedFeaturedRewardThisMonth(vehicle_reg, washedAt) {
-  if (!vehicle_reg) return false;
-  const monthStart = firstDayOfMonth(washedAt);
-  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
-  const { rows } = await query(
-    `
-    SELECT COUNT(*)::int AS c
-    FROM washes w
-    LEFT JOIN promotions p ON p.id = w.promo_id
-    WHERE w.vehicle_reg = $1
-      AND w.is_free = TRUE
-      AND p.code = 'FEATURED_VEHICLE'
-      AND w.washed_at >= $2::timestamptz
-      AND w.washed_at < $3::timestamptz
-    `,
-    [vehicle_reg.trim(), monthStart.toISOString(), monthEnd.toISOString()]
-  );
-  return (rows[0]?.c || 0) > 0;
-}
-
-async function getFeaturedPromoId() {
-  const { rows } = await query(
-    "SELECT id FROM promotions WHERE code='FEATURED_VEHICLE' AND is_active=TRUE"
-  );
-  return rows[0]?.id || null;
+  if (vehicle_reg) {
+    const r = await db.query(
+      `SELECT * FROM customers WHERE vehicle_reg = $1 ORDER BY created_at LIMIT 1${forUpdate}`,
+      [vehicle_reg]
+    );
+    if (r.rows[0]) return r.rows[0];
+  }
+  return null;
 }
 
-/* ✅ Upsert/find customer */
-async function upsertCustomer({ name, phone, vehicle_reg }) {
+/* ✅ Upsert/find customer (locks the row until the caller's transaction ends) */
+async function upsertCustomer({ name, phone, vehicle_reg }, db = pool) {
   if (!phone && !vehicle_reg) return null;
 
-  let customer = null;
-  if (phone) {
-    const r = await query("SELECT * FROM customers WHERE phone = $1", [phone]);
-    customer = r.rows[0] || null;
-  }
-  if (!customer && vehicle_reg) {
-    const r = await query("SELECT * FROM customers WHERE vehicle_reg = $1", [
-      vehicle_reg,
-    ]);
-    customer = r.rows[0] || null;
-  }
+  let customer = await findCustomer({ phone, vehicle_reg }, db, { lock: true });
 
   if (!customer) {
-    const ins = await query(
+    // Another till may insert the same phone first; then lock theirs
+    const ins = await db.query(
       `INSERT INTO customers (name, phone, vehicle_reg, visits_count, last_visit)
        VALUES ($1,$2,$3,0,NULL)
+       ON CONFLICT (phone) WHERE phone IS NOT NULL DO NOTHING
        RETURNING *`,
       [name || null, phone || null, vehicle_reg || null]
     );
-    customer = ins.rows[0];
+    customer = ins.rows[0] || (await findCustomer({ phone, vehicle_reg }, db, { lock: true }));
   } else {
-    await query(
+    await db.query(
       `UPDATE customers
          SET name = COALESCE($1, name),
              vehicle_reg = COALESCE($2, vehicle_reg),
@@ -155,232 +129,540 @@ async function upsertCustomer({ name, phone, vehicle_reg }) {
   return customer.id;
 }
 
-/* ⭐ Daily draw helpers (manual-approval compatible) */
-async function getDailyWinnerRow(dayISO) {
-  const { rows } = await query(
-    `SELECT * FROM daily_free_winners WHERE draw_date = $1::date LIMIT 1`,
-    [dayISO]
-  );
-  return rows[0] || null;
+/* 🧾 Ticket lines
+   Body may carry items: [{ service_id } | { addon_id }, unit_price? ]
+   Legacy single-service bodies ({ service_id, unit_price }) become one line. */
+function normItems(body) {
+  if (Array.isArray(body?.items) && body.items.length) {
+    return body.items.map((it) => ({
+      service_id: it?.service_id || null,
+      addon_id: it?.addon_id || null,
+      unit_price: it?.unit_price ?? null,
+    }));
+  }
+  if (!body?.service_id) return [];
+  return [
+    { service_id: body.service_id, addon_id: null, unit_price: body.unit_price ?? null },
+  ];
 }
-async function markDailyWinnerUsed(id) {
-  await query(
-    `UPDATE daily_free_winners SET used_at = now() WHERE id = $1::uuid AND used_at IS NULL`,
-    [id]
-  );
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
 }
-async function getDailyDrawPromoId() {
-  const { rows } = await query(
-    "SELECT id FROM promotions WHERE code='DAILY_DRAW' AND is_active=TRUE"
-  );
-  return rows[0]?.id || null;
+
+function badRequest(message) {
+  return httpError(400, message);
+}
+
+/**
+ * Fill in list prices (price history / addons) and validate each line.
+ * Service prices are the list price and price rules in effect at `at`
+ * (the wash's washed_at; now when omitted).
+ */
+async function resolveLineItems(items, carTypeId, db = pool, { at = null } = {}) {
+  const lines = [];
+  let pricing = null;
+  for (const [i, it] of items.entries()) {
+    const n = i + 1;
+    if (!!it.service_id === !!it.addon_id) {
+      throw badRequest(`Line ${n}: provide either service_id or addon_id.`);
+    }
+    if (it.unit_price !== null && !(Number(it.unit_price) >= 0)) {
+      throw badRequest(`Line ${n}: unit_price must be a non-negative number.`);
+    }
+
+    if (it.service_id) {
+      // List price in effect at the wash time (price history; the
+      // current service_prices row covers pairs without history)
+      const { rows } = await db.query(
+        `SELECT s.name, COALESCE(h.price, sp.price) AS price
+         FROM services s
+         LEFT JOIN service_prices sp
+           ON sp.service_id = s.id AND sp.car_type_id = $2::uuid
+         LEFT JOIN LATERAL (
+           SELECT ph.price
+           FROM service_price_history ph
+           WHERE ph.service_id = s.id AND ph.car_type_id = $2::uuid
+             AND ph.effective_from <= COALESCE($3::timestamptz, now())
+           ORDER BY ph.effective_from DESC, ph.created_at DESC
+           LIMIT 1
+         ) h ON TRUE
+         WHERE s.id = $1::uuid`,
+        [it.service_id, carTypeId, at ? new Date(at).toISOString() : null]
+      );
+      if (!rows[0]) throw badRequest(`Line ${n}: service not found.`);
+      if (it.unit_price === null && rows[0].price === null) {
+        throw badRequest(`Line ${n}: price not configured for service & car type.`);
+      }
+      // A typed-in price is taken as is; otherwise time/calendar rules apply
+      let effective = { price: null, base_price: rows[0].price, rule: null };
+      if (it.unit_price === null) {
+        pricing = pricing || (await loadPricingContext(at, db));
+        effective = resolvePrice(pricing, {
+          serviceId: it.service_id,
+          carTypeId,
+          basePrice: Number(rows[0].price),
+        });
+      }
+      lines.push({
+        service_id: it.service_id,
+        addon_id: null,
+        name: rows[0].name,
+        unit_price: Number(it.unit_price ?? effective.price),
+        base_price: effective.base_price === null ? null : Number(effective.base_price),
+        price_rule_id: effective.rule?.id || null,
+        price_rule: effective.rule,
+      });
+    } else {
+      const { rows } = await db.query(
+        "SELECT name, price FROM addons WHERE id = $1::uuid AND is_active = TRUE",
+        [it.addon_id]
+      );
+      if (!rows[0]) throw badRequest(`Line ${n}: add-on not found.`);
+      lines.push({
+        service_id: null,
+        addon_id: it.addon_id,
+        name: rows[0].name,
+        unit_price: Number(it.unit_price ?? rows[0].price),
+        base_price: Number(rows[0].price),
+        price_rule_id: null,
+        price_rule: null,
+      });
+    }
+  }
+  return lines;
+}
+
+function sumLines(lines) {
+  return Math.round(lines.reduce((a, l) => a + l.unit_price, 0) * 100) / 100;
 }
 
-/* Small normalizers to make matching robust */
-function normPlate(s) {
-  if (!s) return "";
-  return s.toString().toUpperCase().replace(/\s|-/g, "").trim();
+async function replaceWashItems(washId, lines, db = pool) {
+  await db.query("DELETE FROM wash_items WHERE wash_id = $1::uuid", [washId]);
+  for (const [i, l] of lines.entries()) {
+    await db.query(
+      `INSERT INTO wash_items (wash_id, line_no, service_id, addon_id, unit_price, base_price, price_rule_id)
+       VALUES ($1::uuid, $2, $3::uuid, $4::uuid, $5, $6, $7::uuid)`,
+      [washId, i + 1, l.service_id, l.addon_id, l.unit_price, l.base_price ?? null, l.price_rule_id ?? null]
+    );
+  }
 }
-function normPhone(s) {
-  if (!s) return "";
-  return s.toString().replace(/\D+/g, ""); // keep digits only
+
+async function loadWashItems(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      i.id, i.line_no, i.service_id, i.addon_id, i.unit_price,
+      i.base_price, i.price_rule_id, pr.name AS price_rule_name,
+      COALESCE(s.name, a.name) AS name,
+      CASE WHEN i.addon_id IS NULL THEN 'SERVICE' ELSE 'ADDON' END AS kind
+    FROM wash_items i
+    LEFT JOIN services s ON s.id = i.service_id
+    LEFT JOIN addons a ON a.id = i.addon_id
+    LEFT JOIN price_rules pr ON pr.id = i.price_rule_id
+    WHERE i.wash_id = $1::uuid
+    ORDER BY i.line_no
+    `,
+    [washId]
+  );
+  return rows;
 }
 
 /* Kenyan registration: AAA999A (7 chars, no spaces/dashes) */
 const KE_PLATE_RE = /^[A-Z]{3}\d{3}[A-Z]$/;
 
 /* ================================
-   CREATE WASH (Admin / Manager)
+   PREPARE + PRICE (shared by create, batch and quote)
+   Throws errors with .status for anything the client should see.
 ================================ */
-router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+// Offline tablets may be a little ahead of the server clock
+const FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+/** Validate a create body and price its lines. Reads only. */
+async function prepareWash(body, { requireStaff = true, db = pool } = {}) {
   const {
-    service_id,
-    car_type_id,
-    staff_id = null,
-    unit_price = null,
     washed_at = null,
     commission_pct = 30.0,
 
+    // lifecycle: omit to record a finished wash (legacy behaviour)
+    status = "DONE",
+    bay_no = null,
+
     // optional customer fields
     customer_name,
     customer_phone,
-    vehicle_reg,
-  } = req.body;
+  } = body;
+
+  // Crew: staff[] / staff_ids[] / staff_id; the first washer is the lead
+  const crew = normCrew(body);
+  const staff_id = crew ? crew[0].staff_id : null;
 
   // 🔒 Required fields & Kenyan plate validation
-  const vehicleRegClean = normPlate(vehicle_reg);
-  if (!service_id || !car_type_id || !staff_id || !vehicleRegClean) {
-    return res
-      .status(400)
-      .json({ error: "service_id, car_type_id, staff_id and vehicle_reg are required." });
+  const vehicleRegClean = normPlate(body.vehicle_reg);
+  const itemsInput = normItems(body);
+  const service_id = itemsInput.find((it) => it.service_id)?.service_id;
+  if (!service_id || (requireStaff && !staff_id) || !vehicleRegClean) {
+    throw badRequest(
+      "service_id (or items with a service line), staff_id (or staff) and vehicle_reg are required."
+    );
   }
   if (!KE_PLATE_RE.test(vehicleRegClean)) {
-    return res
-      .status(400)
-      .json({ error: "vehicle_reg must match Kenyan format: e.g. KDP547Z (AAA999A)." });
+    throw badRequest("vehicle_reg must match Kenyan format: e.g. KDP547Z (AAA999A).");
+  }
+  // A known vehicle fills in its usual car type
+  const car_type_id = body.car_type_id || (await usualCarType(vehicleRegClean, db));
+  if (!car_type_id) throw badRequest("car_type_id is required for a vehicle we haven't seen before.");
+  const statusClean = normStatus(status);
+  if (!statusClean) throw badRequest("Invalid status.");
+  const bayNo = bay_no === null || bay_no === "" ? null : Number(bay_no);
+  if (bayNo !== null && !(Number.isInteger(bayNo) && bayNo > 0)) {
+    throw badRequest("bay_no must be a positive integer.");
   }
 
-  try {
-    // Get default price if not provided
-    let price = unit_price;
-    if (price === null) {
-      const { rows } = await query(
-        `SELECT price 
-         FROM service_prices 
-         WHERE service_id = $1::uuid 
-           AND car_type_id = $2::uuid`,
-        [service_id, car_type_id]
-      );
-      if (!rows[0])
-        return res
-          .status(400)
-          .json({ error: "Price not configured for service & car type." });
-      price = rows[0].price;
+  // Original time of the wash (offline submissions carry it); drives promos too
+  let washedAt = null;
+  if (washed_at) {
+    const d = new Date(washed_at);
+    if (Number.isNaN(d.getTime())) throw badRequest("washed_at is not a valid date/time.");
+    if (d.getTime() > Date.now() + FUTURE_SKEW_MS) throw badRequest("washed_at cannot be in the future.");
+    washedAt = d.toISOString();
+  }
+
+  // Price every line at washed_at (list price and price rules unless
+  // overridden); ticket total is the sum
+  const lines = await resolveLineItems(itemsInput, car_type_id, db, { at: washedAt });
+
+  return {
+    service_id,
+    car_type_id,
+    staff_id,
+    crew,
+    commission_pct,
+    statusClean,
+    bayNo,
+    washedAt,
+    vehicleRegClean,
+    customer_name,
+    customer_phone,
+    // Optional details stored on the vehicle
+    vehicle: {
+      make: body.vehicle_make?.toString().trim() || null,
+      model: body.vehicle_model?.toString().trim() || null,
+      colour: body.vehicle_colour?.toString().trim() || null,
+    },
+    lines,
+    subtotal: sumLines(lines),
+    voucherCode: normVoucherCode(body.voucher_code) || null,
+    // Prepaid packages are used automatically unless use_package is false;
+    // customer_package_id picks one (e.g. a fleet owner's package)
+    usePackage: body.use_package !== false,
+    packageId: body.customer_package_id || null,
+    // Loyalty points: redeem_points (discount) or redeem_free_service
+    loyaltyRedeem: normRedeemRequest(body),
+  };
+}
+
+/** Take a fixed amount off what is left to pay and note it in the promo trace */
+function applyFixedDiscount(promo, prep, entry) {
+  const total = Math.round((promo.total - entry.amount) * 100) / 100;
+  promo.trace = promo.trace
+    ? { ...promo.trace, total, applied: [...promo.trace.applied, entry] }
+    : {
+        evaluated_at: new Date().toISOString(),
+        washed_at: prep.washedAt,
+        subtotal: prep.subtotal,
+        total,
+        applied: [entry],
+        rules: [],
+      };
+  promo.total = total;
+}
+
+/** Run promotions and work out commission/profit for a prepared wash */
+async function priceWash(prep, customerId, { dryRun = false, db = pool } = {}) {
+  // Prepaid package: pays for one service line before anything else, so a
+  // covered wash doesn't also burn a promotion
+  let pkg = null;
+  if (prep.usePackage) {
+    const found = await findPackage({
+      customerId,
+      vehicleReg: prep.vehicleRegClean,
+      carTypeId: prep.car_type_id,
+      lines: prep.lines,
+      washedAt: prep.washedAt,
+      packageId: prep.packageId,
+      dryRun,
+      db,
+    });
+    if (found?.package) {
+      const p = found.package;
+      pkg = {
+        customer_package_id: p.id,
+        plan_code: p.plan_code,
+        plan_name: p.plan_name,
+        kind: p.kind,
+        applied: true,
+        covered: found.covered,
+        value: found.value,
+        service_id: found.line.service_id,
+        credits_left: p.kind === "CREDITS" ? Number(p.credits_left) - 1 : null,
+        expires_at: p.expires_at,
+        reason: found.reason,
+      };
+    } else if (found) {
+      pkg = { applied: false, covered: 0, reason: `No package used (${found.skipped.join("; ")}).` };
     }
+  }
+  const packageCovered = pkg?.applied ? pkg.covered : 0;
+  const due = Math.round((prep.subtotal - packageCovered) * 100) / 100;
+
+  // Promotions: active rules from the promotions table, in priority order.
+  // A broken rule set never blocks the sale; the wash is charged in full.
+  let promo;
+  try {
+    promo = await withSavepoint(db, () =>
+      evaluatePromotions({
+        customerId,
+        customerPhone: prep.customer_phone,
+        vehicleReg: prep.vehicleRegClean,
+        washedAt: prep.washedAt,
+        subtotal: due,
+        dryRun,
+        db,
+      })
+    );
+  } catch (promoErr) {
+    console.warn("⚠️ Promo logic skipped due to error:", promoErr);
+    promo = { total: due, isFree: false, promoId: null, consume: [], trace: null };
+  }
+  if (pkg?.applied) {
+    const entry = {
+      customer_package_id: pkg.customer_package_id,
+      code: pkg.plan_code,
+      name: pkg.plan_name,
+      stacking: "PACKAGE",
+      // Fixed at redemption, like a voucher: edits keep the same amount covered
+      effect: { amount: pkg.covered },
+      amount: pkg.covered,
+    };
+    promo.trace = promo.trace
+      ? { ...promo.trace, subtotal: prep.subtotal, applied: [entry, ...promo.trace.applied] }
+      : {
+          evaluated_at: new Date().toISOString(),
+          washed_at: prep.washedAt,
+          subtotal: prep.subtotal,
+          total: promo.total,
+          applied: [entry],
+          rules: [],
+        };
+  }
 
-    // Promo / Loyalty evaluation (priority: Daily Draw > Featured > Loyalty 13th > Random)
-    let customerId = null;
-    let isFree = false;
-    let promoId = null;
-    let commissionPctEffective = commission_pct;
+  // Voucher code: applied after promotions on what is left to pay. A code
+  // that can't be used is an error for the cashier to fix, not skipped.
+  let voucher = null;
+  if (prep.voucherCode) {
+    if (promo.total <= 0) {
+      voucher = { code: prep.voucherCode, applied: false, amount: 0, reason: "Ticket is already free; voucher not used." };
+    } else {
+      const v = await checkVoucher({
+        code: prep.voucherCode,
+        customerId,
+        vehicleReg: prep.vehicleRegClean,
+        carTypeId: prep.car_type_id,
+        lines: prep.lines,
+        total: promo.total,
+        washedAt: prep.washedAt,
+        dryRun,
+        db,
+      });
+      voucher = {
+        voucher_id: v.voucher.id,
+        code: v.voucher.code,
+        campaign: v.voucher.campaign,
+        applied: v.amount > 0,
+        amount: v.amount,
+        reason: v.reason,
+      };
+    }
+    if (voucher.applied) {
+      applyFixedDiscount(promo, prep, {
+        voucher_id: voucher.voucher_id,
+        code: voucher.code,
+        name: voucher.campaign || `Voucher ${voucher.code}`,
+        stacking: "VOUCHER",
+        // Fixed at redemption: a later edit of the ticket keeps the same amount off
+        effect: { amount: voucher.amount },
+        amount: voucher.amount,
+      });
+    }
+  }
 
-    try {
-      customerId = await upsertCustomer({
-        name: customer_name,
-        phone: customer_phone,
-        vehicle_reg: vehicleRegClean,
+  // Loyalty points: spent last, on what is left to pay
+  let points = null;
+  if (prep.loyaltyRedeem) {
+    const r = await checkRedemption({
+      customerId,
+      request: prep.loyaltyRedeem,
+      lines: prep.lines,
+      total: promo.total,
+      db,
+    });
+    points = { applied: r.points > 0, points: r.points, amount: r.amount, balance: r.balance, reason: r.reason };
+    if (points.applied) {
+      applyFixedDiscount(promo, prep, {
+        code: "POINTS",
+        name: prep.loyaltyRedeem.free_service ? "Free service (points)" : "Loyalty points",
+        stacking: "LOYALTY",
+        effect: { amount: points.amount },
+        amount: points.amount,
+        points: points.points,
       });
+    }
+  }
+  const price = promo.total;
+  const commissionPctEffective = promo.isFree ? 0 : prep.commission_pct;
 
-      const washed = washed_at ? new Date(washed_at) : new Date();
-      const washedISO = washed.toISOString().slice(0, 10); // YYYY-MM-DD
-
-      /* ⭐ Daily draw winner check — applies ONLY if you approved someone for that day */
-      const winner = await getDailyWinnerRow(washedISO);
-      if (winner && !winner.used_at && !isFree) {
-        const matchByCustomer =
-          !!customerId && !!winner.customer_id && customerId === winner.customer_id;
-
-        const matchByPhone =
-          !!customer_phone &&
-          !!winner.customer_phone &&
-          normPhone(customer_phone) === normPhone(winner.customer_phone);
-
-        const matchByReg =
-          !!vehicleRegClean &&
-          !!winner.vehicle_reg &&
-          normPlate(vehicleRegClean) === normPlate(winner.vehicle_reg);
-
-        if (matchByCustomer || matchByPhone || matchByReg) {
-          const ddPromo = await getDailyDrawPromoId();
-          if (ddPromo) {
-            isFree = true;
-            price = 0;
-            commissionPctEffective = 0;
-            promoId = ddPromo;
-            await markDailyWinnerUsed(winner.id); // consume benefit immediately
-          }
-        }
-      }
+  // Commission & profit. Washers earn on the package-covered part too; the
+  // package's revenue is booked separately (see /reports/profit-loss).
+  const commission_amount =
+    Math.round((((Number(price) + packageCovered) * commissionPctEffective) / 100.0) * 100) / 100;
+  const profit_amount =
+    Math.round((Number(price) - commission_amount) * 100) / 100;
 
-      /* (1) Featured vehicle free once per month */
-      if (!isFree) {
-        const featured = await isVehicleFeaturedForMonth(vehicleRegClean, washed_at);
-        if (featured) {
-          const alreadyUsed = await hasUsedFeaturedRewardThisMonth(
-            vehicleRegClean,
-            washed_at
-          );
-          const settings = await getAppSettings();
-          const enforceOnce =
-            settings.featured_free_once_per_month !== false; // default true
-          const canGrant = enforceOnce ? !alreadyUsed : true;
-
-          if (canGrant) {
-            const fPromo = await getFeaturedPromoId();
-            if (fPromo) {
-              isFree = true;
-              price = 0;
-              commissionPctEffective = 0;
-              promoId = fPromo;
-            }
-          }
-        }
-      }
+  return { promo, voucher, pkg, points, price, commissionPctEffective, commission_amount, profit_amount };
+}
 
-      /* (2) Loyalty: every 13th wash this month => FREE (only if not already free) */
-      if (!isFree && customerId) {
-        const cnt = await countCustomerWashesThisMonth(customerId, washed_at);
-        if ((cnt + 1) % 13 === 0) {
-          isFree = true;
-          price = 0;
-          commissionPctEffective = 0;
-          promoId = await getLoyaltyPromoId(); // may be null
-        }
-      }
+/* ================================
+   CREATE WASH (shared by POST / and POST /batch)
+   Everything from the customer upsert to the payments commits together
+   or not at all. Locks held until commit:
+   - the vehicle (advisory), so per-car rewards can't be claimed twice
+   - the customer row, so visit-count based rewards see one wash at a time
+   - the daily-draw winner row (taken by the promo engine)
+   An Idempotency-Key claim (idem) is completed in the same transaction,
+   so a committed wash always has its stored response.
+================================ */
+async function createWash(body, userId, idem = null) {
+  const created = await withTransaction(async (db) => {
+    const wash = await insertWash(db, body, userId);
+    if (idem) await completeKeyWith(idem, 201, wash, wash.id, db);
+    return wash;
+  });
+  if (idem) idem.completed = true;
+  return created;
+}
 
-      /* (3) Random promo only if not already free */
-      if (!isFree) {
-        const s = await getAppSettings();
-        const promoEnabled = !!s.promo_free_enabled;
-        const prob = Number(s.promo_free_prob || 0); // e.g. 0.05 = 5%
-        const minVisits = Number(s.promo_free_min_visits || 0);
-        const dailyCap = Number(s.promo_free_daily_cap || 0);
-
-        if (promoEnabled && customerId) {
-          const { rows: crow } = await query(
-            "SELECT visits_count FROM customers WHERE id=$1",
-            [customerId]
-          );
-          const visits = Number(crow[0]?.visits_count || 0);
-
-          if (visits >= minVisits) {
-            const todayUsed = await countFreeToday();
-            const underCap = !dailyCap || todayUsed < dailyCap;
-
-            if (underCap && Math.random() < prob) {
-              const freeId = await getFreePromoId();
-              if (freeId) {
-                isFree = true;
-                price = 0;
-                commissionPctEffective = 0;
-                promoId = freeId;
-              }
-            }
-          }
-        }
-      }
-    } catch (promoErr) {
-      console.warn("⚠️ Promo logic skipped due to error:", promoErr);
-      isFree = false;
-      commissionPctEffective = isNaN(commissionPctEffective)
-        ? commission_pct
-        : commissionPctEffective;
-    }
+async function insertWash(db, body, userId) {
+  const prep = await prepareWash(body, { db });
+  const {
+    service_id,
+    car_type_id,
+    staff_id,
+    statusClean,
+    bayNo,
+    washedAt,
+    vehicleRegClean,
+    lines,
+    subtotal,
+  } = prep;
 
-    // Commission & profit
-    const commission_amount =
-      Math.round(((Number(price) * commissionPctEffective) / 100.0) * 100) / 100;
-    const profit_amount =
-      Math.round((Number(price) - commission_amount) * 100) / 100;
+  // Tenders taken at the counter: payments[] or payment_method for the full amount
+  let paymentsInput = normPaymentList({ payments: body.payments });
+  // Tips ride along but stay out of the price, commission and profit
+  const tipsInput = normTipList(body, prep.crew?.map((m) => m.staff_id));
 
-    // New SH-style receipt number
-    const receiptNo = await generateUniqueReceiptNo();
+  await db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`wash:vehicle:${vehicleRegClean}`]);
 
-    // Insert wash  (NOTE: now also storing normalized vehicle_reg)
-    const { rows } = await query(
+  const customerId = await upsertCustomer(
+    {
+      name: prep.customer_name,
+      phone: prep.customer_phone,
+      vehicle_reg: vehicleRegClean,
+    },
+    db
+  );
+  const vehicle = await ensureVehicle(
+    { plate: vehicleRegClean, customerId, carTypeId: car_type_id, ...prep.vehicle, userId },
+    db
+  );
+
+  const { promo, voucher, pkg, points, price, commissionPctEffective, commission_amount, profit_amount } =
+    await priceWash(prep, customerId, { db });
+  const isFree = promo.isFree;
+  const promoId = promo.promoId;
+  const loyalty = await loyaltySettings(db);
+  const pointsEarned = customerId ? pointsFor(loyalty, price) : 0;
+
+  if (!paymentsInput.length && body.payment_method && Number(price) > 0) {
+    paymentsInput = normPaymentList({
+      payments: [
+        {
+          method: body.payment_method,
+          amount: price,
+          reference: body.payment_reference ?? body.mpesa_code,
+        },
+      ],
+    });
+  }
+  const tendered = paymentsInput.reduce((a, p) => a + p.amount, 0);
+  if (tendered > Number(price) + 0.001) {
+    throw badRequest(
+      `Payments (${tendered.toFixed(2)}) exceed the amount due (${Number(price).toFixed(2)}).`
+    );
+  }
+
+  // Sequential receipt number for the wash's business day, e.g. SH-20261019-0001.
+  // The counter bump and the insert are one statement: no gaps, no races.
+  const settings = await getAppSettings(db);
+  const receiptDay = businessDay(washedAt, settings.timezone);
+  const receiptFmt = splitReceiptFormat(settings.receipt_no_format, {
+    prefix: settings.receipt_no_prefix,
+    day: receiptDay,
+  });
+
+  // Insert wash  (NOTE: now also storing normalized vehicle_reg)
+  let rows;
+  try {
+    ({ rows } = await db.query(
       `
+      WITH seq AS (
+        INSERT INTO receipt_sequences (business_day, last_seq)
+        VALUES ($18::date, 1)
+        ON CONFLICT (business_day)
+        DO UPDATE SET last_seq = receipt_sequences.last_seq + 1, updated_at = now()
+        RETURNING business_day, last_seq
+      )
       INSERT INTO washes (
         id, service_id, car_type_id, staff_id,
         unit_price, commission_pct, commission_amount, profit_amount,
         washed_at, created_by_user_id, receipt_no, created_at, updated_at,
-        customer_id, promo_id, is_free, vehicle_reg
+        customer_id, promo_id, is_free, vehicle_reg,
+        status, bay_no, queued_at, started_at, finished_at,
+        subtotal, receipt_day, receipt_seq, promo_trace,
+        voucher_id, voucher_discount,
+        customer_package_id, package_covered,
+        loyalty_points_earned, loyalty_points_redeemed, loyalty_discount,
+        vehicle_id
       )
-      VALUES (
+      SELECT
         gen_random_uuid(), $1::uuid, $2::uuid, $3::uuid,
         $4, $5, $6, $7,
-        COALESCE($8, now()), $9::uuid, $10, now(), now(),
-        $11::uuid, $12::uuid, $13, $14
-      )
+        COALESCE($8, now()), $9::uuid,
+        $10 || lpad(seq.last_seq::text, GREATEST($19::int, length(seq.last_seq::text)), '0') || $20,
+        now(), now(),
+        $11::uuid, $12::uuid, $13, $14,
+        $15::wash_status, $16,
+        COALESCE($8, now()),
+        CASE WHEN $15::wash_status IN ('IN_PROGRESS','DONE') THEN COALESCE($8, now()) END,
+        CASE WHEN $15::wash_status = 'DONE' THEN COALESCE($8, now()) END,
+        $17, seq.business_day, seq.last_seq, $21::jsonb,
+        $22::uuid, $23,
+        $24::uuid, $25,
+        $26, $27, $28,
+        $29::uuid
+      FROM seq
       RETURNING *
       `,
       [
@@ -391,103 +673,578 @@ router.post("/", requireRole("ADMIN", "MANAGER"), async (req, res) => {
         commissionPctEffective,
         commission_amount,
         profit_amount,
-        washed_at,
-        req.user?.sub,
-        receiptNo,
+        washedAt,
+        userId,
+        receiptFmt.before,
         customerId,
         promoId,
         isFree,
         vehicleRegClean || null,
+        statusClean,
+        bayNo,
+        subtotal,
+        receiptDay,
+        receiptFmt.width,
+        receiptFmt.after,
+        promo.trace ? JSON.stringify(promo.trace) : null,
+        voucher?.applied ? voucher.voucher_id : null,
+        voucher?.applied ? voucher.amount : 0,
+        pkg?.applied ? pkg.customer_package_id : null,
+        pkg?.applied ? pkg.covered : 0,
+        pointsEarned,
+        points?.applied ? points.points : 0,
+        points?.applied ? points.amount : 0,
+        vehicle.id,
       ]
+    ));
+  } catch (err) {
+    if (err.code === "23505" && err.constraint === "uniq_washes_receipt_no") {
+      const conflict = new Error(
+        "Receipt number already issued; check receipt_no_format for a duplicate pattern."
+      );
+      conflict.status = 409;
+      throw conflict;
+    }
+    if (err.code === "23505" && bayNo !== null) {
+      const conflict = new Error(`Bay ${bayNo} already has a job in progress.`);
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw err;
+  }
+
+  const wash = rows[0];
+  await replaceWashItems(wash.id, lines, db);
+  if (prep.crew) await saveWashStaff(wash.id, prep.crew, commission_amount, db);
+  for (const consume of promo.consume) await consume(wash.id, db);
+  if (pkg?.applied) {
+    await redeemPackage(
+      {
+        packageId: pkg.customer_package_id,
+        washId: wash.id,
+        covered: pkg.covered,
+        value: pkg.value,
+        redeemedAt: wash.washed_at,
+      },
+      db
+    );
+  }
+  if (voucher?.applied) {
+    await redeemVoucher(
+      {
+        voucherId: voucher.voucher_id,
+        washId: wash.id,
+        customerId,
+        vehicleReg: vehicleRegClean,
+        amount: voucher.amount,
+        userId,
+      },
+      db
     );
+  }
 
-    const wash = rows[0];
+  if (points?.applied) {
+    await redeemPoints(
+      { customerId, washId: wash.id, points: points.points, amount: points.amount, userId },
+      db
+    );
+  }
+  if (pointsEarned > 0) {
+    await earnPoints(
+      { customerId, washId: wash.id, points: pointsEarned, washedAt: wash.washed_at, settings: loyalty, userId },
+      db
+    );
+  }
 
-    if (customerId) {
-      await query(
-        `UPDATE customers
-            SET visits_count = visits_count + 1,
-                last_visit = now(),
-                updated_at = now()
-          WHERE id = $1::uuid`,
-        [customerId]
-      );
-    }
+  if (customerId) {
+    await db.query(
+      `UPDATE customers
+          SET visits_count = visits_count + 1,
+              last_visit = GREATEST(last_visit, $2::timestamptz),
+              updated_at = now()
+        WHERE id = $1::uuid`,
+      [customerId, wash.washed_at]
+    );
+  }
+
+  if (paymentsInput.length) {
+    await recordPayments(wash.id, paymentsInput, userId, db);
+  }
+  wash.payment_status = await refreshPaymentStatus(wash.id, db);
+  if (tipsInput.length) {
+    wash.tip_amount = (await recordTips(wash.id, tipsInput, userId, db)).tip_amount;
+  }
+
+  const created = {
+    ...wash,
+    items: await loadWashItems(wash.id, db),
+    crew: await listWashStaff(wash.id, db),
+    payments: await listPayments(wash.id, db),
+    tips: await listTips(wash.id, db),
+    vehicle,
+    voucher,
+    package: pkg,
+    loyalty_points: customerId
+      ? {
+          earned: pointsEarned,
+          redeemed: points?.applied ? points.points : 0,
+          discount: points?.applied ? points.amount : 0,
+          balance: (await pointsBalance(customerId, db)).balance,
+        }
+      : null,
+  };
+  await recordWashHistory(
+    { washId: wash.id, action: "CREATE", after: created, userId, reason: body.reason },
+    db
+  );
+
+  // SMS go out once this commits (the outbox only sends committed rows)
+  if (wash.status === "DONE") await notifyCarReady(wash, { userId }, db);
+  await notifyLoyaltyNextFree(wash, { userId }, db);
+  return created;
+}
 
+/* ================================
+   CREATE WASH (Admin / Manager)
+   Send an Idempotency-Key header so a retried POST returns the
+   first response instead of recording the wash twice.
+   voucher_code applies a discount code after promotions and records
+   the redemption with the wash.
+   A prepaid package of the customer (or the plate) pays for one service
+   line automatically; send use_package: false to charge the wash instead.
+   redeem_points (or redeem_free_service: true) spends loyalty points on
+   what is left; paid washes earn points at the rates in /settings.
+   The wash is linked to the plate's vehicle (created on first visit);
+   car_type_id may be left out for a known vehicle to use its usual type,
+   and vehicle_make / vehicle_model / vehicle_colour update the vehicle.
+   A customer with a phone is texted when the car is ready (status DONE)
+   and when their next wash will be free (see /notifications).
+================================ */
+router.post("/", requireRole("ADMIN", "MANAGER"), idempotent(), async (req, res) => {
+  try {
+    const wash = await createWash(req.body, req.user?.sub, req.idempotency);
     res.status(201).json(wash);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("❌ Error creating wash:", err);
     res.status(500).json({ error: "Failed to create wash record." });
   }
 });
 
+/* ================================
+   BATCH CREATE (offline queue from the cashier tablet)
+   Body: { washes: [{ idempotency_key?, client_ref?, washed_at, ...same as POST / }] }
+   Items run oldest first so promos see them in the order they happened.
+   An item's idempotency_key is shared with POST /, so a wash that already
+   got through online is replayed rather than duplicated.
+================================ */
+const MAX_BATCH = 200;
+
+router.post("/batch", requireRole("ADMIN", "MANAGER"), idempotent(), async (req, res) => {
+  const list = req.body?.washes;
+  if (!Array.isArray(list) || !list.length) {
+    return res.status(400).json({ error: "washes must be a non-empty array." });
+  }
+  if (list.length > MAX_BATCH) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH} washes per batch.` });
+  }
+
+  const userId = req.user?.sub;
+  const order = list
+    .map((item, index) => ({ item: item || {}, index, t: new Date(item?.washed_at).getTime() }))
+    .sort((a, b) => (a.t || 0) - (b.t || 0) || a.index - b.index);
+
+  const results = new Array(list.length);
+  for (const { item, index } of order) {
+    // A long batch must not look abandoned to a retry of the whole batch
+    if (req.idempotency) {
+      await touchKey(req.idempotency).catch((e) =>
+        console.error("❌ Failed to refresh Idempotency-Key claim:", e)
+      );
+    }
+    const { idempotency_key, client_ref = null, ...washBody } = item;
+    const result = { index, client_ref, replayed: false };
+    results[index] = result;
+
+    if (!washBody.washed_at) {
+      Object.assign(result, { status: 400, error: "washed_at is required for batch items." });
+      continue;
+    }
+
+    const scope = idempotency_key
+      ? {
+          userId,
+          key: String(idempotency_key).trim(),
+          method: "POST",
+          path: `${req.baseUrl}/`, // same scope as POST /washes
+          hash: requestHash(washBody),
+        }
+      : null;
+
+    let claimed = false;
+    try {
+      if (scope) {
+        const claim = await claimKey(scope);
+        if (!claim.claimed) {
+          Object.assign(result, { status: claim.status, replayed: true });
+          if (claim.status < 300) result.wash = claim.body;
+          else result.error = claim.body?.error || "Failed previously.";
+          continue;
+        }
+        claimed = true;
+      }
+
+      const wash = await createWash(washBody, userId, scope);
+      Object.assign(result, { status: 201, wash });
+    } catch (err) {
+      if (!err.status) console.error(`❌ Error creating batch wash #${index}:`, err);
+      const status = err.status || 500;
+      const error = err.status ? err.message : "Failed to create wash record.";
+      Object.assign(result, { status, error });
+      if (claimed && !scope.completed) {
+        await completeKey(scope, status, { error }).catch((e) =>
+          console.error("❌ Failed to store idempotent response:", e)
+        );
+      }
+    }
+  }
+
+  const summary = {
+    total: results.length,
+    created: results.filter((r) => r.status === 201 && !r.replayed).length,
+    replayed: results.filter((r) => r.replayed).length,
+    failed: results.filter((r) => r.status >= 400).length,
+  };
+  res.json({ summary, results });
+});
+
+/* ================================
+   QUOTE (dry run of POST /)
+   Same body as POST /; staff_id optional. Prices the lines and runs every
+   promo check without writing: no customer is created, no winner is used
+   and the random free draw is reported as a chance instead of rolled.
+   A voucher_code is checked and priced but not redeemed; the package that
+   would pay is reported without using a credit.
+================================ */
+router.post("/quote", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const prep = await prepareWash(req.body, { requireStaff: false });
+    const customer = await findCustomer({
+      phone: prep.customer_phone,
+      vehicle_reg: prep.vehicleRegClean,
+    });
+    const { promo, voucher, pkg, points, price, commissionPctEffective, commission_amount, profit_amount } =
+      await priceWash(prep, customer?.id || null, { dryRun: true });
+
+    res.json({
+      customer: customer
+        ? { id: customer.id, name: customer.name, phone: customer.phone, visits_count: customer.visits_count }
+        : null,
+      washed_at: prep.washedAt,
+      items: prep.lines,
+      subtotal: prep.subtotal,
+      discount: Math.round((prep.subtotal - (pkg?.covered || 0) - price) * 100) / 100,
+      package_covered: pkg?.covered || 0,
+      price,
+      is_free: promo.isFree,
+      promo: promo.trace?.applied.find((a) => a.stacking !== "PACKAGE") || null,
+      promos_applied: promo.trace?.applied || [],
+      voucher,
+      package: pkg,
+      loyalty_points: customer
+        ? {
+            balance: (await pointsBalance(customer.id)).balance,
+            redeem: points,
+            would_earn: pointsFor(await loyaltySettings(), price),
+          }
+        : null,
+      commission_pct: commissionPctEffective,
+      commission_amount,
+      crew: prep.crew ? splitCommission(commission_amount, prep.crew) : [],
+      profit_amount,
+      loyalty: await loyaltyProgress({
+        customerId: customer?.id,
+        vehicleReg: prep.vehicleRegClean,
+        washedAt: prep.washedAt,
+      }),
+      rules: promo.trace?.rules || [],
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error quoting wash:", err);
+    res.status(500).json({ error: "Failed to quote wash." });
+  }
+});
+
 /* ================================
    LIST WASHES (All Authenticated)
+   Filters: from, to, status, bay_no, payment_status, staff_id, service_id,
+            car_type_id, plate (partial), phone, receipt_no (partial),
+            is_free, promo_id / promo (code), min_price, max_price
+   Sort:    sort=washed_at|created_at|unit_price|receipt_no, order=asc|desc
+   Paging:  limit (max 200) + offset/page, or cursor=<next_cursor> (keyset)
 ================================ */
-router.get("/", async (req, res) => {
-  const { from, to } = req.query;
+const LIST_SORTS = {
+  washed_at: { col: "w.washed_at", cast: "timestamptz" },
+  created_at: { col: "w.created_at", cast: "timestamptz" },
+  unit_price: { col: "w.unit_price", cast: "numeric" },
+  receipt_no: { col: "w.receipt_no", cast: "text" },
+};
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+// The cursor carries the sort value as Postgres prints it (sort_value):
+// a JS Date would drop the microseconds and repeat or skip rows. null is
+// a row from the NULLS LAST tail.
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.sort_value, row.id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [v, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if ((v !== null && typeof v !== "string") || !id) return null;
+    return { v, id };
+  } catch {
+    return null;
+  }
+}
+
+/** WHERE clauses for GET / ; each clause writes $? for its (single) bound value */
+function buildWashFilters(q, params) {
   const where = [];
-  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace(/\$\?/g, () => `$${params.length}`));
+  };
+
+  const statuses = parseStatusList(q.status);
+  if (statuses.length) add("w.status = ANY($?::wash_status[])", statuses);
+  if (q.bay_no) add("w.bay_no = $?", Number(q.bay_no));
+  if (["UNPAID", "PARTIAL", "PAID"].includes(q.payment_status)) {
+    add("w.payment_status = $?::payment_status", q.payment_status);
+  }
+  if (q.from) add("w.washed_at >= $?::timestamp", q.from);
+  if (q.to) add("w.washed_at < ($?::date + interval '1 day')", q.to);
+
+  if (q.staff_id) {
+    add(
+      "(w.staff_id = $?::uuid OR EXISTS (SELECT 1 FROM wash_staff ws WHERE ws.wash_id = w.id AND ws.staff_id = $?::uuid))",
+      q.staff_id
+    );
+  }
+  if (q.car_type_id) add("w.car_type_id = $?::uuid", q.car_type_id);
+  if (q.service_id) {
+    // header service or any service line on the ticket
+    add(
+      `(w.service_id = $?::uuid OR EXISTS (
+         SELECT 1 FROM wash_items fi WHERE fi.wash_id = w.id AND fi.service_id = $?::uuid))`,
+      q.service_id
+    );
+  }
+
+  const plate = normPlate(q.plate || q.vehicle_reg);
+  if (plate) add("w.vehicle_reg ILIKE '%' || $? || '%'", escapeLike(plate));
+
+  // Match on the last 9 digits so 07.., +2547.. and 2547.. all find the same customer
+  const phone = normPhone(q.phone).slice(-9);
+  if (phone) {
+    add(
+      `EXISTS (SELECT 1 FROM customers fc WHERE fc.id = w.customer_id
+                 AND regexp_replace(fc.phone, '\\D', '', 'g') LIKE '%' || $?)`,
+      phone
+    );
+  }
 
-  if (from) {
-    params.push(from);
-    where.push(`w.washed_at >= $${params.length}::timestamp`);
+  const receiptNo = (q.receipt_no || "").toString().trim();
+  if (receiptNo) add("w.receipt_no ILIKE '%' || $? || '%'", escapeLike(receiptNo));
+
+  if (q.is_free === "true" || q.is_free === "false") add("w.is_free = $?::boolean", q.is_free);
+  if (q.promo_id) add("w.promo_id = $?::uuid", q.promo_id);
+  if (q.promo) {
+    add("w.promo_id IN (SELECT id FROM promotions WHERE code = $?)", String(q.promo).toUpperCase());
+  }
+
+  const minPrice = Number(q.min_price);
+  if (q.min_price !== undefined && q.min_price !== "" && Number.isFinite(minPrice)) {
+    add("w.unit_price >= $?", minPrice);
+  }
+  const maxPrice = Number(q.max_price);
+  if (q.max_price !== undefined && q.max_price !== "" && Number.isFinite(maxPrice)) {
+    add("w.unit_price <= $?", maxPrice);
+  }
+
+  return where;
+}
+
+router.get("/", async (req, res) => {
+  const q = req.query;
+  const sortKey = LIST_SORTS[q.sort] ? q.sort : "washed_at";
+  const sort = LIST_SORTS[sortKey];
+  const dir = String(q.order || "desc").toLowerCase() === "asc" ? "ASC" : "DESC";
+
+  let limit = parseInt(q.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) limit = LIST_DEFAULT_LIMIT;
+  limit = Math.min(limit, LIST_MAX_LIMIT);
+
+  let offset = parseInt(q.offset, 10);
+  if (!Number.isInteger(offset) || offset < 0) {
+    const page = parseInt(q.page, 10);
+    offset = Number.isInteger(page) && page > 1 ? (page - 1) * limit : 0;
+  }
+
+  let cursor = null;
+  if (q.cursor) {
+    cursor = decodeCursor(q.cursor);
+    if (!cursor) return res.status(400).json({ error: "Invalid cursor." });
+    offset = 0;
   }
-  if (to) {
-    params.push(to);
-    where.push(`w.washed_at < ($${params.length}::date + interval '1 day')`);
+
+  const params = [];
+  const where = buildWashFilters(q, params);
+  const countParams = params.slice();
+  const countWhere = where.slice();
+
+  if (cursor) {
+    const cmp = dir === "DESC" ? "<" : ">";
+    if (cursor.v === null) {
+      params.push(cursor.id);
+      where.push(`(${sort.col} IS NULL AND w.id ${cmp} $${params.length}::uuid)`);
+    } else {
+      params.push(cursor.v, cursor.id);
+      where.push(
+        `((${sort.col}, w.id) ${cmp} ($${params.length - 1}::${sort.cast}, $${params.length}::uuid)
+          OR ${sort.col} IS NULL)`
+      );
+    }
   }
 
+  params.push(limit + 1, offset);
   const sql = `
     SELECT 
       w.*, 
+      ${sort.col}::text AS sort_value,
       s.name AS service_name, 
       ct.label AS car_type_label, 
-      st.name AS staff_name
+      st.name AS staff_name,
+      (SELECT COUNT(*)::int FROM wash_items i WHERE i.wash_id = w.id) AS item_count,
+      (SELECT COALESCE(json_agg(json_build_object(
+                'staff_id', ws.staff_id, 'staff_name', cs.name, 'share_pct', ws.share_pct
+              ) ORDER BY ws.is_lead DESC, cs.name), '[]'::json)
+         FROM wash_staff ws JOIN staff cs ON cs.id = ws.staff_id
+        WHERE ws.wash_id = w.id) AS crew
     FROM washes w
     JOIN services s ON s.id = w.service_id
     JOIN car_types ct ON ct.id = w.car_type_id
     LEFT JOIN staff st ON st.id = w.staff_id
     ${where.length ? "WHERE " + where.join(" AND ") : ""}
-    ORDER BY w.washed_at DESC
+    ORDER BY ${sort.col} ${dir} NULLS LAST, w.id ${dir}
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `;
+  const countSql = `
+    SELECT COUNT(*)::int AS total
+    FROM washes w
+    ${countWhere.length ? "WHERE " + countWhere.join(" AND ") : ""}
   `;
 
   try {
-    const { rows } = await query(sql, params);
-    res.json(rows);
+    const [list, count] = await Promise.all([
+      query(sql, params),
+      q.count === "false" ? null : query(countSql, countParams),
+    ]);
+    const rows = list.rows.slice(0, limit);
+    const hasMore = list.rows.length > limit;
+    const items = rows.map(({ sort_value, ...row }) => row);
+
+    res.json({
+      items,
+      page: {
+        limit,
+        offset,
+        total: count ? count.rows[0].total : null,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+      },
+      sort: { by: sortKey, order: dir.toLowerCase() },
+    });
   } catch (err) {
+    if (err.code === "22P02") {
+      return res.status(400).json({ error: "Invalid filter value." });
+    }
     console.error("❌ Error listing washes:", err);
     res.status(500).json({ error: "Failed to fetch wash records." });
   }
 });
 
+/* ================================
+   WASH CHANGE HISTORY
+   GET /washes/:id/history -> versions oldest first, each with
+   { action, changes: { field: { from, to } }, reason, changed_by_name, changed_at }
+================================ */
+router.get("/:id/history", async (req, res) => {
+  try {
+    const { rows } = await query(
+      "SELECT id, receipt_no, washed_at, status FROM washes WHERE id = $1::uuid",
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Wash record not found." });
+    res.json({ wash: rows[0], history: await listWashHistory(req.params.id) });
+  } catch (err) {
+    console.error("❌ Error loading wash history:", err);
+    res.status(500).json({ error: "Failed to load wash history." });
+  }
+});
+
 /* ================================
    GET WASH RECEIPT
+   ?format=json (default) | escpos | pdf | html
+   &width=58 | 80   (paper roll, escpos/pdf/html)
 ================================ */
 router.get("/:id/receipt", async (req, res) => {
   const { id } = req.params;
+  const format = (req.query.format || "json").toString().toLowerCase();
+  if (!RECEIPT_FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ error: `format must be one of ${RECEIPT_FORMATS.join(", ")}.` });
+  }
+  const width = paperWidth(req.query.width);
+
   try {
     const { rows } = await query(
       `
       SELECT
         w.id,
         w.receipt_no,
+        w.subtotal,
         w.unit_price,
         w.commission_pct,
         w.commission_amount,
         w.profit_amount,
         w.is_free,
         w.vehicle_reg,
+        w.status,
+        w.bay_no,
+        w.payment_status,
+        w.package_covered,
         p.name AS promo_name,
+        pp.name AS package_name,
         to_char(w.washed_at, 'YYYY-MM-DD HH24:MI') AS washed_at,
         s.name AS service_name,
         ct.label AS car_type_label,
-        st.name AS staff_name
+        COALESCE(
+          (SELECT string_agg(cs.name, ', ' ORDER BY ws.is_lead DESC, cs.name)
+             FROM wash_staff ws JOIN staff cs ON cs.id = ws.staff_id
+            WHERE ws.wash_id = w.id),
+          st.name
+        ) AS staff_name
       FROM washes w
       JOIN services s ON s.id = w.service_id
       JOIN car_types ct ON ct.id = w.car_type_id
       LEFT JOIN staff st ON st.id = w.staff_id
       LEFT JOIN promotions p ON p.id = w.promo_id
+      LEFT JOIN customer_packages cp ON cp.id = w.customer_package_id
+      LEFT JOIN package_plans pp ON pp.id = cp.plan_id
       WHERE w.id = $1::uuid
       `,
       [id]
@@ -495,93 +1252,605 @@ router.get("/:id/receipt", async (req, res) => {
 
     if (!rows[0]) return res.status(404).json({ error: "Receipt not found." });
 
-    res.json(rows[0]);
+    const items = await loadWashItems(id);
+    const subtotal = Number(rows[0].subtotal ?? rows[0].unit_price);
+    const receipt = {
+      ...rows[0],
+      items,
+      payments: await listPayments(id),
+      subtotal,
+      package_covered: Number(rows[0].package_covered || 0),
+      discount:
+        Math.round((subtotal - Number(rows[0].package_covered || 0) - Number(rows[0].unit_price)) * 100) / 100,
+      total: Number(rows[0].unit_price),
+    };
+    if (format === "json") return res.json(receipt);
+
+    const model = buildReceiptModel(receipt, await getAppSettings());
+    const fileBase = `receipt-${receipt.receipt_no || receipt.id}`;
+
+    if (format === "escpos") {
+      res.set("Content-Type", "application/octet-stream");
+      res.set("Content-Disposition", `inline; filename="${fileBase}.bin"`);
+      return res.send(renderEscPos(model, width));
+    }
+    if (format === "pdf") {
+      res.set("Content-Type", "application/pdf");
+      res.set("Content-Disposition", `inline; filename="${fileBase}.pdf"`);
+      return res.send(await renderPdf(model, width));
+    }
+    res.set("Content-Type", "text/html; charset=utf-8");
+    res.send(renderHtml(model, width));
   } catch (err) {
     console.error("❌ Error fetching receipt:", err);
     res.status(500).json({ error: "Failed to load receipt." });
   }
 });
 
+/* ================================
+   PAYMENTS (split tender)
+   GET    /washes/:id/payments
+   POST   /washes/:id/payments   Body: { payments: [{ method, amount, reference? }] }
+                                  or a single { method, amount, reference? }
+   DELETE /washes/:id/payments/:paymentId   (Admin; a tender keyed in by
+          mistake. Refunds and payments on voided / refunded washes stay.)
+================================ */
+router.get("/:id/payments", async (req, res) => {
+  try {
+    const { rows } = await query(
+      "SELECT id, unit_price, payment_status FROM washes WHERE id = $1::uuid",
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Wash record not found." });
+
+    const payments = await listPayments(req.params.id);
+    const paid = payments.reduce((a, p) => a + Number(p.amount), 0);
+    res.json({
+      wash_id: rows[0].id,
+      amount_due: Number(rows[0].unit_price),
+      paid,
+      balance: Math.round((Number(rows[0].unit_price) - paid) * 100) / 100,
+      payment_status: rows[0].payment_status,
+      payments,
+    });
+  } catch (err) {
+    console.error("❌ Error listing payments:", err);
+    res.status(500).json({ error: "Failed to load payments." });
+  }
+});
+
+router.post("/:id/payments", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const payments = normPaymentList(req.body);
+    if (!payments.length) {
+      return res.status(400).json({ error: "At least one payment is required." });
+    }
+    const result = await withTransaction((db) =>
+      recordPayments(req.params.id, payments, req.user?.sub, db)
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error recording payment:", err);
+    res.status(500).json({ error: "Failed to record payment." });
+  }
+});
+
+router.delete("/:id/payments/:paymentId", requireRole("ADMIN"), async (req, res) => {
+  const { id, paymentId } = req.params;
+  try {
+    const payment_status = await withTransaction(async (db) => {
+      const { rows: washRows } = await db.query(
+        "SELECT * FROM washes WHERE id = $1::uuid FOR UPDATE",
+        [id]
+      );
+      const before = washRows[0];
+      if (!before) throw httpError(404, "Wash record not found.");
+      if (isReversed(before.status)) {
+        throw httpError(409, `Cannot delete a payment on a ${before.status} wash.`);
+      }
+
+      const { rows: deleted } = await db.query(
+        "DELETE FROM wash_payments WHERE id = $1::uuid AND wash_id = $2::uuid AND kind = 'PAYMENT' RETURNING *",
+        [paymentId, id]
+      );
+      const payment = deleted[0];
+      if (!payment) {
+        const { rows: refund } = await db.query(
+          "SELECT 1 FROM wash_payments WHERE id = $1::uuid AND wash_id = $2::uuid",
+          [paymentId, id]
+        );
+        if (refund.length) throw httpError(409, "Refunds cannot be deleted.");
+        throw httpError(404, "Payment not found.");
+      }
+
+      await refreshPaymentStatus(id, db);
+      const { rows } = await db.query("SELECT * FROM washes WHERE id = $1::uuid", [id]);
+      await recordWashHistory(
+        {
+          washId: id,
+          action: "UPDATE",
+          before: { ...before, payments: [...(await listPayments(id, db)), payment] },
+          after: { ...rows[0], payments: await listPayments(id, db) },
+          userId: req.user?.sub,
+          reason:
+            req.body?.reason ||
+            `Deleted ${payment.method} payment of ${Number(payment.amount).toFixed(2)}` +
+              (payment.reference ? ` (${payment.reference})` : ""),
+        },
+        db
+      );
+      return rows[0].payment_status;
+    });
+    res.json({ ok: true, payment_status });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error deleting payment:", err);
+    res.status(500).json({ error: "Failed to delete payment." });
+  }
+});
+
+/* ================================
+   TIPS
+   GET    /washes/:id/tips
+   POST   /washes/:id/tips            { tips: [...] } or { tip_amount, tip_staff_ids? }
+   DELETE /washes/:id/tips/:tipId     (only while still owed)
+================================ */
+router.get("/:id/tips", async (req, res) => {
+  try {
+    const tips = await listTips(req.params.id);
+    const total = tips.reduce((a, t) => a + Number(t.amount), 0);
+    res.json({ tips, tip_amount: Math.round(total * 100) / 100 });
+  } catch (err) {
+    console.error("❌ Error loading tips:", err);
+    res.status(500).json({ error: "Failed to load tips." });
+  }
+});
+
+router.post("/:id/tips", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const { rows } = await db.query("SELECT staff_id FROM washes WHERE id = $1::uuid", [
+        req.params.id,
+      ]);
+      if (!rows[0]) throw httpError(404, "Wash record not found.");
+      const crew = await listWashStaff(req.params.id, db);
+      const tips = normTipList(
+        req.body,
+        crew.length ? crew.map((m) => m.staff_id) : rows[0].staff_id
+      );
+      if (!tips.length) throw badRequest("At least one tip is required.");
+      return recordTips(req.params.id, tips, req.user?.sub, db);
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error recording tip:", err);
+    res.status(500).json({ error: "Failed to record tip." });
+  }
+});
+
+router.delete("/:id/tips/:tipId", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id, tipId } = req.params;
+  try {
+    const result = await withTransaction(async (db) => {
+      const { rows } = await db.query(
+        "SELECT id, paid_at FROM wash_tips WHERE id = $1::uuid AND wash_id = $2::uuid FOR UPDATE",
+        [tipId, id]
+      );
+      if (!rows[0]) throw httpError(404, "Tip not found.");
+      if (rows[0].paid_at) throw httpError(409, "This tip has already been paid out.");
+      await db.query("DELETE FROM wash_tips WHERE id = $1::uuid", [tipId]);
+      return { ok: true, tip_amount: await refreshTipTotal(id, db) };
+    });
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("❌ Error deleting tip:", err);
+    res.status(500).json({ error: "Failed to delete tip." });
+  }
+});
+
+/* ================================
+   CHANGE JOB STATE (queue board)
+   PATCH /washes/:id/status
+   Body: { status, bay_no? }
+================================ */
+router.patch("/:id/status", requireRole("ADMIN", "MANAGER"), async (req, res) => {
+  const { id } = req.params;
+  const next = normStatus(req.body?.status);
+  if (!next) {
+    return res.status(400).json({ error: "status must be one of QUEUED, IN_PROGRESS, DONE, COLLECTED." });
+  }
+  const hasBay = req.body?.bay_no !== undefined;
+  const bayNo =
+    req.body?.bay_no === null || req.body?.bay_no === "" ? null : Number(req.body?.bay_no);
+  if (hasBay && bayNo !== null && !(Number.isInteger(bayNo) && bayNo > 0)) {
+    return res.status(400).json({ error: "bay_no must be a positive integer." });
+  }
+
+  try {
+    const updated = await withTransaction(async (db) => {
+      const { rows: existingRows } = await db.query(
+        "SELECT * FROM washes WHERE id = $1::uuid FOR UPDATE",
+        [id]
+      );
+      const current = existingRows[0];
+      if (!current) throw httpError(404, "Wash record not found.");
+
+      if (current.status !== next && !canTransition(current.status, next)) {
+        throw httpError(409, `Cannot move a wash from ${current.status} to ${next}.`);
+      }
+
+      const effectiveBay = hasBay ? bayNo : current.bay_no;
+      if (next === "IN_PROGRESS" && effectiveBay === null) {
+        throw badRequest("bay_no is required to start a wash.");
+      }
+
+      // Timestamps follow the state; stepping back clears the later ones
+      const { rows } = await db.query(
+        `
+        UPDATE washes
+        SET status = $1::wash_status,
+            bay_no = $2,
+            started_at = CASE
+              WHEN $1::wash_status = 'QUEUED' THEN NULL
+              ELSE COALESCE(started_at, now())
+            END,
+            finished_at = CASE
+              WHEN $1::wash_status IN ('QUEUED','IN_PROGRESS') THEN NULL
+              ELSE COALESCE(finished_at, now())
+            END,
+            collected_at = CASE
+              WHEN $1::wash_status = 'COLLECTED' THEN COALESCE(collected_at, now())
+              ELSE NULL
+            END,
+            updated_at = now()
+        WHERE id = $3::uuid
+        RETURNING *
+        `,
+        [next, effectiveBay, id]
+      );
+
+      await recordWashHistory(
+        { washId: id, action: "STATUS", before: current, after: rows[0], userId: req.user?.sub, reason: req.body?.reason },
+        db
+      );
+      if (next === "DONE" && current.status !== "DONE") {
+        await notifyCarReady(rows[0], { userId: req.user?.sub }, db);
+      }
+      return rows[0];
+    });
+
+    res.json(updated);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "That bay already has a job in progress." });
+    }
+    console.error("❌ Error changing wash status:", err);
+    res.status(500).json({ error: "Failed to update wash status." });
+  }
+});
+
 /* ================================
    UPDATE WASH
+   Body may carry a reason; every change lands in GET /:id/history.
+   staff[] / staff_ids[] replace the crew; the commission is re-split.
+   A price below what has been paid is refused (409) unless the edit
+   also hands the difference back: refund: { method, amount, reference?, note? }
 ================================ */
 router.put("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
   const { id } = req.params;
   const {
     service_id,
     car_type_id,
-    staff_id = null,
     unit_price = null,
     washed_at = null,
     commission_pct = 30.0,
   } = req.body;
 
   try {
-    const { rows: existingRows } = await query(
-      "SELECT * FROM washes WHERE id = $1::uuid",
-      [id]
-    );
-    if (existingRows.length === 0)
-      return res.status(404).json({ error: "Wash record not found." });
+    const updated = await withTransaction(async (db) => {
+      const crew = normCrew(req.body);
+      const refund = req.body.refund ? normPayment(req.body.refund, "(refund)") : null;
+      // Row lock: a concurrent edit, payment or void waits for this one
+      const { rows: existingRows } = await db.query(
+        "SELECT * FROM washes WHERE id = $1::uuid FOR UPDATE",
+        [id]
+      );
+      if (existingRows.length === 0) throw httpError(404, "Wash record not found.");
+      const existing = existingRows[0];
+      if (isReversed(existing.status)) {
+        throw httpError(409, `Cannot edit a ${existing.status} wash.`);
+      }
+      const before = {
+        ...existing,
+        items: await loadWashItems(id, db),
+        crew: await listWashStaff(id, db),
+        payments: await listPayments(id, db),
+      };
+      // A bare staff_id equal to the current lead (legacy full-form edit)
+      // keeps the crew as it is; anything else replaces it.
+      const replaceCrew =
+        crew && !(!req.body.staff && !req.body.staff_ids && crew[0].staff_id === existing.staff_id);
 
-    const price = unit_price ?? existingRows[0].unit_price;
-    const commission_amount =
-      Math.round(((Number(price) * commission_pct) / 100.0) * 100) / 100;
-    const profit_amount =
-      Math.round((Number(price) - commission_amount) * 100) / 100;
+      // Ticket lines: replace when items are sent; a legacy edit of a
+      // one-line ticket keeps that line in sync with the header.
+      // List prices are re-resolved as of the wash time, not the edit time.
+      const pricedAt = { at: washed_at || existing.washed_at };
+      let lines = null;
+      if (Array.isArray(req.body.items) && req.body.items.length) {
+        lines = await resolveLineItems(
+          normItems(req.body),
+          car_type_id ?? existing.car_type_id,
+          db,
+          pricedAt
+        );
+        if (!lines.some((l) => l.service_id)) {
+          throw badRequest("A ticket needs at least one service line.");
+        }
+      } else if (service_id || car_type_id || unit_price !== null) {
+        const current = await loadWashItems(id, db);
+        if (current.length <= 1) {
+          lines = await resolveLineItems(
+            [
+              {
+                service_id: service_id ?? existing.service_id,
+                addon_id: null,
+                unit_price: unit_price ?? (car_type_id ? null : current[0]?.unit_price ?? null),
+              },
+            ],
+            car_type_id ?? existing.car_type_id,
+            db,
+            pricedAt
+          );
+        }
+      }
 
-    const { rows } = await query(
-      `
-      UPDATE washes
-      SET service_id = COALESCE($1::uuid, service_id),
-          car_type_id = COALESCE($2::uuid, car_type_id),
-          staff_id = COALESCE($3::uuid, staff_id),
-          unit_price = COALESCE($4, unit_price),
-          commission_pct = COALESCE($5, commission_pct),
-          commission_amount = $6,
-          profit_amount = $7,
-          washed_at = COALESCE($8, washed_at),
-          updated_at = now()
-      WHERE id = $9::uuid
-      RETURNING *
-      `,
-      [
-        service_id ?? existingRows[0].service_id,
-        car_type_id ?? existingRows[0].car_type_id,
-        staff_id,
-        price,
-        commission_pct,
-        commission_amount,
-        profit_amount,
-        washed_at,
-        id,
-      ]
-    );
+      const subtotal = lines ? sumLines(lines) : existing.subtotal;
+      const headerServiceId = lines
+        ? lines.find((l) => l.service_id).service_id
+        : service_id ?? existing.service_id;
+      // Promos stay with the ticket: free stays free, discounts are re-applied
+      const price = existing.is_free
+        ? 0
+        : lines
+          ? applyPromoEffects(subtotal, existing.promo_trace?.applied)
+          : unit_price ?? existing.unit_price;
+      // The package-covered part still earns commission (as at creation)
+      const commissionBase = Number(price) + Number(existing.package_covered || 0);
+      const commission_amount =
+        Math.round(((commissionBase * commission_pct) / 100.0) * 100) / 100;
+      const profit_amount =
+        Math.round((Number(price) - commission_amount) * 100) / 100;
 
-    res.json(rows[0]);
+      const { rows } = await db.query(
+        `
+        UPDATE washes
+        SET service_id = COALESCE($1::uuid, service_id),
+            car_type_id = COALESCE($2::uuid, car_type_id),
+            staff_id = COALESCE($3::uuid, staff_id),
+            unit_price = COALESCE($4, unit_price),
+            commission_pct = COALESCE($5, commission_pct),
+            commission_amount = $6,
+            profit_amount = $7,
+            washed_at = COALESCE($8, washed_at),
+            subtotal = $10,
+            updated_at = now()
+        WHERE id = $9::uuid
+        RETURNING *
+        `,
+        [
+          headerServiceId,
+          car_type_id ?? existing.car_type_id,
+          crew ? crew[0].staff_id : null,
+          price,
+          commission_pct,
+          commission_amount,
+          profit_amount,
+          washed_at,
+          id,
+          subtotal,
+        ]
+      );
+
+      if (lines) await replaceWashItems(id, lines, db);
+      if (replaceCrew) await saveWashStaff(id, crew, commission_amount, db);
+      else await resplitCommission(id, commission_amount, db);
+
+      if (refund) await recordRefund(id, refund, req.user?.sub, db);
+      const paid = await getPaidTotal(id, db);
+      if (paid > Number(rows[0].unit_price)) {
+        throw httpError(
+          409,
+          `The new price (${Number(rows[0].unit_price).toFixed(2)}) is below what has been paid ` +
+            `(${paid.toFixed(2)}); include a refund of the difference in this edit.`
+        );
+      }
+      rows[0].payment_status = await refreshPaymentStatus(id, db);
+
+      const after = {
+        ...rows[0],
+        items: await loadWashItems(id, db),
+        crew: await listWashStaff(id, db),
+        payments: await listPayments(id, db),
+      };
+      await recordWashHistory(
+        { washId: id, action: "UPDATE", before, after, userId: req.user?.sub, reason: req.body.reason },
+        db
+      );
+      return after;
+    });
+
+    res.json(updated);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("❌ Error updating wash record:", err);
     res.status(500).json({ error: "Failed to update wash record." });
   }
 });
 
 /* ================================
-   DELETE WASH
+   VOID / REFUND WASH
+   The row stays; status becomes VOIDED or REFUNDED, a reversal entry
+   records who/why, a refund pays back what was taken, any draw or
+   featured reward is handed back and queued SMS for the wash are cancelled.
+   Runs inside the caller's transaction with the wash row locked.
 ================================ */
-router.delete("/:id", requireRole("ADMIN", "MANAGER"), async (req, res) => {
-  const { id } = req.params;
-  try {
-    const result = await query(
-      "DELETE FROM washes WHERE id = $1::uuid RETURNING id",
-      [id]
+async function reverseWash({ id, kind, reason, userId }, db) {
+  const nextStatus = kind === "REFUND" ? "REFUNDED" : "VOIDED";
+
+  const { rows: existingRows } = await db.query(
+    "SELECT * FROM washes WHERE id = $1::uuid FOR UPDATE",
+    [id]
+  );
+  const existing = existingRows[0];
+  if (!existing) {
+    const err = new Error("Wash record not found.");
+    err.status = 404;
+    throw err;
+  }
+  if (isReversed(existing.status)) {
+    const err = new Error(`Wash is already ${existing.status}.`);
+    err.status = 409;
+    throw err;
+  }
+  if (kind === "REFUND" && !["DONE", "COLLECTED"].includes(existing.status)) {
+    const err = new Error("Only finished washes can be refunded; void it instead.");
+    err.status = 409;
+    throw err;
+  }
+
+  // Guarded update so two clicks can't reverse the same wash twice
+  const { rows } = await db.query(
+    `
+    UPDATE washes
+    SET status_before_reversal = status,
+        status = $2::wash_status,
+        reversed_at = now(),
+        reversed_by = $3::uuid,
+        reversal_reason = $4,
+        updated_at = now()
+    WHERE id = $1::uuid
+      AND ${notReversedSql("")}
+    RETURNING *
+    `,
+    [id, nextStatus, userId || null, reason]
+  );
+  const wash = rows[0];
+  if (!wash) {
+    const err = new Error("Wash was reversed by someone else.");
+    err.status = 409;
+    throw err;
+  }
+
+  const { rows: revRows } = await db.query(
+    `
+    INSERT INTO wash_reversals
+      (wash_id, kind, reason, amount, commission_amount, profit_amount, receipt_no, created_by)
+    VALUES ($1::uuid, $2::wash_reversal_kind, $3, -$4::numeric, -$5::numeric, -$6::numeric, $7, $8::uuid)
+    RETURNING *
+    `,
+    [
+      wash.id,
+      kind,
+      reason,
+      wash.unit_price,
+      wash.commission_amount,
+      wash.profit_amount,
+      wash.receipt_no,
+      userId || null,
+    ]
+  );
+
+  // A refund hands the money back: one REFUND row per tender still held.
+  // A void keeps its payments (reports show them as REVERSED).
+  const refunds = [];
+  if (kind === "REFUND") {
+    const { rows: held } = await db.query(
+      `SELECT method, SUM(amount)::numeric AS net
+         FROM wash_payments WHERE wash_id = $1::uuid
+        GROUP BY method HAVING SUM(amount) > 0
+        ORDER BY method`,
+      [wash.id]
     );
-    if (result.rowCount === 0)
-      return res.status(404).json({ error: "Wash record not found." });
-    res.json({ ok: true, message: "Wash record deleted successfully." });
-  } catch (err) {
-    console.error("❌ Error deleting wash record:", err);
-    res.status(500).json({ error: "Failed to delete wash record." });
+    for (const h of held) {
+      const { refund } = await recordRefund(
+        wash.id,
+        { method: h.method, amount: Number(h.net), reference: null, note: reason, received_at: null },
+        userId,
+        db
+      );
+      refunds.push(refund);
+    }
   }
-});
+
+  // Hand back a consumed daily-draw reward. Featured & loyalty rewards are
+  // derived from non-reversed washes, so they become available again on their own.
+  const { rowCount: restoredDraw } = await db.query(
+    `UPDATE daily_free_winners
+        SET used_at = NULL, used_wash_id = NULL
+      WHERE used_wash_id = $1::uuid`,
+    [wash.id]
+  );
+
+  if (wash.customer_id) {
+    await db.query(
+      `UPDATE customers
+          SET visits_count = GREATEST(visits_count - 1, 0),
+              updated_at = now()
+        WHERE id = $1::uuid`,
+      [wash.customer_id]
+    );
+  }
+  const points = await reverseWashPoints({ washId: wash.id, customerId: wash.customer_id, userId }, db);
+  // "Car ready" / loyalty texts still waiting to go out no longer apply
+  const smsCancelled = await cancelWashNotifications(wash.id, db);
+
+  await recordWashHistory(
+    { washId: wash.id, action: kind, before: existing, after: wash, userId, reason },
+    db
+  );
+
+  return {
+    wash,
+    reversal: revRows[0],
+    refunds,
+    reward_restored: restoredDraw > 0,
+    points,
+    sms_cancelled: smsCancelled,
+  };
+}
+
+function reversalHandler(kind) {
+  return async (req, res) => {
+    const reason = (req.body?.reason ?? req.query.reason ?? "").toString().trim();
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required." });
+    }
+    try {
+      const result = await withTransaction((db) =>
+        reverseWash({ id: req.params.id, kind, reason, userId: req.user?.sub }, db)
+      );
+      res.json(result);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error(`❌ Error reversing wash (${kind}):`, err);
+      res.status(500).json({ error: "Failed to reverse wash record." });
+    }
+  };
+}
+
+/** POST /washes/:id/void   Body: { reason } */
+router.post("/:id/void", requireRole("ADMIN", "MANAGER"), reversalHandler("VOID"));
+
+/** POST /washes/:id/refund Body: { reason } */
+router.post("/:id/refund", requireRole("ADMIN", "MANAGER"), reversalHandler("REFUND"));
+
+/* ================================
+   DELETE WASH → void (kept for older clients; needs ?reason=)
+================================ */
+router.delete("/:id", requireRole("ADMIN", "MANAGER"), reversalHandler("VOID"));
 
 export default router;
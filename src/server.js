@@ -5,6 +5,7 @@ import helmet from 'helmet';
 import fs from 'fs';
 import path from 'path';
 import { pool, query } from './db.js';
+import { countedWashSql, parseStatusList, ALL_STATUSES } from './utils/washStatus.js';
 
 // Routers
 import authRouter from './routes/auth.js';
@@ -14,6 +15,7 @@ import expensesRouter from './routes/expenses.js';
 import reportsRouter from './routes/reports.js';
 import servicesRouter from './routes/services.js';
 import carTypesRouter from './routes/carTypes.js';
+import addonsRouter from './routes/addons.js';
 import servicePricesRouter from './routes/servicePrices.js';
 import staffRoutes from './routes/staff.js';
 import commissionRoutes from './routes/commissions.js';
@@ -22,6 +24,17 @@ import usersRouter from './routes/users.js';
 import analyticsRouter from './routes/analytics.js';
 import featuredVehiclesRouter from './routes/featuredVehicles.js';
 import freeWashDraw from "./routes/freeWashDraw.js"; // ✅ already imported
+import mpesaRouter from './routes/mpesa.js';
+import promotionsRouter from './routes/promotions.js';
+import priceRulesRouter from './routes/priceRules.js';
+import vouchersRouter from './routes/vouchers.js';
+import packagesRouter from './routes/packages.js';
+import loyaltyRouter from './routes/loyalty.js';
+import customersRouter from './routes/customers.js';
+import vehiclesRouter from './routes/vehicles.js';
+import notificationsRouter from './routes/notifications.js';
+import { startNotificationWorker } from './utils/notifications.js';
+import { startPriceListWorker } from './utils/priceList.js';
 
 const app = express();
 
@@ -45,7 +58,8 @@ const corsOptions = {
     return cb(new Error(`CORS not allowed from origin: ${origin}`));
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Authorization', 'Content-Type'],
+  allowedHeaders: ['Authorization', 'Content-Type', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: false, // only enable if using cookies/sessions
   optionsSuccessStatus: 204,
 };
@@ -92,7 +106,18 @@ app.use('/expenses', expensesRouter);
 app.use('/reports', reportsRouter);
 app.use('/services', servicesRouter);
 app.use('/car-types', carTypesRouter);
+app.use('/addons', addonsRouter);
+
+// M-Pesa STK push + Daraja callbacks (callbacks are public, token-guarded).
+// Public webhooks must be mounted before the '/' router below: its
+// requireAuth runs for every path that reaches it.
+app.use('/payments/mpesa', mpesaRouter);
+
+// SMS outbox (delivery reports are public, token-guarded)
+app.use('/notifications', notificationsRouter);
+
 app.use('/', servicePricesRouter);
+app.use('/price-rules', priceRulesRouter);
 app.use('/staff', staffRoutes);
 app.use('/commissions', commissionRoutes);
 app.use('/settings', settingsRouter);
@@ -100,6 +125,15 @@ app.use('/users', usersRouter);
 app.use('/analytics', analyticsRouter);
 app.use('/featured-vehicles', featuredVehiclesRouter);
 
+app.use('/vouchers', vouchersRouter);
+app.use('/packages', packagesRouter);
+app.use('/loyalty', loyaltyRouter);
+app.use('/customers', customersRouter);
+app.use('/vehicles', vehiclesRouter);
+
+// Promotion rules (CRUD); mounted before the draw endpoints that share the prefix
+app.use('/promotions/rules', promotionsRouter);
+
 // ✅ NEW: mount the draw/promotion endpoints (random free wash selection, etc.)
 app.use('/promotions', freeWashDraw);
 
@@ -121,21 +155,32 @@ app.get('/dashboard/today-vs-yesterday', async (req, res) => {
         COALESCE(SUM(commission_amount),0)::numeric AS commission,
         COALESCE(SUM(profit_amount),0)::numeric AS profit
       FROM washes
-      WHERE washed_at >= $1 AND washed_at < ($1 + interval '1 day')`;
+      WHERE washed_at >= $1 AND washed_at < ($1 + interval '1 day')
+        AND ${countedWashSql('')}`;
+
+    const queueSql = `
+      SELECT status, COUNT(*)::int AS c
+      FROM washes
+      WHERE washed_at >= $1 AND washed_at < ($1 + interval '1 day')
+      GROUP BY status`;
 
     const expSql = `
       SELECT COALESCE(SUM(amount),0)::numeric AS expenses
       FROM expenses
       WHERE spent_at >= $1 AND spent_at < ($1 + interval '1 day')`;
 
-    const [{ rows: [t] }, { rows: [te] }, { rows: [y] }, { rows: [ye] }] =
+    const [{ rows: [t] }, { rows: [te] }, { rows: [y] }, { rows: [ye] }, { rows: qs }] =
       await Promise.all([
         query(metricsSql, [tzToday]),
         query(expSql, [tzToday]),
         query(metricsSql, [yesterday]),
         query(expSql, [yesterday]),
+        query(queueSql, [tzToday]),
       ]);
 
+    const queue = Object.fromEntries(ALL_STATUSES.map(st => [st, 0]));
+    for (const r of qs) queue[r.status] = r.c;
+
     const todayNet = Number(t.profit) - Number(te.expenses);
     const yNet = Number(y.profit) - Number(ye.expenses);
     const pct = yNet === 0 ? null : ((todayNet - yNet) / Math.abs(yNet)) * 100;
@@ -145,6 +190,7 @@ app.get('/dashboard/today-vs-yesterday', async (req, res) => {
       today: { ...t, expenses: te.expenses, net_income: todayNet },
       yesterday: { ...y, expenses: ye.expenses, net_income: yNet },
       delta_pct: pct,
+      queue,
     });
   } catch (e) {
     console.error(e);
@@ -152,8 +198,54 @@ app.get('/dashboard/today-vs-yesterday', async (req, res) => {
   }
 });
 
+/* -----------------------------
+   🚿 Live queue board
+   /dashboard/queue?status=QUEUED,IN_PROGRESS&date=YYYY-MM-DD
+   (defaults to today's jobs not yet collected)
+------------------------------ */
+app.get('/dashboard/queue', async (req, res) => {
+  try {
+    const requested = parseStatusList(req.query.status);
+    const statuses = requested.length ? requested : ['QUEUED', 'IN_PROGRESS', 'DONE'];
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '')
+      ? req.query.date
+      : new Date().toISOString().slice(0, 10);
+
+    const { rows } = await query(
+      `
+      SELECT
+        w.id, w.receipt_no, w.vehicle_reg, w.status, w.bay_no,
+        w.washed_at, w.queued_at, w.started_at, w.finished_at,
+        s.name AS service_name,
+        ct.label AS car_type_label,
+        st.name AS staff_name
+      FROM washes w
+      JOIN services s ON s.id = w.service_id
+      JOIN car_types ct ON ct.id = w.car_type_id
+      LEFT JOIN staff st ON st.id = w.staff_id
+      WHERE w.status = ANY($1::wash_status[])
+        AND w.washed_at >= $2::date
+        AND w.washed_at < ($2::date + interval '1 day')
+      ORDER BY w.bay_no NULLS LAST, w.queued_at ASC NULLS LAST, w.washed_at ASC`,
+      [statuses, day]
+    );
+
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load queue' });
+  }
+});
+
 /* -----------------------------
    🚀 Start server
 ------------------------------ */
 const port = process.env.PORT || 8080;
 app.listen(port, () => console.log(`✅ API running on :${port}`));
+
+// Send queued SMS in the background (SMS_DISPATCH_INTERVAL_MS, 0 = off)
+startNotificationWorker();
+
+// Keep service_prices on the price in effect as scheduled changes come due
+// (PRICE_APPLY_INTERVAL_MS, 0 = startup only)
+startPriceListWorker();
@@ -0,0 +1,196 @@
+// src/utils/customerMerge.js
+// Likely-duplicate customers and merging them into one row.
+// findDuplicates() only reads; mergeCustomers() must run in a transaction.
+import { pool } from "../db.js";
+import { notReversedSql } from "./washStatus.js";
+
+function mergeError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// How much each kind of match counts towards a pair's score
+const REASON_WEIGHT = { PHONE: 3, PLATE: 2, NAME: 1 };
+
+/**
+ * Pairs of customers that look like the same person.
+ *   PHONE: same last 9 digits (07.., +2547.., 2547..)
+ *   PLATE: same plate on the customer row, any of their washes or a
+ *          vehicle they own or owned
+ *   NAME:  trigram similarity of the names >= nameSimilarity
+ * Returns [{ score, reasons, customers: [a, b], suggested_survivor_id }],
+ * best matches first.
+ */
+export async function findDuplicates({ nameSimilarity = 0.8, limit = 50 } = {}, db = pool) {
+  const { rows: pairs } = await db.query(
+    `
+    WITH c AS (
+      SELECT id, name, right(regexp_replace(COALESCE(phone, ''), '\\D', '', 'g'), 9) AS phone_key
+      FROM customers
+    ),
+    plates AS (
+      SELECT DISTINCT customer_id, vehicle_reg FROM washes
+      WHERE customer_id IS NOT NULL AND vehicle_reg IS NOT NULL
+      UNION
+      SELECT id, vehicle_reg FROM customers WHERE vehicle_reg IS NOT NULL
+      UNION
+      SELECT customer_id, plate FROM vehicle_ownership o JOIN vehicles v ON v.id = o.vehicle_id
+      WHERE customer_id IS NOT NULL
+    ),
+    pairs AS (
+      SELECT a.id AS a_id, b.id AS b_id, 'PHONE' AS reason
+      FROM c a JOIN c b ON b.phone_key = a.phone_key AND a.id < b.id
+      WHERE length(a.phone_key) = 9
+      UNION ALL
+      SELECT DISTINCT pa.customer_id, pb.customer_id, 'PLATE'
+      FROM plates pa
+      JOIN plates pb ON pb.vehicle_reg = pa.vehicle_reg AND pa.customer_id < pb.customer_id
+      UNION ALL
+      SELECT a.id, b.id, 'NAME'
+      FROM c a JOIN c b ON a.id < b.id
+      WHERE a.name IS NOT NULL AND b.name IS NOT NULL
+        AND similarity(lower(a.name), lower(b.name)) >= $1
+    )
+    SELECT a_id, b_id, array_agg(DISTINCT reason) AS reasons
+    FROM pairs
+    GROUP BY a_id, b_id
+    `,
+    [nameSimilarity]
+  );
+
+  const scored = pairs
+    .map((p) => ({ ...p, score: p.reasons.reduce((a, r) => a + REASON_WEIGHT[r], 0) }))
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+  if (!scored.length) return [];
+
+  const ids = [...new Set(scored.flatMap((p) => [p.a_id, p.b_id]))];
+  const { rows: customers } = await db.query(
+    `
+    SELECT c.*,
+           (SELECT array_agg(DISTINCT w.vehicle_reg) FROM washes w
+             WHERE w.customer_id = c.id AND w.vehicle_reg IS NOT NULL) AS plates_seen
+    FROM customers c
+    WHERE c.id = ANY($1::uuid[])
+    `,
+    [ids]
+  );
+  const byId = Object.fromEntries(customers.map((c) => [c.id, c]));
+
+  return scored.map((p) => {
+    const pair = [byId[p.a_id], byId[p.b_id]];
+    // Keep the row with more history; the older one on a tie
+    const [keep] = [...pair].sort(
+      (x, y) => y.visits_count - x.visits_count || new Date(x.created_at) - new Date(y.created_at)
+    );
+    return { score: p.score, reasons: p.reasons, customers: pair, suggested_survivor_id: keep.id };
+  });
+}
+
+// Tables whose customer_id simply moves to the survivor
+const MOVE_TABLES = [
+  "washes",
+  "voucher_redemptions",
+  "customer_packages",
+  "loyalty_transactions",
+  "daily_free_winners",
+  "vehicles",
+  "vehicle_ownership",
+  "notifications",
+];
+
+/**
+ * Merge sourceIds into survivorId: washes, draw candidates and winners,
+ * vouchers, packages, points, vehicles and SMS history move over; blank name/phone/plate on
+ * the survivor are filled from the merged rows; visits_count and
+ * last_visit are recomputed; the merged rows are deleted.
+ * Returns { customer, merged: [{ id, moved }] }.
+ */
+export async function mergeCustomers({ survivorId, sourceIds, reason = null, userId = null }, db) {
+  const sources = [...new Set(sourceIds || [])].filter((id) => id && id !== survivorId);
+  if (!sources.length) throw mergeError("merge_ids must list at least one other customer.");
+
+  // Lock in id order so two overlapping merges can't deadlock
+  const { rows: locked } = await db.query(
+    "SELECT * FROM customers WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE",
+    [[survivorId, ...sources]]
+  );
+  const survivor = locked.find((c) => c.id === survivorId);
+  if (!survivor) throw mergeError("Customer not found.", 404);
+  const merged = locked.filter((c) => c.id !== survivorId);
+  if (merged.length !== sources.length) throw mergeError("Some of merge_ids were not found.", 404);
+
+  const out = [];
+  for (const src of merged) {
+    const moved = {};
+    for (const table of MOVE_TABLES) {
+      const { rowCount } = await db.query(
+        `UPDATE ${table} SET customer_id = $1::uuid WHERE customer_id = $2::uuid`,
+        [survivorId, src.id]
+      );
+      moved[table] = rowCount;
+    }
+
+    // Draw candidates are unique per (day, customer, plate): drop the ones
+    // the survivor already has, move the rest
+    const { rowCount: dropped } = await db.query(
+      `
+      DELETE FROM daily_free_candidates s
+      WHERE s.customer_id = $2::uuid
+        AND EXISTS (
+          SELECT 1 FROM daily_free_candidates t
+          WHERE t.customer_id = $1::uuid
+            AND t.draw_date = s.draw_date
+            AND t.vehicle_reg IS NOT DISTINCT FROM s.vehicle_reg
+        )
+      `,
+      [survivorId, src.id]
+    );
+    const { rowCount: candidates } = await db.query(
+      "UPDATE daily_free_candidates SET customer_id = $1::uuid WHERE customer_id = $2::uuid",
+      [survivorId, src.id]
+    );
+    moved.daily_free_candidates = candidates;
+    if (dropped) moved.daily_free_candidates_dropped = dropped;
+
+    // Earlier merges into this row now belong to the survivor
+    await db.query(
+      "UPDATE customer_merges SET survivor_id = $1::uuid WHERE survivor_id = $2::uuid",
+      [survivorId, src.id]
+    );
+    await db.query(
+      `
+      INSERT INTO customer_merges (survivor_id, merged_id, merged_customer, moved, reason, merged_by)
+      VALUES ($1::uuid, $2::uuid, $3::jsonb, $4::jsonb, $5, $6::uuid)
+      `,
+      [survivorId, src.id, JSON.stringify(src), JSON.stringify(moved), reason, userId]
+    );
+    await db.query("DELETE FROM customers WHERE id = $1::uuid", [src.id]);
+    out.push({ id: src.id, moved });
+  }
+
+  // Fill what the survivor is missing (the phone index is free again now)
+  const pick = (f) => survivor[f] || merged.map((c) => c[f]).find(Boolean) || null;
+  const { rows } = await db.query(
+    `
+    UPDATE customers c
+    SET name = $2,
+        phone = $3,
+        vehicle_reg = $4,
+        visits_count = v.visits,
+        last_visit = v.last_visit,
+        updated_at = now()
+    FROM (
+      SELECT COUNT(*)::int AS visits, MAX(w.washed_at) AS last_visit
+      FROM washes w
+      WHERE w.customer_id = $1::uuid AND ${notReversedSql("w")}
+    ) v
+    WHERE c.id = $1::uuid
+    RETURNING c.*
+    `,
+    [survivorId, pick("name"), pick("phone"), pick("vehicle_reg")]
+  );
+
+  return { customer: rows[0], merged: out };
+}
@@ -0,0 +1,232 @@
+// src/utils/customerProfile.js
+// Lifetime value and visit profile of customers, from their counted washes
+// (done/collected, not voided or refunded) and the packages they bought.
+// Used by GET /customers/:id/profile and the ranked list GET /customers/ranking.
+import { pool } from "../db.js";
+import { countedWashSql } from "./washStatus.js";
+
+function profileError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Columns the ranked list can be ordered by
+export const PROFILE_SORTS = [
+  "total_spent",
+  "visits",
+  "avg_spend",
+  "free_washes",
+  "discounts_received",
+  "avg_gap_days",
+  "last_visit",
+];
+
+/**
+ * Optional period for the figures: ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * (to inclusive). Nothing = lifetime. Returns { from, to } as Dates or nulls.
+ */
+export function profileRange({ month, from, to } = {}) {
+  if (month) {
+    if (!/^\d{4}-\d{2}$/.test(month)) throw profileError("month must be YYYY-MM.");
+    const [y, m] = month.split("-").map(Number);
+    return { from: new Date(Date.UTC(y, m - 1, 1)), to: new Date(Date.UTC(y, m, 1)) };
+  }
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000) : null;
+  if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+    throw profileError("from / to must be dates (YYYY-MM-DD).");
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Profiles, best first by `sort`. customerId narrows it to one customer.
+ * Each row: customer_id, name, phone, vehicle_reg, visits, total_spent,
+ * package_spent, avg_spend, discounts_received, free_washes, first_visit,
+ * last_visit, avg_gap_days, days_since_last_visit, favourite_service, top_staff.
+ * total_spent = charged on washes + packages bought (net of refunds) in the
+ * period; the part of a wash a package paid for is neither spend nor discount.
+ * Returns { rows, total } (total = customers with a wash or package in the period).
+ */
+export async function customerProfiles(
+  {
+    customerId = null,
+    from = null,
+    to = null,
+    sort = "total_spent",
+    order = "desc",
+    limit = 50,
+    offset = 0,
+  } = {},
+  db = pool
+) {
+  const col = PROFILE_SORTS.includes(sort) ? sort : "total_spent";
+  const dir = String(order).toLowerCase() === "asc" ? "ASC" : "DESC";
+  const orderSql = `${col} ${dir} NULLS LAST, customer_id ${dir}`;
+
+  const { rows } = await db.query(
+    `
+    WITH cw AS (
+      SELECT w.id, w.customer_id, w.washed_at, w.unit_price,
+             COALESCE(w.subtotal, w.unit_price) AS subtotal,
+             COALESCE(w.package_covered, 0) AS package_covered, w.is_free
+      FROM washes w
+      WHERE w.customer_id IS NOT NULL
+        AND ${countedWashSql("w")}
+        AND ($1::timestamptz IS NULL OR w.washed_at >= $1::timestamptz)
+        AND ($2::timestamptz IS NULL OR w.washed_at < $2::timestamptz)
+        AND ($3::uuid IS NULL OR w.customer_id = $3::uuid)
+    ),
+    wagg AS (
+      SELECT customer_id,
+             COUNT(*)::int AS visits,
+             SUM(unit_price) AS wash_spent,
+             SUM(subtotal - package_covered - unit_price) AS discounts,
+             COUNT(*) FILTER (WHERE is_free)::int AS free_washes,
+             MIN(washed_at) AS first_visit,
+             MAX(washed_at) AS last_visit,
+             CASE WHEN COUNT(*) > 1
+                  THEN ROUND((EXTRACT(EPOCH FROM MAX(washed_at) - MIN(washed_at)) / 86400 / (COUNT(*) - 1))::numeric, 1)
+             END AS avg_gap_days
+      FROM cw
+      GROUP BY customer_id
+    ),
+    pk AS (
+      SELECT cp.customer_id, SUM(cp.price_paid - cp.refund_amount) AS package_spent
+      FROM customer_packages cp
+      WHERE ($1::timestamptz IS NULL OR cp.sold_at >= $1::timestamptz)
+        AND ($2::timestamptz IS NULL OR cp.sold_at < $2::timestamptz)
+        AND ($3::uuid IS NULL OR cp.customer_id = $3::uuid)
+      GROUP BY cp.customer_id
+    ),
+    agg AS (
+      SELECT COALESCE(wa.customer_id, pk.customer_id) AS customer_id,
+             COALESCE(wa.visits, 0) AS visits,
+             ROUND(COALESCE(wa.wash_spent, 0) + COALESCE(pk.package_spent, 0), 2) AS total_spent,
+             ROUND(COALESCE(pk.package_spent, 0), 2) AS package_spent,
+             ROUND((COALESCE(wa.wash_spent, 0) + COALESCE(pk.package_spent, 0)) / NULLIF(wa.visits, 0), 2) AS avg_spend,
+             ROUND(COALESCE(wa.discounts, 0), 2) AS discounts_received,
+             COALESCE(wa.free_washes, 0) AS free_washes,
+             wa.first_visit, wa.last_visit, wa.avg_gap_days
+      FROM wagg wa
+      FULL JOIN pk ON pk.customer_id = wa.customer_id
+    ),
+    ranked AS (
+      SELECT agg.*, c.name, c.phone, c.vehicle_reg,
+             EXTRACT(DAY FROM now() - agg.last_visit)::int AS days_since_last_visit,
+             COUNT(*) OVER ()::int AS total_count
+      FROM agg
+      JOIN customers c ON c.id = agg.customer_id
+      ORDER BY ${orderSql}
+      LIMIT $4 OFFSET $5
+    )
+    SELECT r.*,
+           fs.service_id AS favourite_service_id, fs.service_name AS favourite_service_name,
+           fs.washes AS favourite_service_washes,
+           ts.staff_id AS top_staff_id, ts.staff_name AS top_staff_name, ts.washes AS top_staff_washes
+    FROM ranked r
+    LEFT JOIN LATERAL (
+      SELECT wi.service_id, s.name AS service_name, COUNT(DISTINCT cw.id)::int AS washes
+      FROM cw
+      JOIN wash_items wi ON wi.wash_id = cw.id AND wi.service_id IS NOT NULL
+      JOIN services s ON s.id = wi.service_id
+      WHERE cw.customer_id = r.customer_id
+      GROUP BY wi.service_id, s.name
+      ORDER BY COUNT(DISTINCT cw.id) DESC, MAX(cw.washed_at) DESC
+      LIMIT 1
+    ) fs ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT ws.staff_id, st.name AS staff_name, COUNT(*)::int AS washes
+      FROM cw
+      JOIN wash_staff ws ON ws.wash_id = cw.id
+      JOIN staff st ON st.id = ws.staff_id
+      WHERE cw.customer_id = r.customer_id
+      GROUP BY ws.staff_id, st.name
+      ORDER BY COUNT(*) DESC, MAX(cw.washed_at) DESC
+      LIMIT 1
+    ) ts ON TRUE
+    ORDER BY ${orderSql}
+    `,
+    [from, to, customerId, limit, offset]
+  );
+
+  const total = rows[0]?.total_count || 0;
+  return {
+    total,
+    rows: rows.map(({ total_count, ...r }) => ({
+      customer_id: r.customer_id,
+      name: r.name,
+      phone: r.phone,
+      vehicle_reg: r.vehicle_reg,
+      visits: r.visits,
+      total_spent: r.total_spent,
+      package_spent: r.package_spent,
+      avg_spend: r.avg_spend,
+      discounts_received: r.discounts_received,
+      free_washes: r.free_washes,
+      first_visit: r.first_visit,
+      last_visit: r.last_visit,
+      avg_gap_days: r.avg_gap_days,
+      days_since_last_visit: r.days_since_last_visit,
+      favourite_service: r.favourite_service_id
+        ? { id: r.favourite_service_id, name: r.favourite_service_name, washes: r.favourite_service_washes }
+        : null,
+      top_staff: r.top_staff_id ? { id: r.top_staff_id, name: r.top_staff_name, washes: r.top_staff_washes } : null,
+    })),
+  };
+}
+
+/**
+ * One customer's profile plus the promotions that gave them free or
+ * discounted washes: rewards [{ promotion_id, code, name, washes, free_washes, value }].
+ * Throws 404 for an unknown customer; a customer without washes gets zeros.
+ */
+export async function customerProfile(customerId, { from = null, to = null } = {}, db = pool) {
+  const { rows: found } = await db.query(
+    "SELECT id, name, phone, vehicle_reg, created_at FROM customers WHERE id = $1::uuid",
+    [customerId]
+  );
+  const customer = found[0];
+  if (!customer) throw profileError("Customer not found.", 404);
+
+  const { rows } = await customerProfiles({ customerId, from, to, limit: 1 }, db);
+  const profile = rows[0] || {
+    customer_id: customer.id,
+    name: customer.name,
+    phone: customer.phone,
+    vehicle_reg: customer.vehicle_reg,
+    visits: 0,
+    total_spent: 0,
+    package_spent: 0,
+    avg_spend: null,
+    discounts_received: 0,
+    free_washes: 0,
+    first_visit: null,
+    last_visit: null,
+    avg_gap_days: null,
+    days_since_last_visit: null,
+    favourite_service: null,
+    top_staff: null,
+  };
+
+  const { rows: rewards } = await db.query(
+    `
+    SELECT p.id AS promotion_id, p.code, p.name,
+           COUNT(*)::int AS washes,
+           COUNT(*) FILTER (WHERE w.is_free)::int AS free_washes,
+           ROUND(SUM(COALESCE(w.subtotal, w.unit_price) - COALESCE(w.package_covered, 0) - w.unit_price), 2) AS value
+    FROM washes w
+    JOIN promotions p ON p.id = w.promo_id
+    WHERE w.customer_id = $1::uuid
+      AND ${countedWashSql("w")}
+      AND ($2::timestamptz IS NULL OR w.washed_at >= $2::timestamptz)
+      AND ($3::timestamptz IS NULL OR w.washed_at < $3::timestamptz)
+    GROUP BY p.id, p.code, p.name
+    ORDER BY washes DESC, p.code
+    `,
+    [customerId, from, to]
+  );
+
+  return { ...profile, customer_since: customer.created_at, rewards };
+}
@@ -0,0 +1,313 @@
+// src/utils/loyaltyPoints.js
+// Loyalty points ledger. Earned points are lots (points_left) spent oldest
+// expiry first; expirePoints() closes lots past their expiry. Every helper
+// takes the executor; callers hold the customer row lock when spending.
+import { pool } from "../db.js";
+
+function loyaltyError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Rates from app_settings, as numbers */
+export async function loyaltySettings(db = pool) {
+  const { rows } = await db.query(
+    `SELECT loyalty_points_per_shilling, loyalty_points_per_wash, loyalty_point_value,
+            loyalty_free_service_points, loyalty_points_expiry_days
+       FROM app_settings WHERE id = 1`
+  );
+  const s = rows[0] || {};
+  return {
+    perShilling: Number(s.loyalty_points_per_shilling || 0),
+    perWash: Number(s.loyalty_points_per_wash || 0),
+    pointValue: Number(s.loyalty_point_value || 1),
+    freeServicePoints: s.loyalty_free_service_points ? Number(s.loyalty_free_service_points) : null,
+    expiryDays: s.loyalty_points_expiry_days ? Number(s.loyalty_points_expiry_days) : null,
+  };
+}
+
+/** Points a paid amount earns; free tickets earn nothing */
+export function pointsFor(settings, paid) {
+  if (!(Number(paid) > 0)) return 0;
+  return Math.floor(Number(paid) * settings.perShilling + 1e-9) + settings.perWash;
+}
+
+function lotExpiry(settings, from) {
+  if (!settings.expiryDays) return null;
+  const base = from ? new Date(from) : new Date();
+  return new Date(base.getTime() + settings.expiryDays * DAY_MS).toISOString();
+}
+
+/**
+ * Close lots past their expiry: one EXPIRE row per lot, dated at the
+ * expiry. customerId = null runs it for everyone (nightly job).
+ * Returns { lots, points }.
+ */
+export async function expirePoints(customerId = null, db = pool) {
+  const { rows } = await db.query(
+    `
+    WITH due AS (
+      SELECT id, customer_id, points_left, expires_at
+      FROM loyalty_transactions
+      WHERE points_left > 0
+        AND expires_at <= now()
+        AND ($1::uuid IS NULL OR customer_id = $1::uuid)
+      FOR UPDATE
+    ),
+    closed AS (
+      UPDATE loyalty_transactions t SET points_left = 0
+      FROM due WHERE t.id = due.id
+      RETURNING t.id
+    )
+    INSERT INTO loyalty_transactions (customer_id, kind, points, note, created_at)
+    SELECT customer_id, 'EXPIRE', -points_left,
+           'Points earned until ' || to_char(expires_at, 'YYYY-MM-DD') || ' expired', expires_at
+    FROM due
+    RETURNING points
+    `,
+    [customerId]
+  );
+  return { lots: rows.length, points: -rows.reduce((a, r) => a + r.points, 0) };
+}
+
+/** Spendable points right now (lots not yet expired) */
+export async function pointsBalance(customerId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT COALESCE(SUM(points_left), 0)::int AS balance,
+           MIN(expires_at) AS next_expiry
+    FROM loyalty_transactions
+    WHERE customer_id = $1::uuid
+      AND points_left > 0
+      AND (expires_at IS NULL OR expires_at > now())
+    `,
+    [customerId]
+  );
+  return { balance: rows[0].balance, next_expiry: rows[0].next_expiry };
+}
+
+async function addLot({ customerId, kind, points, expiresAt, washId, note, userId }, db) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO loyalty_transactions
+      (customer_id, kind, points, points_left, expires_at, wash_id, note, created_by)
+    VALUES ($1::uuid, $2, $3, $3, $4::timestamptz, $5::uuid, $6, $7::uuid)
+    RETURNING *
+    `,
+    [customerId, kind, points, expiresAt, washId || null, note || null, userId || null]
+  );
+  return rows[0];
+}
+
+/**
+ * Take points out of open lots, oldest expiry first (preferLotId first).
+ * partial: take what there is instead of failing when short.
+ * Returns the debit row, or null when nothing was taken.
+ */
+async function spendPoints(
+  { customerId, kind, points, amount = null, washId, note, userId, preferLotId = null, partial = false },
+  db
+) {
+  const { rows: lots } = await db.query(
+    `
+    SELECT id, points_left
+    FROM loyalty_transactions
+    WHERE customer_id = $1::uuid
+      AND points_left > 0
+      AND (expires_at IS NULL OR expires_at > now())
+    ORDER BY (id = $2::uuid) DESC, expires_at ASC NULLS LAST, created_at ASC
+    FOR UPDATE
+    `,
+    [customerId, preferLotId]
+  );
+  const available = lots.reduce((a, l) => a + l.points_left, 0);
+  if (available < points && !partial) {
+    throw loyaltyError(`Not enough points: ${available} available, ${points} needed.`, 409);
+  }
+
+  let left = Math.min(points, available);
+  const taken = left;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(lot.points_left, left);
+    await db.query("UPDATE loyalty_transactions SET points_left = points_left - $2 WHERE id = $1::uuid", [
+      lot.id,
+      take,
+    ]);
+    left -= take;
+  }
+  if (!taken) return null;
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO loyalty_transactions (customer_id, kind, points, amount, wash_id, note, created_by)
+    VALUES ($1::uuid, $2, $3, $4, $5::uuid, $6, $7::uuid)
+    RETURNING *
+    `,
+    [customerId, kind, -taken, amount, washId || null, note || null, userId || null]
+  );
+  return rows[0];
+}
+
+/** Credit the points a wash earned */
+export async function earnPoints({ customerId, washId, points, washedAt, settings, userId }, db = pool) {
+  if (!customerId || !(points > 0)) return null;
+  return addLot(
+    { customerId, kind: "EARN", points, expiresAt: lotExpiry(settings, washedAt), washId, userId },
+    db
+  );
+}
+
+/** Manual correction (+ creates a lot, - spends like a redemption) */
+export async function adjustPoints({ customerId, points, note, userId }, db = pool) {
+  if (!Number.isInteger(points) || points === 0) throw loyaltyError("points must be a non-zero whole number.");
+  if (!note) throw loyaltyError("A note is required for manual adjustments.");
+  await expirePoints(customerId, db);
+  if (points > 0) {
+    const settings = await loyaltySettings(db);
+    return addLot({ customerId, kind: "ADJUST", points, expiresAt: lotExpiry(settings), note, userId }, db);
+  }
+  return spendPoints({ customerId, kind: "ADJUST", points: -points, note, userId }, db);
+}
+
+/** { points, free_service } from a create body, or null */
+export function normRedeemRequest(body) {
+  const free = body.redeem_free_service === true || body.redeem_free_service === "true";
+  const raw = body.redeem_points;
+  if (!free && (raw === undefined || raw === null || raw === "" || Number(raw) === 0)) return null;
+  if (free) return { free_service: true, points: null };
+  const points = Number(raw);
+  if (!(Number.isInteger(points) && points > 0)) {
+    throw loyaltyError("redeem_points must be a positive whole number.");
+  }
+  return { free_service: false, points };
+}
+
+/**
+ * Price a points redemption for one ticket.
+ * ctx: { customerId, request, lines, total, db }
+ *   request: from normRedeemRequest(); total: what is left to pay
+ * Returns { points, amount, balance, reason }; points = 0 when nothing
+ * was left to pay. Throws 4xx when the customer can't redeem.
+ */
+export async function checkRedemption(ctx) {
+  const db = ctx.db || pool;
+  if (!ctx.customerId) throw loyaltyError("Redeeming points needs a known customer (phone or plate).");
+  const settings = await loyaltySettings(db);
+  const { balance } = await pointsBalance(ctx.customerId, db);
+  const total = round2(ctx.total);
+
+  if (total <= 0) {
+    return { points: 0, amount: 0, balance, reason: "Ticket is already free; no points used." };
+  }
+
+  let points;
+  let amount;
+  if (ctx.request.free_service) {
+    if (!settings.freeServicePoints) throw loyaltyError("Free services for points are not enabled.", 409);
+    const services = ctx.lines.filter((l) => l.service_id).map((l) => Number(l.unit_price));
+    points = settings.freeServicePoints;
+    amount = Math.min(round2(Math.max(...services, 0)), total);
+  } else {
+    // Never spend more points than the balance left to pay is worth
+    amount = Math.min(round2(ctx.request.points * settings.pointValue), total);
+    points = Math.ceil(round2(amount / settings.pointValue) - 1e-9);
+  }
+  if (points > balance) {
+    throw loyaltyError(`Not enough points: ${balance} available, ${points} needed.`, 409);
+  }
+  return {
+    points,
+    amount,
+    balance,
+    reason: ctx.request.free_service
+      ? `Free service for ${points} points (${amount} off).`
+      : `${points} points redeemed for ${amount} off.`,
+  };
+}
+
+/** Record a redemption once the wash exists */
+export async function redeemPoints({ customerId, washId, points, amount, userId }, db = pool) {
+  await expirePoints(customerId, db);
+  return spendPoints(
+    { customerId, kind: "REDEEM", points, amount, washId, note: "Redeemed at the till", userId },
+    db
+  );
+}
+
+/**
+ * A voided/refunded wash: take back the points it earned (as far as they
+ * are still there) and return the points it spent as a new lot.
+ * Returns { taken_back, returned }.
+ */
+export async function reverseWashPoints({ washId, customerId, userId }, db = pool) {
+  if (!customerId) return { taken_back: 0, returned: 0 };
+  const { rows } = await db.query(
+    `
+    SELECT id, kind, points
+    FROM loyalty_transactions
+    WHERE wash_id = $1::uuid AND kind IN ('EARN','REDEEM')
+    `,
+    [washId]
+  );
+  let takenBack = 0;
+  let returned = 0;
+  for (const tx of rows) {
+    if (tx.kind === "EARN") {
+      const debit = await spendPoints(
+        {
+          customerId,
+          kind: "REVERSAL",
+          points: tx.points,
+          washId,
+          note: "Points from a reversed wash",
+          userId,
+          preferLotId: tx.id,
+          partial: true,
+        },
+        db
+      );
+      takenBack += debit ? -debit.points : 0;
+    } else {
+      const settings = await loyaltySettings(db);
+      await addLot(
+        {
+          customerId,
+          kind: "REVERSAL",
+          points: -tx.points,
+          expiresAt: lotExpiry(settings),
+          washId,
+          note: "Points returned from a reversed wash",
+          userId,
+        },
+        db
+      );
+      returned += -tx.points;
+    }
+  }
+  return { taken_back: takenBack, returned };
+}
+
+/** Ledger, newest first */
+export async function listTransactions(customerId, { limit = 50, offset = 0 } = {}, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT t.*, w.receipt_no, u.name AS created_by_name
+    FROM loyalty_transactions t
+    LEFT JOIN washes w ON w.id = t.wash_id
+    LEFT JOIN users u ON u.id = t.created_by
+    WHERE t.customer_id = $1::uuid
+    ORDER BY t.created_at DESC, t.id
+    LIMIT $2 OFFSET $3
+    `,
+    [customerId, limit, offset]
+  );
+  return rows;
+}
@@ -0,0 +1,164 @@
+// src/utils/mpesa.js
+// Minimal Daraja client: OAuth token, STK push and callback parsing.
+// Point MPESA_BASE_URL at the bundled simulator (npm run mpesa:sim) to
+// work offline; defaults to the Safaricom sandbox.
+
+const cfg = () => ({
+  baseUrl: (process.env.MPESA_BASE_URL || "https://sandbox.safaricom.co.ke").replace(/\/+$/, ""),
+  consumerKey: process.env.MPESA_CONSUMER_KEY || "",
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET || "",
+  shortcode: process.env.MPESA_SHORTCODE || "174379",
+  passkey: process.env.MPESA_PASSKEY || "",
+  // Public base URL Daraja can reach, e.g. https://api.example.com
+  callbackBase: (process.env.MPESA_CALLBACK_BASE_URL || "").replace(/\/+$/, ""),
+  // Shared secret embedded in callback paths (Daraja can't send auth headers)
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN || "",
+  // MPESA_DEV_CALLBACKS=1 (simulator / local dev only): without a token,
+  // accept callbacks on any path token
+  devCallbacks: process.env.MPESA_DEV_CALLBACKS === "1",
+});
+
+let cachedToken = null; // { value, expiresAt }
+
+function mpesaError(message, status = 502) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** 07XXXXXXXX / +2547XXXXXXXX / 7XXXXXXXX -> 2547XXXXXXXX (null if not Kenyan mobile) */
+export function normMsisdn(phone) {
+  const d = (phone || "").toString().replace(/\D+/g, "");
+  let m = null;
+  if (/^254[17]\d{8}$/.test(d)) m = d;
+  else if (/^0[17]\d{8}$/.test(d)) m = `254${d.slice(1)}`;
+  else if (/^[17]\d{8}$/.test(d)) m = `254${d}`;
+  return m;
+}
+
+/** Daraja timestamp: YYYYMMDDHHmmss in East Africa Time */
+function darajaTimestamp(d = new Date()) {
+  const eat = new Date(d.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-T:]/g, "").slice(0, 14);
+}
+
+export function callbackUrl(path) {
+  const { callbackBase, callbackToken, devCallbacks } = cfg();
+  if (!callbackBase) throw mpesaError("MPESA_CALLBACK_BASE_URL is not configured.", 500);
+  if (!callbackToken && !devCallbacks) throw mpesaError("MPESA_CALLBACK_TOKEN is not configured.", 500);
+  return `${callbackBase}/payments/mpesa/${path}/${callbackToken || "local"}`;
+}
+
+/** Fails closed: no MPESA_CALLBACK_TOKEN means no callback is accepted, unless MPESA_DEV_CALLBACKS=1 */
+export function isValidCallbackToken(token) {
+  const { callbackToken, devCallbacks } = cfg();
+  if (!callbackToken) return devCallbacks;
+  return token === callbackToken;
+}
+
+export async function getAccessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) return cachedToken.value;
+
+  const { baseUrl, consumerKey, consumerSecret } = cfg();
+  const basic = Buffer.from(`${consumerKey}:${consumerSecret}`).toString("base64");
+  const res = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${basic}` },
+  });
+  if (!res.ok) throw mpesaError(`M-Pesa auth failed (${res.status}).`);
+
+  const body = await res.json();
+  const ttl = Number(body.expires_in || 3599) * 1000;
+  cachedToken = { value: body.access_token, expiresAt: Date.now() + ttl - 60 * 1000 };
+  return cachedToken.value;
+}
+
+/**
+ * Start an STK push (Lipa Na M-Pesa Online).
+ * Returns Daraja's acknowledgement: { MerchantRequestID, CheckoutRequestID, ResponseCode, ... }
+ */
+export async function stkPush({ phone, amount, accountReference, description }) {
+  const { baseUrl, shortcode, passkey } = cfg();
+  const msisdn = normMsisdn(phone);
+  if (!msisdn) throw mpesaError("A valid Safaricom phone number is required.", 400);
+  const reference = (accountReference || "").toString();
+  // Daraja max 12 chars; cutting it here would send a reference we can't match
+  if (!reference || reference.length > 12) throw mpesaError("AccountReference must be 1-12 characters.", 500);
+
+  const timestamp = darajaTimestamp();
+  const password = Buffer.from(`${shortcode}${passkey}${timestamp}`).toString("base64");
+  const token = await getAccessToken();
+
+  const res = await fetch(`${baseUrl}/mpesa/stkpush/v1/processrequest`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      BusinessShortCode: shortcode,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: "CustomerPayBillOnline",
+      Amount: Math.ceil(Number(amount)), // Daraja only takes whole shillings
+      PartyA: msisdn,
+      PartyB: shortcode,
+      PhoneNumber: msisdn,
+      CallBackURL: callbackUrl("callback/stk"),
+      AccountReference: reference,
+      TransactionDesc: (description || "Car wash").toString().slice(0, 13),
+    }),
+  });
+
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || String(body.ResponseCode) !== "0") {
+    throw mpesaError(body.errorMessage || body.ResponseDescription || "STK push was rejected.");
+  }
+  return { ...body, PhoneNumber: msisdn };
+}
+
+/** Register our C2B validation/confirmation URLs for the paybill */
+export async function registerC2BUrls() {
+  const { baseUrl, shortcode } = cfg();
+  const token = await getAccessToken();
+  const res = await fetch(`${baseUrl}/mpesa/c2b/v1/registerurl`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      ShortCode: shortcode,
+      ResponseType: "Completed",
+      ConfirmationURL: callbackUrl("c2b/confirmation"),
+      ValidationURL: callbackUrl("c2b/validation"),
+    }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw mpesaError(body.errorMessage || "C2B URL registration failed.");
+  return body;
+}
+
+/** Flatten an STK callback body into { checkoutRequestId, resultCode, receipt, amount, phone, ... } */
+export function parseStkCallback(body) {
+  const cb = body?.Body?.stkCallback;
+  if (!cb) return null;
+  const items = Object.fromEntries(
+    (cb.CallbackMetadata?.Item || []).map((i) => [i.Name, i.Value])
+  );
+  return {
+    merchantRequestId: cb.MerchantRequestID,
+    checkoutRequestId: cb.CheckoutRequestID,
+    resultCode: String(cb.ResultCode),
+    resultDesc: cb.ResultDesc,
+    amount: items.Amount != null ? Number(items.Amount) : null,
+    receipt: items.MpesaReceiptNumber ? String(items.MpesaReceiptNumber).toUpperCase() : null,
+    phone: items.PhoneNumber != null ? String(items.PhoneNumber) : null,
+  };
+}
+
+/** Flatten a C2B validation/confirmation body */
+export function parseC2B(body) {
+  if (!body?.TransID) return null;
+  return {
+    receipt: String(body.TransID).toUpperCase(),
+    amount: Number(body.TransAmount),
+    billRef: (body.BillRefNumber || "").toString().trim(),
+    phone: body.MSISDN != null ? String(body.MSISDN) : null,
+    name: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(" ") || null,
+    transTime: body.TransTime || null,
+  };
+}
@@ -0,0 +1,20 @@
+// src/utils/normalize.js
+// Small normalizers to make plate / phone matching robust
+
+/** "kdp 547-z" -> "KDP547Z" */
+export function normPlate(s) {
+  if (!s) return "";
+  return s.toString().toUpperCase().replace(/\s|-/g, "").trim();
+}
+
+/** Keep digits only: "+254 712-345678" -> "254712345678" */
+export function normPhone(s) {
+  if (!s) return "";
+  return s.toString().replace(/\D+/g, "");
+}
+
+/** Escape LIKE / ILIKE wildcards so "50%" or "a_b" match literally */
+export function escapeLike(s) {
+  if (!s) return "";
+  return s.toString().replace(/[\\%_]/g, "\\$&");
+}
@@ -0,0 +1,284 @@
+// src/utils/notifications.js
+// SMS outbox. Events queue a message from a template in the caller's
+// transaction (queueNotification); the dispatcher sends what is due
+// through the configured provider (utils/smsProviders.js), retrying
+// failures with backoff. Queueing never fails the event that triggered it.
+import { pool, withSavepoint } from "../db.js";
+import { normMsisdn } from "./mpesa.js";
+import { smsProvider } from "./smsProviders.js";
+import { loyaltyProgress } from "./promoEngine.js";
+
+export const NOTIFICATION_STATUSES = ["QUEUED", "SENDING", "SENT", "DELIVERED", "FAILED", "CANCELLED"];
+
+// Minutes to wait before attempt 2, 3, 4...; the last one repeats
+const RETRY_DELAYS_MIN = [1, 5, 15, 60];
+// A SENDING row older than this was left behind by a crash: send it again
+const STALE_SENDING_MIN = 10;
+// Don't text "car ready" for washes recorded long after the fact (offline sync)
+const CAR_READY_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/** "Hi {{name}}" + { name: "Ann" } -> "Hi Ann" (unknown placeholders become "") */
+export function renderTemplate(body, data = {}) {
+  return body
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (data[key] == null ? "" : String(data[key])))
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+// Run fn in a savepoint; a failure is logged and becomes null so the
+// wash or approval that triggered the message still goes through
+async function quietly(label, db, fn) {
+  try {
+    return await withSavepoint(db, fn);
+  } catch (err) {
+    console.warn(`⚠️ Could not queue ${label} SMS:`, err);
+    return null;
+  }
+}
+
+// draw_date comes back from pg as a local-midnight Date
+function isoDay(d) {
+  if (typeof d === "string") return d.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Queue one SMS from a template. Returns the notification row, or null
+ * when nothing was queued: no usable phone, template missing/inactive,
+ * dedupeKey already queued, or an error (logged, never thrown).
+ */
+export async function queueNotification(
+  { template, to, data = {}, customerId = null, washId = null, dedupeKey = null, userId = null },
+  db = pool
+) {
+  const recipient = normMsisdn(to);
+  if (!recipient) return null;
+
+  return quietly(template, db, async () => {
+    const { rows: tpl } = await db.query(
+      "SELECT * FROM notification_templates WHERE code = $1 AND is_active = TRUE",
+      [template]
+    );
+    if (!tpl[0]) return null;
+    const { rows: settings } = await db.query("SELECT business_name FROM app_settings WHERE id = 1");
+    const body = renderTemplate(tpl[0].body, {
+      business_name: settings[0]?.business_name || "",
+      ...data,
+    });
+
+    const { rows } = await db.query(
+      `
+      INSERT INTO notifications (template_code, recipient, body, customer_id, wash_id, dedupe_key, created_by)
+      VALUES ($1, $2, $3, $4::uuid, $5::uuid, $6, $7::uuid)
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING *
+      `,
+      [template, recipient, body, customerId, washId, dedupeKey, userId]
+    );
+    return rows[0] || null;
+  });
+}
+
+async function customerContact(customerId, db) {
+  if (!customerId) return null;
+  const { rows } = await db.query("SELECT id, name, phone FROM customers WHERE id = $1::uuid", [customerId]);
+  return rows[0] || null;
+}
+
+/* -------------------------------------------
+   Events
+------------------------------------------- */
+
+/** Wash finished: CAR_READY to the customer (once per wash) */
+export async function notifyCarReady(wash, { userId = null } = {}, db = pool) {
+  const doneAt = wash.finished_at || wash.washed_at;
+  if (doneAt && Date.now() - new Date(doneAt).getTime() > CAR_READY_MAX_AGE_MS) return null;
+  const customer = await customerContact(wash.customer_id, db);
+  if (!customer?.phone) return null;
+  return queueNotification(
+    {
+      template: "CAR_READY",
+      to: customer.phone,
+      data: {
+        name: customer.name || "Customer",
+        plate: wash.vehicle_reg,
+        receipt_no: wash.receipt_no,
+        amount: round2(wash.unit_price).toFixed(2),
+      },
+      customerId: customer.id,
+      washId: wash.id,
+      dedupeKey: `car_ready:${wash.id}`,
+      userId,
+    },
+    db
+  );
+}
+
+/**
+ * After a wash: when the customer's (or, with reward_scope VEHICLE, the
+ * car's) next wash is free under an every-Nth-wash rule, LOYALTY_NEXT_FREE.
+ */
+export async function notifyLoyaltyNextFree(wash, { userId = null } = {}, db = pool) {
+  const customer = await customerContact(wash.customer_id, db);
+  if (!customer?.phone) return null;
+  const progress = await quietly("LOYALTY_NEXT_FREE", db, () =>
+    loyaltyProgress({ customerId: customer.id, vehicleReg: wash.vehicle_reg, washedAt: wash.washed_at, db })
+  );
+  if (!progress) return null;
+  const next = progress.find((p) => p.free_now);
+  if (!next) return null;
+  return queueNotification(
+    {
+      template: "LOYALTY_NEXT_FREE",
+      to: customer.phone,
+      data: { name: customer.name || "Customer", plate: wash.vehicle_reg, reward: next.name || next.code },
+      customerId: customer.id,
+      washId: wash.id,
+      dedupeKey: `loyalty_next_free:${wash.id}`,
+      userId,
+    },
+    db
+  );
+}
+
+/** Daily draw winner approved: DAILY_WINNER to the winner's phone */
+export async function notifyDailyWinner(winner, { userId = null } = {}, db = pool) {
+  const customer = await customerContact(winner.customer_id, db);
+  const phone = winner.customer_phone || customer?.phone;
+  if (!phone) return null;
+  return queueNotification(
+    {
+      template: "DAILY_WINNER",
+      to: phone,
+      data: {
+        name: winner.customer_name || customer?.name || "Customer",
+        plate: winner.vehicle_reg,
+        date: isoDay(winner.draw_date),
+      },
+      customerId: customer?.id || null,
+      dedupeKey: `daily_winner:${winner.id}`,
+      userId,
+    },
+    db
+  );
+}
+
+/** Wash voided/refunded: drop its messages that haven't gone out yet; returns how many */
+export async function cancelWashNotifications(washId, db = pool) {
+  const { rowCount } = await db.query(
+    `UPDATE notifications
+        SET status = 'CANCELLED', last_error = 'Wash was reversed.', updated_at = now()
+      WHERE wash_id = $1::uuid AND status = 'QUEUED'`,
+    [washId]
+  );
+  return rowCount;
+}
+
+/* -------------------------------------------
+   Dispatcher
+------------------------------------------- */
+
+/**
+ * Send up to `limit` due messages. Rows are claimed with SKIP LOCKED so
+ * several API instances can dispatch side by side.
+ * Returns { sent, retrying, failed }.
+ */
+export async function dispatchNotifications({ limit = 20 } = {}, db = pool) {
+  await db.query(
+    `UPDATE notifications SET status = 'QUEUED', updated_at = now()
+      WHERE status = 'SENDING' AND updated_at < now() - make_interval(mins => $1)`,
+    [STALE_SENDING_MIN]
+  );
+
+  const { rows: due } = await db.query(
+    `
+    UPDATE notifications
+    SET status = 'SENDING', attempts = attempts + 1, updated_at = now()
+    WHERE id IN (
+      SELECT id FROM notifications
+      WHERE status = 'QUEUED' AND next_attempt_at <= now()
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+    `,
+    [limit]
+  );
+
+  const provider = smsProvider();
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  for (const n of due) {
+    try {
+      const result = await provider.send({ to: n.recipient, message: n.body });
+      await db.query(
+        `UPDATE notifications
+            SET status = 'SENT', provider = $2, provider_message_id = $3, last_error = NULL,
+                sent_at = now(), updated_at = now()
+          WHERE id = $1::uuid`,
+        [n.id, provider.name, result.messageId]
+      );
+      summary.sent += 1;
+    } catch (err) {
+      const retry = err.retryable !== false && n.attempts < n.max_attempts;
+      const delay = RETRY_DELAYS_MIN[Math.min(n.attempts, RETRY_DELAYS_MIN.length) - 1];
+      await db.query(
+        `UPDATE notifications
+            SET status = $2::notification_status, provider = $3, last_error = $4,
+                next_attempt_at = now() + make_interval(mins => $5), updated_at = now()
+          WHERE id = $1::uuid`,
+        [n.id, retry ? "QUEUED" : "FAILED", provider.name, err.message, retry ? delay : 0]
+      );
+      if (retry) summary.retrying += 1;
+      else summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Run the dispatcher every SMS_DISPATCH_INTERVAL_MS (default 30s; 0 = off,
+ * e.g. when a separate worker or cron calls POST /notifications/dispatch).
+ */
+export function startNotificationWorker() {
+  const every = Number(process.env.SMS_DISPATCH_INTERVAL_MS ?? 30000);
+  if (!(every > 0)) return null;
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchNotifications();
+    } catch (err) {
+      console.error("❌ SMS dispatch failed:", err);
+    } finally {
+      running = false;
+    }
+  }, every);
+  timer.unref();
+  return timer;
+}
+
+/** Apply a parsed delivery report; returns the updated row or null */
+export async function recordDelivery({ provider, messageId, status, providerStatus }, db = pool) {
+  const { rows } = await db.query(
+    `
+    UPDATE notifications
+    SET status = COALESCE($3::notification_status, status),
+        provider_status = $4,
+        delivered_at = CASE WHEN $3 = 'DELIVERED' THEN now() ELSE delivered_at END,
+        last_error = CASE WHEN $3 = 'FAILED' THEN $4 ELSE last_error END,
+        updated_at = now()
+    WHERE provider = $1 AND provider_message_id = $2
+      AND status IN ('SENT', 'DELIVERED', 'FAILED')
+    RETURNING *
+    `,
+    [provider, messageId, status, providerStatus]
+  );
+  return rows[0] || null;
+}
@@ -0,0 +1,245 @@
+// src/utils/packages.js
+// Prepaid wash packages and monthly unlimited plans. findPackage() picks the
+// customer's package that can pay for a ticket; redeemPackage() records the
+// use once the wash row exists. packageRevenueSql() is the revenue
+// recognition used by the profit & loss report.
+import { pool } from "../db.js";
+import { notReversedSql } from "./washStatus.js";
+import { businessDay } from "./receiptNo.js";
+
+export const PACKAGE_KINDS = ["CREDITS", "UNLIMITED"];
+
+function packageError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+const isPosInt = (v) => Number.isInteger(Number(v)) && Number(v) > 0;
+
+/** Returns an error message, or null when the plan body is usable */
+export function validatePlan(p) {
+  if (!/^[A-Z0-9-]{2,32}$/.test((p.code ?? "").toString().trim().toUpperCase())) {
+    return "code must be 2-32 letters, digits or dashes.";
+  }
+  if (!p.name || !p.name.toString().trim()) return "name is required.";
+  if (!PACKAGE_KINDS.includes(p.kind)) return `kind must be one of ${PACKAGE_KINDS.join(", ")}.`;
+  if (p.kind === "CREDITS" && !isPosInt(p.credits)) return "credits must be a positive whole number.";
+  if (p.kind === "UNLIMITED" && !isPosInt(p.validity_days)) {
+    return "validity_days must be a positive whole number for an unlimited plan.";
+  }
+  if (p.validity_days != null && !isPosInt(p.validity_days)) {
+    return "validity_days must be a positive whole number.";
+  }
+  if (p.max_per_day != null && !isPosInt(p.max_per_day)) return "max_per_day must be a positive whole number.";
+  if (p.price == null || !(Number(p.price) >= 0)) return "price must be zero or more.";
+  for (const f of ["service_ids", "car_type_ids"]) {
+    if (p[f] != null && !(Array.isArray(p[f]) && p[f].length)) {
+      return `${f} must be a non-empty list (or null for all).`;
+    }
+  }
+  return null;
+}
+
+// Packages with what they have used so far (redemptions on washes that
+// still count). No row lock here; callers add FOR UPDATE OF cp.
+export const PACKAGE_BALANCE_SQL = `
+  SELECT cp.*, pp.code AS plan_code, pp.name AS plan_name,
+         COALESCE(u.credits_used, 0) AS credits_used,
+         COALESCE(u.value_used, 0) AS value_used,
+         CASE WHEN cp.kind = 'CREDITS'
+              THEN cp.credits_total - COALESCE(u.credits_used, 0) END AS credits_left
+  FROM customer_packages cp
+  JOIN package_plans pp ON pp.id = cp.plan_id
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)::int AS credits_used, SUM(r.value)::numeric AS value_used
+    FROM package_redemptions r
+    JOIN washes w ON w.id = r.wash_id
+    WHERE r.customer_package_id = cp.id AND ${notReversedSql("w")}
+  ) u ON TRUE
+`;
+
+/** ACTIVE / EXPIRED / USED_UP / CANCELLED / PENDING for a balance row */
+export function packageStatus(p, at = new Date()) {
+  if (p.cancelled_at) return "CANCELLED";
+  if (new Date(p.starts_at) > at) return "PENDING";
+  if (p.expires_at && new Date(p.expires_at) <= at) return "EXPIRED";
+  if (p.kind === "CREDITS" && Number(p.credits_left) <= 0) return "USED_UP";
+  return "ACTIVE";
+}
+
+async function usedOnDay(packageId, day, db) {
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS c
+    FROM package_redemptions r
+    JOIN washes w ON w.id = r.wash_id
+    WHERE r.customer_package_id = $1::uuid
+      AND w.receipt_day = $2::date
+      AND ${notReversedSql("w")}
+    `,
+    [packageId, day]
+  );
+  return rows[0]?.c || 0;
+}
+
+/**
+ * Find the package that pays for one ticket.
+ * ctx: { customerId, vehicleReg, carTypeId, lines, washedAt, packageId?, dryRun, db }
+ *   packageId: use this package (error if it can't); otherwise the
+ *   package ending soonest that fits is picked automatically
+ * Returns null when the customer has no active package,
+ * { package: null, skipped } when none of them fits this ticket, else
+ *   { package, line, covered, value, reason, skipped }
+ *   covered: list price of the service line the credit pays for
+ *   value:   revenue earned by this use (CREDITS plans; 0 for UNLIMITED)
+ * Outside a dry run the package rows stay locked until commit, so the
+ * last credit can't be spent twice.
+ */
+export async function findPackage(ctx) {
+  const db = ctx.db || pool;
+  if (!ctx.customerId && !ctx.vehicleReg && !ctx.packageId) return null;
+  const at = ctx.washedAt ? new Date(ctx.washedAt) : new Date();
+
+  const params = [at.toISOString()];
+  let match;
+  if (ctx.packageId) {
+    params.push(ctx.packageId);
+    match = `cp.id = $2::uuid`;
+  } else {
+    params.push(ctx.customerId || null, ctx.vehicleReg || null);
+    // A package for one plate follows the car; otherwise any car of the customer
+    match = `(cp.vehicle_reg = $3 OR (cp.vehicle_reg IS NULL AND cp.customer_id = $2::uuid))`;
+  }
+  const { rows } = await db.query(
+    `
+    ${PACKAGE_BALANCE_SQL}
+    WHERE ${match}
+      AND cp.cancelled_at IS NULL
+      AND cp.starts_at <= $1::timestamptz
+      AND (cp.expires_at IS NULL OR cp.expires_at > $1::timestamptz)
+    ORDER BY cp.expires_at ASC NULLS LAST, cp.sold_at ASC
+    ${ctx.dryRun ? "" : "FOR UPDATE OF cp"}
+    `,
+    params
+  );
+  if (ctx.packageId && !rows[0]) {
+    throw packageError("That package is not active for this wash date.", 409);
+  }
+
+  let day = null;
+  const skipped = [];
+  for (const p of rows) {
+    if (ctx.packageId && p.vehicle_reg && p.vehicle_reg !== ctx.vehicleReg) {
+      throw packageError(`Package ${p.plan_name} is for vehicle ${p.vehicle_reg}.`, 409);
+    }
+    let why = null;
+    const eligible = ctx.lines.filter(
+      (l) => l.service_id && (!p.service_ids || p.service_ids.includes(l.service_id))
+    );
+    if (p.car_type_ids && !p.car_type_ids.includes(ctx.carTypeId)) why = "not valid for this car type";
+    else if (!eligible.length) why = "does not cover these services";
+    else if (p.kind === "CREDITS" && Number(p.credits_left) <= 0) why = "no credits left";
+    else if (p.max_per_day) {
+      if (!day) {
+        const { rows: s } = await db.query("SELECT timezone FROM app_settings WHERE id = 1");
+        day = businessDay(at, s[0]?.timezone || undefined);
+      }
+      if ((await usedOnDay(p.id, day, db)) >= p.max_per_day) why = `already used ${p.max_per_day} time(s) today`;
+    }
+    if (why) {
+      if (ctx.packageId) throw packageError(`Package ${p.plan_name}: ${why}.`, 409);
+      skipped.push(`${p.plan_name}: ${why}`);
+      continue;
+    }
+
+    // One use pays for one service line: the dearest one it covers
+    const line = eligible.reduce((a, l) => (Number(l.unit_price) > Number(a.unit_price) ? l : a));
+    let value = 0;
+    if (p.kind === "CREDITS") {
+      // Even share per credit; the last credit takes the rounding remainder
+      value =
+        Number(p.credits_left) === 1
+          ? round2(Number(p.price_paid) - Number(p.refund_amount) - Number(p.value_used))
+          : round2(Number(p.price_paid) / p.credits_total);
+    }
+    return {
+      package: p,
+      line,
+      covered: round2(line.unit_price),
+      value: Math.max(value, 0),
+      reason:
+        p.kind === "CREDITS"
+          ? `Package ${p.plan_name}: 1 credit used, ${Number(p.credits_left) - 1} left.`
+          : `Package ${p.plan_name}: unlimited until ${new Date(p.expires_at).toISOString().slice(0, 10)}.`,
+      skipped,
+    };
+  }
+  return skipped.length ? { package: null, skipped } : null;
+}
+
+/** Record a package use once the wash exists */
+export async function redeemPackage({ packageId, washId, covered, value, redeemedAt }, db = pool) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO package_redemptions (customer_package_id, wash_id, covered_amount, value, redeemed_at)
+    VALUES ($1::uuid, $2::uuid, $3, $4, COALESCE($5::timestamptz, now()))
+    RETURNING *
+    `,
+    [packageId, washId, covered, value, redeemedAt || null]
+  );
+  return rows[0];
+}
+
+/**
+ * SQL for the package revenue earned in [from, to) — two timestamptz
+ * placeholders, e.g. packageRevenueSql("$1", "$2"). Recognition:
+ *  - CREDITS: each use earns its share when the wash happens; whatever is
+ *    neither used nor refunded is earned when the package expires or is
+ *    cancelled
+ *  - UNLIMITED: the price (less refunds) is earned evenly from starts_at
+ *    to expiry or cancellation
+ * Uses on voided/refunded washes earn nothing (the credit comes back).
+ */
+export function packageRevenueSql(from, to) {
+  return `(
+    WITH pk AS (
+      SELECT cp.id, cp.kind, cp.starts_at,
+             cp.price_paid - cp.refund_amount AS net_price,
+             LEAST(cp.expires_at, COALESCE(cp.cancelled_at, 'infinity'::timestamptz)) AS ends_at
+      FROM customer_packages cp
+    ),
+    used AS (
+      SELECT r.customer_package_id, r.value, r.redeemed_at
+      FROM package_redemptions r
+      JOIN washes w ON w.id = r.wash_id
+      WHERE ${notReversedSql("w")}
+    )
+    SELECT
+      COALESCE((
+        SELECT SUM(u.value) FROM used u JOIN pk ON pk.id = u.customer_package_id
+        WHERE u.redeemed_at >= ${from} AND u.redeemed_at < ${to} AND u.redeemed_at < pk.ends_at
+      ), 0)
+      + COALESCE((
+        SELECT SUM(pk.net_price - COALESCE((
+                 SELECT SUM(u.value) FROM used u
+                 WHERE u.customer_package_id = pk.id AND u.redeemed_at < pk.ends_at
+               ), 0))
+        FROM pk
+        WHERE pk.kind = 'CREDITS' AND pk.ends_at >= ${from} AND pk.ends_at < ${to}
+      ), 0)
+      + COALESCE((
+        SELECT SUM(
+                 pk.net_price
+                 * EXTRACT(EPOCH FROM GREATEST(LEAST(pk.ends_at, ${to}) - GREATEST(pk.starts_at, ${from}), interval '0'))
+                 / NULLIF(EXTRACT(EPOCH FROM pk.ends_at - pk.starts_at), 0)
+               )
+        FROM pk
+        WHERE pk.kind = 'UNLIMITED'
+      ), 0)
+  )`;
+}
@@ -0,0 +1,173 @@
+// src/utils/payments.js
+// Split-tender payments recorded against a wash + payment_status upkeep.
+import { pool } from "../db.js";
+
+export const PAYMENT_METHODS = ["CASH", "MPESA", "CARD", "ACCOUNT"];
+
+// M-Pesa confirmation codes look like "SFK3ABC12X" (10 alphanumerics)
+const MPESA_CODE_RE = /^[A-Z0-9]{10}$/;
+
+function paymentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/** Validate + normalize one tender from a request body */
+export function normPayment(p, n = 1) {
+  const method = (p?.method || "").toString().trim().toUpperCase();
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw paymentError(`Payment ${n}: method must be one of ${PAYMENT_METHODS.join(", ")}.`);
+  }
+  const amount = round2(p?.amount);
+  if (!(amount > 0)) {
+    throw paymentError(`Payment ${n}: amount must be greater than zero.`);
+  }
+
+  let reference = (p?.reference ?? p?.mpesa_code ?? "").toString().trim() || null;
+  if (method === "MPESA") {
+    reference = (reference || "").toUpperCase();
+    if (!MPESA_CODE_RE.test(reference)) {
+      throw paymentError(`Payment ${n}: a valid M-Pesa transaction code is required.`);
+    }
+  }
+  if (method === "ACCOUNT" && !reference) {
+    throw paymentError(`Payment ${n}: account payments need the account name or number as reference.`);
+  }
+
+  let receivedAt = null;
+  if (p?.received_at) {
+    const d = new Date(p.received_at);
+    if (!Number.isNaN(d.getTime())) receivedAt = d.toISOString();
+  }
+
+  return { method, amount, reference, note: p?.note || null, received_at: receivedAt };
+}
+
+/** Accepts { payments: [...] } or a single { method, amount, ... } body */
+export function normPaymentList(body) {
+  const list = Array.isArray(body?.payments)
+    ? body.payments
+    : body?.method
+      ? [body]
+      : [];
+  return list.map((p, i) => normPayment(p, i + 1));
+}
+
+export async function getPaidTotal(washId, db = pool) {
+  const { rows } = await db.query(
+    "SELECT COALESCE(SUM(amount),0)::numeric AS paid FROM wash_payments WHERE wash_id = $1::uuid",
+    [washId]
+  );
+  return Number(rows[0]?.paid || 0);
+}
+
+/** Recompute washes.payment_status from its payments and price */
+export async function refreshPaymentStatus(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    UPDATE washes w
+    SET payment_status = CASE
+          WHEN p.paid >= w.unit_price THEN 'PAID'::payment_status
+          WHEN p.paid > 0 THEN 'PARTIAL'::payment_status
+          ELSE 'UNPAID'::payment_status
+        END
+    FROM (
+      SELECT COALESCE(SUM(amount),0) AS paid
+      FROM wash_payments WHERE wash_id = $1::uuid
+    ) p
+    WHERE w.id = $1::uuid
+    RETURNING w.payment_status
+    `,
+    [washId]
+  );
+  return rows[0]?.payment_status || null;
+}
+
+/**
+ * Record tenders against a wash. Rejects overpayment so the drawer
+ * always balances to the wash price (give change outside the system).
+ * Inside a transaction the wash row is locked, so two tills can't both
+ * take the last balance.
+ */
+export async function recordPayments(washId, payments, userId, db = pool) {
+  const { rows: washRows } = await db.query(
+    "SELECT id, unit_price, status FROM washes WHERE id = $1::uuid FOR UPDATE",
+    [washId]
+  );
+  const wash = washRows[0];
+  if (!wash) throw paymentError("Wash record not found.", 404);
+  if (["VOIDED", "REFUNDED"].includes(wash.status)) {
+    throw paymentError(`Cannot take payment on a ${wash.status} wash.`, 409);
+  }
+
+  const paid = await getPaidTotal(washId, db);
+  const incoming = round2(payments.reduce((a, p) => a + p.amount, 0));
+  const balance = round2(Number(wash.unit_price) - paid);
+  if (incoming > balance) {
+    throw paymentError(`Payment exceeds the balance due (${balance.toFixed(2)}).`);
+  }
+
+  const saved = [];
+  for (const p of payments) {
+    try {
+      const { rows } = await db.query(
+        `
+        INSERT INTO wash_payments (wash_id, method, amount, reference, note, received_at, received_by)
+        VALUES ($1::uuid, $2::payment_method, $3, $4, $5, COALESCE($6::timestamptz, now()), $7::uuid)
+        RETURNING *
+        `,
+        [washId, p.method, p.amount, p.reference, p.note, p.received_at, userId || null]
+      );
+      saved.push(rows[0]);
+    } catch (err) {
+      if (err.code === "23505") {
+        throw paymentError(`M-Pesa code ${p.reference} has already been used.`, 409);
+      }
+      throw err;
+    }
+  }
+
+  const payment_status = await refreshPaymentStatus(washId, db);
+  return { payments: saved, payment_status, balance: round2(balance - incoming) };
+}
+
+/**
+ * Hand money back on a wash: a REFUND row with the negated amount, so the
+ * net paid drops. Can't refund more than has been paid. Call inside a
+ * transaction that holds the wash row lock.
+ */
+export async function recordRefund(washId, refund, userId, db = pool) {
+  const paid = await getPaidTotal(washId, db);
+  if (refund.amount > paid) {
+    throw paymentError(`Refund exceeds what has been paid (${round2(paid).toFixed(2)}).`, 409);
+  }
+  const { rows } = await db.query(
+    `
+    INSERT INTO wash_payments (wash_id, method, kind, amount, reference, note, received_at, received_by)
+    VALUES ($1::uuid, $2::payment_method, 'REFUND', -$3::numeric, $4, $5, COALESCE($6::timestamptz, now()), $7::uuid)
+    RETURNING *
+    `,
+    [washId, refund.method, refund.amount, refund.reference, refund.note, refund.received_at, userId || null]
+  );
+  const payment_status = await refreshPaymentStatus(washId, db);
+  return { refund: rows[0], payment_status, paid: round2(paid - refund.amount) };
+}
+
+export async function listPayments(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT p.*, u.name AS received_by_name
+    FROM wash_payments p
+    LEFT JOIN users u ON u.id = p.received_by
+    WHERE p.wash_id = $1::uuid
+    ORDER BY p.received_at, p.created_at
+    `,
+    [washId]
+  );
+  return rows;
+}
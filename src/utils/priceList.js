@@ -0,0 +1,129 @@
+// src/utils/priceList.js
+// Effective-dated service prices. service_price_history is the record of
+// every change (past, current and scheduled); service_prices holds the
+// price in effect now and is brought up to date whenever prices change,
+// at startup and every minute after (so scheduled prices land on time).
+import { pool } from "../db.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function priceError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * SQL bound for "as of": a plain date covers that whole day, a timestamp
+ * is taken exactly. Returns [comparison, param] for h.effective_from.
+ */
+export function asOfBound(asOf, placeholder = "$1") {
+  if (!asOf) return ["<= now()", null];
+  if (DATE_RE.test(asOf)) return [`< (${placeholder}::date + 1)::timestamptz`, asOf];
+  if (Number.isNaN(new Date(asOf).getTime())) {
+    throw priceError("as_of must be a date (YYYY-MM-DD) or date/time.");
+  }
+  return [`<= ${placeholder}::timestamptz`, new Date(asOf).toISOString()];
+}
+
+/** Latest-effective row per service/car type as of a moment */
+export async function priceListAsOf(asOf = null, db = pool) {
+  const [cmp, param] = asOfBound(asOf);
+  const { rows } = await db.query(
+    `
+    SELECT DISTINCT ON (h.service_id, h.car_type_id)
+      h.service_id, h.car_type_id, h.price, h.effective_from, h.changed_by, h.note
+    FROM service_price_history h
+    WHERE h.effective_from ${cmp}
+    ORDER BY h.service_id, h.car_type_id, h.effective_from DESC, h.created_at DESC
+    `,
+    param === null ? [] : [param]
+  );
+  return rows;
+}
+
+/** Copy prices that have come into effect (including scheduled ones) to service_prices */
+export async function applyDuePrices(db = pool) {
+  const { rowCount } = await db.query(
+    `
+    INSERT INTO service_prices (service_id, car_type_id, price)
+    SELECT DISTINCT ON (h.service_id, h.car_type_id) h.service_id, h.car_type_id, h.price
+    FROM service_price_history h
+    WHERE h.effective_from <= now()
+    ORDER BY h.service_id, h.car_type_id, h.effective_from DESC, h.created_at DESC
+    ON CONFLICT (service_id, car_type_id)
+    DO UPDATE SET price = EXCLUDED.price
+    WHERE service_prices.price IS DISTINCT FROM EXCLUDED.price
+    `
+  );
+  return rowCount;
+}
+
+/**
+ * Apply due prices now and then every PRICE_APPLY_INTERVAL_MS (default 60s;
+ * 0 = only at startup).
+ */
+export function startPriceListWorker() {
+  const run = () =>
+    applyDuePrices().catch((err) => console.error("❌ Applying scheduled prices failed:", err));
+  run();
+  const every = Number(process.env.PRICE_APPLY_INTERVAL_MS ?? 60000);
+  if (!(every > 0)) return null;
+  const timer = setInterval(run, every);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Record a price change. Without effective_from it applies now; a future
+ * effective_from schedules it; a past one backdates it (later changes
+ * still win for the dates they cover).
+ */
+export async function setServicePrice(
+  { serviceId, carTypeId, price, effectiveFrom = null, note = null, userId = null },
+  db = pool
+) {
+  if (price == null || price === "" || !(Number(price) >= 0)) {
+    throw priceError("Valid price is required.");
+  }
+  let effective = null;
+  if (effectiveFrom) {
+    const d = new Date(effectiveFrom);
+    if (Number.isNaN(d.getTime())) throw priceError("effective_from is not a valid date/time.");
+    effective = d.toISOString();
+  }
+
+  let rows;
+  try {
+    ({ rows } = await db.query(
+      `
+      INSERT INTO service_price_history
+        (service_id, car_type_id, price, effective_from, note, changed_by)
+      VALUES ($1::uuid, $2::uuid, $3, COALESCE($4::timestamptz, now()), $5, $6::uuid)
+      RETURNING *, effective_from > now() AS scheduled
+      `,
+      [serviceId, carTypeId, Number(price), effective, note, userId || null]
+    ));
+  } catch (err) {
+    if (err.code === "23503") throw priceError("Service or car type not found.", 404);
+    if (err.code === "22P02") throw priceError("Invalid service or car type id.");
+    throw err;
+  }
+  await applyDuePrices(db);
+  return rows[0];
+}
+
+/** Every change for one service/car type, newest effective date first */
+export async function priceHistory(serviceId, carTypeId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT h.*, u.name AS changed_by_name, h.effective_from > now() AS scheduled
+    FROM service_price_history h
+    LEFT JOIN users u ON u.id = h.changed_by
+    WHERE h.service_id = $1::uuid AND h.car_type_id = $2::uuid
+    ORDER BY h.effective_from DESC, h.created_at DESC
+    `,
+    [serviceId, carTypeId]
+  );
+  return rows;
+}
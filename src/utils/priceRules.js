@@ -0,0 +1,178 @@
+// src/utils/priceRules.js
+// Time and calendar adjustments on top of the list price: off-peak
+// discounts, weekend and public holiday premiums. One rule per line, the
+// lowest priority number wins (see sql/015_price_rules.sql).
+import { pool } from "../db.js";
+
+export const PRICE_RULE_MODES = ["FIXED", "PERCENT"];
+export const PRICE_RULE_HOLIDAYS = ["ANY", "ONLY", "ALSO", "EXCEPT"];
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/** Date, weekday and HH:MM of a timestamp in the business timezone */
+export function localParts(at, timeZone = "Africa/Nairobi") {
+  const d = at ? new Date(at) : new Date();
+  let parts;
+  try {
+    parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+        .formatToParts(d)
+        .map((p) => [p.type, p.value])
+    );
+  } catch {
+    const iso = d.toISOString();
+    return { date: iso.slice(0, 10), dow: d.getUTCDay(), time: iso.slice(11, 16) };
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dow: WEEKDAYS[parts.weekday],
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/** Returns an error message, or null when the rule body is usable */
+export function validatePriceRule(r) {
+  if (!PRICE_RULE_MODES.includes(r.mode)) {
+    return `mode must be one of ${PRICE_RULE_MODES.join(", ")}.`;
+  }
+  const value = Number(r.value);
+  if (r.value === null || r.value === undefined || r.value === "" || Number.isNaN(value)) {
+    return "value is required.";
+  }
+  if (r.mode === "FIXED" && value < 0) return "A FIXED price cannot be negative.";
+  if (r.mode === "PERCENT" && value < -100) return "A PERCENT adjustment cannot go below -100.";
+  if (r.holidays != null && !PRICE_RULE_HOLIDAYS.includes(r.holidays)) {
+    return `holidays must be one of ${PRICE_RULE_HOLIDAYS.join(", ")}.`;
+  }
+  if (r.days_of_week != null) {
+    if (
+      !Array.isArray(r.days_of_week) ||
+      !r.days_of_week.length ||
+      r.days_of_week.some((d) => !Number.isInteger(Number(d)) || d < 0 || d > 6)
+    ) {
+      return "days_of_week must be a list of 0 (Sunday) to 6 (Saturday).";
+    }
+  }
+  for (const f of ["start_time", "end_time"]) {
+    if (r[f] != null && !TIME_RE.test(r[f])) return `${f} must be HH:MM.`;
+  }
+  for (const f of ["start_date", "end_date"]) {
+    if (r[f] != null && !DATE_RE.test(r[f])) return `${f} must be YYYY-MM-DD.`;
+  }
+  if (r.start_date && r.end_date && r.end_date < r.start_date) {
+    return "end_date must be on or after start_date.";
+  }
+  if (r.holidays === "ONLY" && r.days_of_week) {
+    return "days_of_week has no effect with holidays = ONLY; leave it out.";
+  }
+  return null;
+}
+
+function inTimeWindow(time, start, end) {
+  const s = start ? start.slice(0, 5) : "00:00";
+  const e = end ? end.slice(0, 5) : "24:00";
+  if (s <= e) return time >= s && time < e;
+  return time >= s || time < e; // overnight, e.g. 20:00-06:00
+}
+
+function dateStr(v) {
+  if (!v) return null;
+  if (v instanceof Date) {
+    // DATE columns come back as local midnight
+    const y = v.getFullYear();
+    const m = String(v.getMonth() + 1).padStart(2, "0");
+    const d = String(v.getDate()).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+  }
+  return String(v).slice(0, 10);
+}
+
+/** Does a rule apply to this service/car type at this local moment? */
+export function ruleMatches(rule, { serviceId, carTypeId, parts, holiday }) {
+  if (rule.service_id && rule.service_id !== serviceId) return false;
+  if (rule.car_type_id && rule.car_type_id !== carTypeId) return false;
+
+  const from = dateStr(rule.start_date);
+  const to = dateStr(rule.end_date);
+  if (from && parts.date < from) return false;
+  if (to && parts.date > to) return false;
+
+  const days = rule.days_of_week?.map(Number);
+  const dayMatch = !days || days.includes(parts.dow);
+  switch (rule.holidays) {
+    case "ONLY":
+      if (!holiday) return false;
+      break;
+    case "ALSO":
+      if (!dayMatch && !holiday) return false;
+      break;
+    case "EXCEPT":
+      if (!dayMatch || holiday) return false;
+      break;
+    default:
+      if (!dayMatch) return false;
+  }
+
+  return inTimeWindow(parts.time, rule.start_time, rule.end_time);
+}
+
+export function applyPriceRule(basePrice, rule) {
+  if (!rule) return round2(basePrice);
+  if (rule.mode === "FIXED") return round2(rule.value);
+  return Math.max(round2(Number(basePrice) * (1 + Number(rule.value) / 100)), 0);
+}
+
+/**
+ * Everything needed to price lines at one moment: local date/time,
+ * holiday flag and the active rules. Load once per request.
+ */
+export async function loadPricingContext(at, db = pool) {
+  const { rows: settingsRows } = await db.query("SELECT timezone FROM app_settings WHERE id = 1");
+  const parts = localParts(at, settingsRows[0]?.timezone || "Africa/Nairobi");
+
+  const { rows: hol } = await db.query(
+    "SELECT name FROM public_holidays WHERE holiday_date = $1::date",
+    [parts.date]
+  );
+  const { rows: rules } = await db.query(
+    "SELECT * FROM price_rules WHERE is_active = TRUE ORDER BY priority ASC, created_at ASC"
+  );
+
+  return {
+    at: at ? new Date(at).toISOString() : new Date().toISOString(),
+    parts,
+    holiday: hol[0]?.name || null,
+    rules,
+  };
+}
+
+/** List price -> price in effect, with the rule that set it (if any) */
+export function resolvePrice(ctx, { serviceId, carTypeId, basePrice }) {
+  if (basePrice === null || basePrice === undefined) {
+    return { price: null, base_price: null, rule: null };
+  }
+  const rule =
+    ctx?.rules.find((r) =>
+      ruleMatches(r, { serviceId, carTypeId, parts: ctx.parts, holiday: !!ctx.holiday })
+    ) || null;
+  return {
+    price: applyPriceRule(basePrice, rule),
+    base_price: round2(basePrice),
+    rule: rule ? { id: rule.id, name: rule.name, mode: rule.mode, value: Number(rule.value) } : null,
+  };
+}
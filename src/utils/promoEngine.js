@@ -0,0 +1,477 @@
+// src/utils/promoEngine.js
+// Promotion rules engine. Every row in `promotions` is a rule with a type,
+// params, priority (lower first), stacking policy and optional active window.
+// evaluatePromotions() runs the active rules for a wash in priority order and
+// returns the price after promos plus a trace of what was checked and why.
+import { pool, withSavepoint } from "../db.js";
+import { notReversedSql } from "./washStatus.js";
+import { normPlate, normPhone } from "./normalize.js";
+
+export const PROMO_STACKING = ["EXCLUSIVE", "STACKABLE"];
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+const isNum = (v) => v !== null && v !== "" && Number.isFinite(Number(v));
+
+/* -------------------------------------------
+   Lookups used by the rule types
+------------------------------------------- */
+function firstDayOfMonth(d) {
+  const dt = d ? new Date(d) : new Date();
+  return new Date(dt.getFullYear(), dt.getMonth(), 1);
+}
+
+async function countFreeOnDay(washedAt, db) {
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS c FROM washes
+     WHERE is_free = TRUE
+       AND DATE(washed_at) = DATE(COALESCE($1::timestamptz, now()))
+       AND ${notReversedSql("")}`,
+    [washedAt || null]
+  );
+  return rows[0]?.c || 0;
+}
+
+// Loyalty and featured-vehicle rules count per customer or per vehicle
+// (app_settings.reward_scope). Without a customer on the ticket they
+// always fall back to the plate.
+export const REWARD_SCOPES = ["CUSTOMER", "VEHICLE"];
+
+async function loadRewardScope(db) {
+  const { rows } = await db.query("SELECT reward_scope FROM app_settings WHERE id = 1");
+  return rows[0]?.reward_scope || "CUSTOMER";
+}
+
+// { customerId } or { vehicleReg }: who a reward is counted against
+function rewardSubject({ customerId, vehicleReg, rewardScope }) {
+  return rewardScope === "VEHICLE" || !customerId ? { vehicleReg } : { customerId };
+}
+
+async function countWashes({ customerId, vehicleReg }, washedAt, period, db) {
+  const trunc = { month: "month", year: "year" }[period];
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS c
+    FROM washes
+    WHERE ${customerId ? "customer_id = $1::uuid" : "vehicle_reg = $1"}
+      AND ${notReversedSql("")}
+      ${trunc ? `AND date_trunc('${trunc}', washed_at) = date_trunc('${trunc}', COALESCE($2::timestamptz, now()))` : ""}
+    `,
+    trunc ? [customerId || vehicleReg, washedAt || null] : [customerId || vehicleReg]
+  );
+  return rows[0]?.c || 0;
+}
+
+// Per customer, any car the customer owns being featured counts
+async function getFeaturedVehicle({ customerId, vehicleReg }, washedAt, db) {
+  const month = firstDayOfMonth(washedAt).toISOString().slice(0, 10); // YYYY-MM-DD
+  const { rows } = await db.query(
+    `
+    SELECT * FROM featured_vehicles
+    WHERE month = $2::date
+      AND (vehicle_reg = $1
+           OR vehicle_reg IN (SELECT plate FROM vehicles WHERE customer_id = $3::uuid))
+    ORDER BY (vehicle_reg = $1) DESC
+    LIMIT 1
+    `,
+    [vehicleReg, month, customerId || null]
+  );
+  return rows[0] || null;
+}
+
+async function hasUsedPromoThisMonth(promoId, { customerId, vehicleReg }, washedAt, db) {
+  const monthStart = firstDayOfMonth(washedAt);
+  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS c
+    FROM washes w
+    WHERE ${customerId ? "w.customer_id = $1::uuid" : "w.vehicle_reg = $1"}
+      AND w.promo_id = $2::uuid
+      AND ${notReversedSql("w")}
+      AND w.washed_at >= $3::timestamptz
+      AND w.washed_at < $4::timestamptz
+    `,
+    [customerId || vehicleReg, promoId, monthStart.toISOString(), monthEnd.toISOString()]
+  );
+  return (rows[0]?.c || 0) > 0;
+}
+
+async function getDailyWinnerRow(dayISO, db, { lock = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM daily_free_winners WHERE draw_date = $1::date LIMIT 1${lock ? " FOR UPDATE" : ""}`,
+    [dayISO]
+  );
+  return rows[0] || null;
+}
+
+async function markDailyWinnerUsed(id, washId, db) {
+  await db.query(
+    `UPDATE daily_free_winners
+        SET used_at = now(), used_wash_id = $2::uuid
+      WHERE id = $1::uuid AND used_at IS NULL`,
+    [id, washId]
+  );
+}
+
+/* -------------------------------------------
+   Rule types
+   validate(params) -> error message | null
+   evaluate(ctx, promo) -> { matched, reason, effect?, consume?, details? }
+     effect: { free: true } | { percent } | { amount }
+     consume(washId): runs once the wash row exists (e.g. use up a winner)
+     details: extra facts copied into the trace (counts, chances, ...)
+   ctx.db is the executor (a transaction client when creating a wash);
+   ctx.dryRun is set for quotes: no random draws, no locks, nothing consumed.
+------------------------------------------- */
+const minSubtotalCheck = (p, ctx) =>
+  isNum(p.min_subtotal) && ctx.subtotal < Number(p.min_subtotal)
+    ? `Subtotal ${ctx.subtotal} is below ${Number(p.min_subtotal)}.`
+    : null;
+
+export const PROMO_TYPES = {
+  /* ⭐ Approved daily-draw winner for the wash day */
+  DAILY_DRAW: {
+    validate: () => null,
+    async evaluate(ctx) {
+      const dayISO = new Date(ctx.washedAt || Date.now()).toISOString().slice(0, 10);
+      // Locked until the wash commits, so a second till waits and then sees it used
+      const winner = await getDailyWinnerRow(dayISO, ctx.db, { lock: !ctx.dryRun });
+      if (!winner) return { matched: false, reason: `No approved winner for ${dayISO}.` };
+      if (winner.used_at) return { matched: false, reason: "Today's winner already used the reward." };
+
+      const byCustomer = !!ctx.customerId && ctx.customerId === winner.customer_id;
+      const byPhone =
+        !!ctx.customerPhone && !!winner.customer_phone &&
+        normPhone(ctx.customerPhone) === normPhone(winner.customer_phone);
+      const byReg =
+        !!ctx.vehicleReg && !!winner.vehicle_reg &&
+        normPlate(ctx.vehicleReg) === normPlate(winner.vehicle_reg);
+      if (!(byCustomer || byPhone || byReg)) {
+        return { matched: false, reason: "Customer is not the approved winner." };
+      }
+      return {
+        matched: true,
+        reason: `Approved winner for ${dayISO} (matched by ${byCustomer ? "customer" : byPhone ? "phone" : "plate"}).`,
+        effect: { free: true },
+        consume: (washId, db) => markDailyWinnerUsed(winner.id, washId, db),
+      };
+    },
+  },
+
+  /* Featured vehicle of the month: free (once per month by default) */
+  FEATURED_VEHICLE: {
+    validate: (p) =>
+      p.once_per_month !== undefined && typeof p.once_per_month !== "boolean"
+        ? "once_per_month must be true or false."
+        : null,
+    async evaluate(ctx, promo) {
+      const subject = rewardSubject(ctx);
+      const featured = await getFeaturedVehicle({ ...subject, vehicleReg: ctx.vehicleReg }, ctx.washedAt, ctx.db);
+      if (!featured) return { matched: false, reason: "Vehicle is not featured this month." };
+      if (promo.params.once_per_month !== false) {
+        const used = await hasUsedPromoThisMonth(promo.id, subject, ctx.washedAt, ctx.db);
+        if (used) return { matched: false, reason: "Featured reward already used this month." };
+      }
+      return {
+        matched: true,
+        reason:
+          featured.vehicle_reg === ctx.vehicleReg
+            ? "Featured vehicle this month."
+            : `Customer's vehicle ${featured.vehicle_reg} is featured this month.`,
+        effect: { free: true },
+      };
+    },
+  },
+
+  /* Every Nth wash for the customer (or vehicle) within the period is free */
+  NTH_VISIT: {
+    validate: (p) => {
+      if (!(Number.isInteger(Number(p.every)) && Number(p.every) >= 2)) return "every must be an integer >= 2.";
+      if (p.period !== undefined && !["month", "year", "all"].includes(p.period)) {
+        return "period must be month, year or all.";
+      }
+      return null;
+    },
+    async evaluate(ctx, promo) {
+      if (!ctx.customerId && ctx.rewardScope !== "VEHICLE") {
+        return { matched: false, reason: "No customer on the ticket." };
+      }
+      const every = Number(promo.params.every);
+      const period = promo.params.period || "month";
+      const cnt = await countWashes(rewardSubject(ctx), ctx.washedAt, period, ctx.db);
+      const nth = cnt + 1;
+      const details = { wash_number: nth, every, period, scope: ctx.rewardScope };
+      if (nth % every !== 0) {
+        return { matched: false, reason: `Wash #${nth} this ${period === "all" ? "lifetime" : period}; every ${every}th is free.`, details };
+      }
+      return { matched: true, reason: `Wash #${nth} this ${period === "all" ? "lifetime" : period}.`, effect: { free: true }, details };
+    },
+  },
+
+  /* Random free wash for regulars, with a daily cap */
+  RANDOM_FREE: {
+    validate: (p) => {
+      const prob = Number(p.probability);
+      if (!(isNum(p.probability) && prob >= 0 && prob <= 1)) return "probability must be between 0 and 1.";
+      if (p.min_visits !== undefined && !(Number(p.min_visits) >= 0)) return "min_visits must be >= 0.";
+      if (p.daily_cap !== undefined && !(Number(p.daily_cap) >= 0)) return "daily_cap must be >= 0.";
+      return null;
+    },
+    async evaluate(ctx, promo) {
+      const p = promo.params;
+      if (!ctx.customerId) return { matched: false, reason: "No customer on the ticket." };
+      const minVisits = Number(p.min_visits || 0);
+      const { rows } = await ctx.db.query("SELECT visits_count FROM customers WHERE id=$1", [ctx.customerId]);
+      const visits = Number(rows[0]?.visits_count || 0);
+      if (visits < minVisits) return { matched: false, reason: `${visits} visits; needs ${minVisits}.` };
+
+      const cap = Number(p.daily_cap || 0);
+      if (cap) {
+        // One till at a time past this point for the day, so the cap holds
+        if (!ctx.dryRun) {
+          const day = new Date(ctx.washedAt || Date.now()).toISOString().slice(0, 10);
+          await ctx.db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`promo:free-cap:${day}`]);
+        }
+        const used = await countFreeOnDay(ctx.washedAt, ctx.db);
+        if (used >= cap) return { matched: false, reason: `Daily cap of ${cap} free washes reached.` };
+      }
+      const prob = Number(p.probability || 0);
+      if (ctx.dryRun) {
+        return {
+          matched: false,
+          reason: `Eligible for the random draw at checkout (${round2(prob * 100)}% chance).`,
+          details: { chance: prob },
+        };
+      }
+      const roll = Math.random();
+      if (roll >= prob) {
+        return { matched: false, reason: `Draw ${roll.toFixed(4)} >= probability ${prob}.` };
+      }
+      return { matched: true, reason: `Draw ${roll.toFixed(4)} < probability ${prob}.`, effect: { free: true } };
+    },
+  },
+
+  /* Percentage off the ticket (optional minimum subtotal / weekdays) */
+  PERCENT_OFF: {
+    validate: (p) => {
+      const pct = Number(p.percent);
+      if (!(isNum(p.percent) && pct > 0 && pct <= 100)) return "percent must be between 0 and 100.";
+      if (p.days_of_week !== undefined &&
+          !(Array.isArray(p.days_of_week) && p.days_of_week.every((d) => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        return "days_of_week must be a list of 0 (Sun) - 6 (Sat).";
+      }
+      return null;
+    },
+    async evaluate(ctx, promo) {
+      const p = promo.params;
+      const tooLow = minSubtotalCheck(p, ctx);
+      if (tooLow) return { matched: false, reason: tooLow };
+      if (Array.isArray(p.days_of_week)) {
+        const dow = new Date(ctx.washedAt || Date.now()).getDay();
+        if (!p.days_of_week.includes(dow)) return { matched: false, reason: `Not valid on day ${dow}.` };
+      }
+      return { matched: true, reason: `${Number(p.percent)}% off.`, effect: { percent: Number(p.percent) } };
+    },
+  },
+
+  /* Fixed amount off the ticket */
+  AMOUNT_OFF: {
+    validate: (p) => (isNum(p.amount) && Number(p.amount) > 0 ? null : "amount must be greater than zero."),
+    async evaluate(ctx, promo) {
+      const tooLow = minSubtotalCheck(promo.params, ctx);
+      if (tooLow) return { matched: false, reason: tooLow };
+      return { matched: true, reason: `${Number(promo.params.amount)} off.`, effect: { amount: Number(promo.params.amount) } };
+    },
+  },
+
+  /* Applied by hand only; never picked by the engine */
+  MANUAL: {
+    validate: () => null,
+    async evaluate() {
+      return { matched: false, reason: "Manual promotion." };
+    },
+  },
+};
+
+/** Returns an error message, or null when type + params are usable */
+export function validatePromotion({ type, params = {}, stacking }) {
+  const t = PROMO_TYPES[type];
+  if (!t) return `type must be one of ${Object.keys(PROMO_TYPES).join(", ")}.`;
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    return "params must be an object.";
+  }
+  if (stacking !== undefined && !PROMO_STACKING.includes(stacking)) {
+    return `stacking must be one of ${PROMO_STACKING.join(", ")}.`;
+  }
+  return t.validate(params);
+}
+
+/** Discount an effect takes off the running total */
+function effectAmount(effect, total) {
+  if (effect.free) return total;
+  if (effect.percent) return round2((total * effect.percent) / 100);
+  if (effect.amount) return Math.min(round2(effect.amount), total);
+  return 0;
+}
+
+/**
+ * Re-apply recorded effects to a new subtotal (ticket edited after the fact).
+ * Free stays free; percent/amount discounts are recomputed.
+ */
+export function applyPromoEffects(subtotal, applied = []) {
+  let total = round2(subtotal);
+  for (const a of applied) total = round2(total - effectAmount(a.effect || {}, total));
+  return total;
+}
+
+async function loadActivePromotions(washedAt, db) {
+  const { rows } = await db.query(
+    `
+    SELECT * FROM promotions
+    WHERE is_active = TRUE
+      AND type <> 'MANUAL'
+      AND (starts_at IS NULL OR starts_at <= COALESCE($1::timestamptz, now()))
+      AND (ends_at IS NULL OR ends_at > COALESCE($1::timestamptz, now()))
+    ORDER BY priority ASC, created_at ASC
+    `,
+    [washedAt || null]
+  );
+  return rows;
+}
+
+/**
+ * Run the active rules for one wash.
+ * ctx: { customerId, customerPhone, vehicleReg, washedAt, subtotal, rewardScope?, dryRun?, db? }
+ *   rewardScope defaults to app_settings.reward_scope
+ * Returns { total, discount, isFree, promoId, consume, trace }
+ *   consume: callbacks to run with (new wash id, db)
+ *   trace:   stored on washes.promo_trace
+ */
+export async function evaluatePromotions(input) {
+  const ctx = { ...input, db: input.db || pool };
+  ctx.rewardScope = ctx.rewardScope || (await loadRewardScope(ctx.db));
+  const subtotal = round2(ctx.subtotal);
+  const promos = await loadActivePromotions(ctx.washedAt, ctx.db);
+
+  let total = subtotal;
+  let isFree = false;
+  let stopAt = null; // exclusive promo that closed the pipeline
+  const applied = [];
+  const consume = [];
+  const rules = [];
+
+  for (const promo of promos) {
+    const entry = {
+      promotion_id: promo.id,
+      code: promo.code,
+      type: promo.type,
+      priority: promo.priority,
+      stacking: promo.stacking,
+      matched: false,
+      applied: false,
+      reason: null,
+    };
+    rules.push(entry);
+
+    if (stopAt) {
+      entry.reason = `Skipped: ${stopAt} already applied (exclusive).`;
+      continue;
+    }
+    if (total <= 0) {
+      entry.reason = "Skipped: nothing left to discount.";
+      continue;
+    }
+
+    let result;
+    try {
+      result = await withSavepoint(ctx.db, () =>
+        PROMO_TYPES[promo.type].evaluate(ctx, { ...promo, params: promo.params || {} })
+      );
+    } catch (err) {
+      console.warn(`⚠️ Promo rule ${promo.code} failed:`, err);
+      entry.reason = `Error: ${err.message}`;
+      continue;
+    }
+    entry.matched = !!result.matched;
+    entry.reason = result.reason;
+    if (result.details) entry.details = result.details;
+    if (!result.matched) continue;
+
+    // Stacking: the first match always applies; later ones only if every
+    // promo involved is STACKABLE
+    const canStack =
+      !applied.length ||
+      (promo.stacking === "STACKABLE" && applied.every((a) => a.stacking === "STACKABLE"));
+    if (!canStack) {
+      entry.reason += ` Not applied: cannot stack with ${applied.map((a) => a.code).join(", ")}.`;
+      continue;
+    }
+
+    const amount = effectAmount(result.effect, total);
+    total = round2(total - amount);
+    if (result.effect.free) isFree = true;
+    if (result.consume) consume.push(result.consume);
+    entry.applied = true;
+    entry.amount = amount;
+    applied.push({
+      promotion_id: promo.id,
+      code: promo.code,
+      name: promo.name,
+      stacking: promo.stacking,
+      effect: result.effect,
+      amount,
+    });
+    if (promo.stacking === "EXCLUSIVE") stopAt = promo.code;
+  }
+
+  return {
+    total,
+    discount: round2(subtotal - total),
+    isFree,
+    promoId: applied[0]?.promotion_id || null,
+    consume,
+    trace: {
+      evaluated_at: new Date().toISOString(),
+      washed_at: ctx.washedAt || null,
+      subtotal,
+      total,
+      applied,
+      rules,
+    },
+  };
+}
+
+/**
+ * Where a customer (or, with reward_scope VEHICLE, the vehicle) stands on
+ * each active every-Nth-wash rule, counting the upcoming wash:
+ * { code, name, every, period, scope, wash_number, free_now, washes_to_go }
+ */
+export async function loyaltyProgress({ customerId, vehicleReg = null, washedAt, db = pool }) {
+  const rewardScope = await loadRewardScope(db);
+  if (!customerId && !(rewardScope === "VEHICLE" && vehicleReg)) return [];
+  const subject = rewardSubject({ customerId, vehicleReg, rewardScope });
+  const promos = (await loadActivePromotions(washedAt, db)).filter((p) => p.type === "NTH_VISIT");
+  const out = [];
+  for (const promo of promos) {
+    const every = Number(promo.params?.every);
+    if (!(every >= 2)) continue;
+    const period = promo.params?.period || "month";
+    const nth = (await countWashes(subject, washedAt, period, db)) + 1;
+    const rem = nth % every;
+    out.push({
+      promotion_id: promo.id,
+      code: promo.code,
+      name: promo.name,
+      every,
+      period,
+      scope: rewardScope,
+      wash_number: nth,
+      free_now: rem === 0,
+      washes_to_go: rem === 0 ? 0 : every - rem,
+    });
+  }
+  return out;
+}
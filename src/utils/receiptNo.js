@@ -0,0 +1,80 @@
+// src/utils/receiptNo.js
+// Receipt number templates, e.g. "{PREFIX}-{YYYYMMDD}-{SEQ:4}" -> SH-20261019-0001
+// The sequence itself is allocated in SQL (receipt_sequences); this module only
+// works out the business day and the text around the sequence.
+
+export const DEFAULT_RECEIPT_FORMAT = "{PREFIX}-{YYYYMMDD}-{SEQ:4}";
+
+const SEQ_RE = /\{SEQ(?::(\d))?\}/;
+const MIN_SEQ_WIDTH = 3;
+const TOKEN_RE = /\{(PREFIX|YYYYMMDD|YYMMDD|YYYY|MM|DD|SEQ(?::\d)?)\}/g;
+
+/**
+ * Returns an error message, or null when the template is usable. Formats
+ * that would repeat a number on another day (no full date) are rejected;
+ * splitReceiptFormat() falls back to the default for any stored one.
+ */
+export function validateReceiptFormat(format) {
+  const f = (format || "").toString();
+  if (!f) return "receipt_no_format is required.";
+  const seqTokens = f.match(/\{SEQ(?::\d)?\}/g) || [];
+  if (seqTokens.length !== 1) {
+    return "receipt_no_format must contain exactly one {SEQ} or {SEQ:n} token.";
+  }
+  // Receipts sort and read as fixed width for the first few hundred washes a day
+  const width = Number(seqTokens[0].match(SEQ_RE)[1] || 4);
+  if (width < MIN_SEQ_WIDTH) {
+    return `{SEQ:n} must be at least {SEQ:${MIN_SEQ_WIDTH}}.`;
+  }
+  const unknown = f.replace(TOKEN_RE, "").match(/\{[^}]*\}/);
+  if (unknown) return `Unknown token ${unknown[0]} in receipt_no_format.`;
+  // The sequence restarts every business day, so the day must be in the number
+  const hasDay =
+    /\{(YYYYMMDD|YYMMDD)\}/.test(f) || ["{YYYY}", "{MM}", "{DD}"].every((t) => f.includes(t));
+  if (!hasDay) {
+    return "receipt_no_format must contain {YYYYMMDD}, {YYMMDD} or all of {YYYY}, {MM} and {DD}.";
+  }
+  if (f.length > 40) return "receipt_no_format is too long.";
+  return null;
+}
+
+/** Calendar day (YYYY-MM-DD) of a timestamp in the business timezone */
+export function businessDay(at, timeZone = "Africa/Nairobi") {
+  const d = at ? new Date(at) : new Date();
+  try {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(d);
+  } catch {
+    return d.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Split a template around its sequence token for a given day.
+ * SQL then builds: before || lpad(seq, GREATEST(width, length(seq)), '0') || after
+ * (width is a minimum: seq 10000 with {SEQ:4} stays 10000, never 0000)
+ */
+export function splitReceiptFormat(format, { prefix = "SH", day }) {
+  const f = validateReceiptFormat(format) ? DEFAULT_RECEIPT_FORMAT : format;
+  const [yyyy, mm, dd] = day.split("-");
+  const fill = (s) =>
+    s
+      .replace(/\{PREFIX\}/g, prefix || "")
+      .replace(/\{YYYYMMDD\}/g, `${yyyy}${mm}${dd}`)
+      .replace(/\{YYMMDD\}/g, `${yyyy.slice(2)}${mm}${dd}`)
+      .replace(/\{YYYY\}/g, yyyy)
+      .replace(/\{MM\}/g, mm)
+      .replace(/\{DD\}/g, dd);
+
+  const m = f.match(SEQ_RE);
+  return {
+    before: fill(f.slice(0, m.index)),
+    after: fill(f.slice(m.index + m[0].length)),
+    width: Number(m[1] || 4),
+  };
+}
@@ -0,0 +1,298 @@
+// src/utils/receiptRender.js
+// Server-side receipt layouts: ESC/POS bytes (58mm / 80mm), PDF and printable HTML.
+// All three are built from the same model so they always show the same lines.
+import PDFDocument from "pdfkit";
+
+export const RECEIPT_FORMATS = ["json", "escpos", "pdf", "html"];
+
+// Characters per line on common thermal printers (Font A)
+const PAPER = {
+  58: { cols: 32, mm: 58 },
+  80: { cols: 48, mm: 80 },
+};
+
+export function paperWidth(w) {
+  return Number(w) === 80 ? 80 : 58;
+}
+
+function money(n, currency) {
+  const v = Number(n || 0).toLocaleString("en-KE", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return currency ? `${currency} ${v}` : v;
+}
+
+/**
+ * Flatten the receipt JSON + app_settings into printable rows.
+ * Honours receipt_header / receipt_footer / show_staff_on_receipt.
+ */
+export function buildReceiptModel(receipt, settings = {}) {
+  const currency = settings.currency_code || "KES";
+  const isFree = !!receipt.is_free;
+
+  const details = [
+    ["Receipt", receipt.receipt_no || "-"],
+    ["Date", receipt.washed_at || "-"],
+    ["Vehicle", receipt.vehicle_reg || "-"],
+    ["Car type", receipt.car_type_label || "-"],
+  ];
+  if (settings.show_staff_on_receipt !== false && receipt.staff_name) {
+    details.push(["Served by", receipt.staff_name]);
+  }
+
+  const lines = (receipt.items || []).map((it) => ({
+    label: it.name,
+    amount: money(it.unit_price),
+  }));
+
+  const totals = [["Subtotal", money(receipt.subtotal)]];
+  if (Number(receipt.package_covered) > 0) {
+    totals.push([receipt.package_name || "Package", `-${money(receipt.package_covered)}`]);
+  }
+  if (Number(receipt.discount) > 0) {
+    totals.push([isFree ? "Promo" : "Discount", `-${money(receipt.discount)}`]);
+  }
+  totals.push(["TOTAL", money(receipt.total, currency)]);
+
+  const payments = (receipt.payments || []).map((p) => {
+    const label = p.reference ? `${p.method} ${p.reference}` : p.method;
+    return [p.kind === "REFUND" ? `Refund ${label}` : label, money(p.amount)];
+  });
+
+  return {
+    businessName: settings.business_name || "",
+    headerLines: [settings.receipt_header, settings.business_address, settings.business_phone]
+      .filter(Boolean)
+      .filter((l, i, all) => all.indexOf(l) === i),
+    details,
+    lines,
+    totals,
+    payments,
+    promo: isFree ? `FREE WASH - ${receipt.promo_name || "Promotion"}` : null,
+    status: ["VOIDED", "REFUNDED"].includes(receipt.status) ? receipt.status : null,
+    footer: settings.receipt_footer || "",
+  };
+}
+
+/* -------------------------------------------
+   ESC/POS
+------------------------------------------- */
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Thermal printers here run code page 437; keep output to plain ASCII
+function ascii(s) {
+  return (s || "")
+    .toString()
+    .normalize("NFKD")
+    .replace(/[–—]/g, "-")
+    .replace(/[^\x20-\x7e]/g, "");
+}
+
+function twoCol(left, right, cols) {
+  const r = ascii(right);
+  const l = ascii(left).slice(0, Math.max(cols - r.length - 1, 1));
+  return l + " ".repeat(Math.max(cols - l.length - r.length, 1)) + r;
+}
+
+function wrap(text, cols) {
+  const words = ascii(text).split(/\s+/).filter(Boolean);
+  const out = [];
+  let line = "";
+  for (const w of words) {
+    if (!line) line = w.slice(0, cols);
+    else if (line.length + 1 + w.length <= cols) line += ` ${w}`;
+    else {
+      out.push(line);
+      line = w.slice(0, cols);
+    }
+  }
+  if (line) out.push(line);
+  return out;
+}
+
+export function renderEscPos(model, width = 58) {
+  const { cols } = PAPER[paperWidth(width)];
+  const chunks = [];
+  const raw = (...bytes) => chunks.push(Buffer.from(bytes));
+  const text = (s) => chunks.push(Buffer.from(`${s}\n`, "ascii"));
+  const align = (n) => raw(ESC, 0x61, n); // 0 left, 1 center
+  const bold = (on) => raw(ESC, 0x45, on ? 1 : 0);
+  const size = (n) => raw(GS, 0x21, n); // 0x00 normal, 0x11 double
+  const rule = () => text("-".repeat(cols));
+
+  raw(ESC, 0x40); // init
+  align(1);
+  if (model.businessName) {
+    bold(true);
+    size(0x11);
+    wrap(model.businessName, Math.floor(cols / 2)).forEach(text);
+    size(0x00);
+    bold(false);
+  }
+  model.headerLines.forEach((l) => wrap(l, cols).forEach(text));
+  if (model.status) {
+    bold(true);
+    text(`*** ${model.status} ***`);
+    bold(false);
+  }
+  align(0);
+  rule();
+  model.details.forEach(([k, v]) => text(twoCol(k, v, cols)));
+  rule();
+  model.lines.forEach((l) => text(twoCol(l.label, l.amount, cols)));
+  rule();
+  model.totals.forEach(([k, v]) => {
+    if (k === "TOTAL") bold(true);
+    text(twoCol(k, v, cols));
+    if (k === "TOTAL") bold(false);
+  });
+  if (model.payments.length) {
+    rule();
+    model.payments.forEach(([k, v]) => text(twoCol(k, v, cols)));
+  }
+  if (model.promo) {
+    align(1);
+    bold(true);
+    wrap(model.promo, cols).forEach(text);
+    bold(false);
+  }
+  align(1);
+  if (model.footer) {
+    text("");
+    wrap(model.footer, cols).forEach(text);
+  }
+  raw(ESC, 0x64, 4); // feed 4 lines
+  raw(GS, 0x56, 0x42, 0x00); // partial cut
+
+  return Buffer.concat(chunks);
+}
+
+/* -------------------------------------------
+   HTML (printable, sized to the roll)
+------------------------------------------- */
+function esc(s) {
+  return (s ?? "")
+    .toString()
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function renderHtml(model, width = 58) {
+  const { mm } = PAPER[paperWidth(width)];
+  const rows = (pairs, cls = "") =>
+    pairs.map(([k, v]) => `<tr class="${cls}"><td>${esc(k)}</td><td class="r">${esc(v)}</td></tr>`).join("");
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt ${esc(model.details[0]?.[1])}</title>
+<style>
+  @page { size: ${mm}mm auto; margin: 0; }
+  body { width: ${mm - 4}mm; margin: 0 auto; padding: 2mm; font: 11px/1.35 monospace; color: #000; }
+  h1 { font-size: 14px; margin: 0 0 2px; text-align: center; }
+  .c { text-align: center; }
+  .r { text-align: right; white-space: nowrap; }
+  table { width: 100%; border-collapse: collapse; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; }
+  .total td { font-weight: bold; }
+  .flag { font-weight: bold; text-align: center; margin: 4px 0; }
+</style>
+</head>
+<body>
+  ${model.businessName ? `<h1>${esc(model.businessName)}</h1>` : ""}
+  ${model.headerLines.map((l) => `<div class="c">${esc(l)}</div>`).join("")}
+  ${model.status ? `<div class="flag">*** ${esc(model.status)} ***</div>` : ""}
+  <hr>
+  <table>${rows(model.details)}</table>
+  <hr>
+  <table>${rows(model.lines.map((l) => [l.label, l.amount]))}</table>
+  <hr>
+  <table>${model.totals.map(([k, v]) => rows([[k, v]], k === "TOTAL" ? "total" : "")).join("")}</table>
+  ${model.payments.length ? `<hr><table>${rows(model.payments)}</table>` : ""}
+  ${model.promo ? `<div class="flag">${esc(model.promo)}</div>` : ""}
+  ${model.footer ? `<hr><div class="c">${esc(model.footer)}</div>` : ""}
+</body>
+</html>`;
+}
+
+/* -------------------------------------------
+   PDF (single roll-width page)
+------------------------------------------- */
+const MM = 72 / 25.4;
+
+export function renderPdf(model, width = 58) {
+  const { mm } = PAPER[paperWidth(width)];
+  const pageW = mm * MM;
+  const margin = 4 * MM;
+  const inner = pageW - margin * 2;
+  const fontSize = mm === 80 ? 9 : 8;
+  const lineH = fontSize * 1.4;
+
+  // Rough height so the page is one continuous strip
+  const rowCount =
+    3 + model.headerLines.length + model.details.length + model.lines.length +
+    model.totals.length + model.payments.length + (model.promo ? 2 : 0) +
+    (model.status ? 1 : 0) + (model.footer ? 3 : 0) + 6;
+  const pageH = margin * 2 + rowCount * lineH;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [pageW, pageH], margin });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const center = (s, opts = {}) => doc.text(s, { width: inner, align: "center", ...opts });
+    const pair = (k, v) => {
+      const y = doc.y;
+      doc.text(k, margin, y, { width: inner * 0.6 });
+      const yAfter = doc.y;
+      doc.text(v, margin, y, { width: inner, align: "right" });
+      doc.y = Math.max(yAfter, doc.y);
+    };
+    const rule = () => {
+      doc.moveDown(0.2);
+      doc.moveTo(margin, doc.y).lineTo(pageW - margin, doc.y).dash(1, { space: 1 }).stroke().undash();
+      doc.moveDown(0.3);
+    };
+
+    doc.font("Helvetica-Bold").fontSize(fontSize + 3);
+    if (model.businessName) center(model.businessName);
+    doc.font("Helvetica").fontSize(fontSize);
+    model.headerLines.forEach((l) => center(l));
+    if (model.status) {
+      doc.font("Helvetica-Bold");
+      center(`*** ${model.status} ***`);
+      doc.font("Helvetica");
+    }
+    rule();
+    model.details.forEach(([k, v]) => pair(k, v));
+    rule();
+    model.lines.forEach((l) => pair(l.label, l.amount));
+    rule();
+    model.totals.forEach(([k, v]) => {
+      doc.font(k === "TOTAL" ? "Helvetica-Bold" : "Helvetica");
+      pair(k, v);
+    });
+    doc.font("Helvetica");
+    if (model.payments.length) {
+      rule();
+      model.payments.forEach(([k, v]) => pair(k, v));
+    }
+    if (model.promo) {
+      doc.moveDown(0.4).font("Helvetica-Bold");
+      center(model.promo);
+      doc.font("Helvetica");
+    }
+    if (model.footer) {
+      rule();
+      center(model.footer);
+    }
+    doc.end();
+  });
+}
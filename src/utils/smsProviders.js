@@ -0,0 +1,161 @@
+// src/utils/smsProviders.js
+// SMS provider adapters. Pick one with SMS_PROVIDER:
+//   console        (default) log the message; nothing leaves the machine
+//   file           append one JSON line per message to SMS_FILE_PATH
+//   africastalking Africa's Talking bulk SMS (AT_USERNAME "sandbox" uses
+//                  their sandbox)
+//   http           POST { to, message, from } as JSON to SMS_HTTP_URL
+// Every adapter has send({ to, message }) -> { messageId, status, raw }
+// and throws an error with .retryable = false when retrying can't help.
+import { appendFile } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+
+const cfg = () => ({
+  provider: (process.env.SMS_PROVIDER || "console").toLowerCase(),
+  senderId: process.env.SMS_SENDER_ID || "",
+  filePath: process.env.SMS_FILE_PATH || "sms-outbox.log",
+  atUsername: process.env.AT_USERNAME || "sandbox",
+  atApiKey: process.env.AT_API_KEY || "",
+  httpUrl: process.env.SMS_HTTP_URL || "",
+  httpToken: process.env.SMS_HTTP_TOKEN || "",
+  // Shared secret in the delivery-report URL (providers can't send auth headers)
+  callbackToken: process.env.SMS_CALLBACK_TOKEN || "",
+});
+
+function smsError(message, { retryable = true } = {}) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+const consoleProvider = {
+  name: "console",
+  async send({ to, message }) {
+    const messageId = randomUUID();
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { messageId, status: "SENT", raw: null };
+  },
+};
+
+const fileProvider = {
+  name: "file",
+  async send({ to, message }) {
+    const messageId = randomUUID();
+    const line = JSON.stringify({ id: messageId, to, message, at: new Date().toISOString() });
+    await appendFile(cfg().filePath, `${line}\n`);
+    return { messageId, status: "SENT", raw: null };
+  },
+};
+
+// https://developers.africastalking.com/docs/sms/sending/bulk
+// statusCode 100-102 = accepted; 401-409 are about the number or the
+// account (no point retrying); 500+ are on their side
+const africasTalkingProvider = {
+  name: "africastalking",
+  async send({ to, message }) {
+    const { atUsername, atApiKey, senderId } = cfg();
+    if (!atApiKey) throw smsError("AT_API_KEY is not configured.", { retryable: false });
+    const host = atUsername === "sandbox" ? "api.sandbox.africastalking.com" : "api.africastalking.com";
+
+    const form = new URLSearchParams({ username: atUsername, to: `+${to}`, message });
+    if (senderId) form.set("from", senderId);
+    const res = await fetch(`https://${host}/version1/messaging`, {
+      method: "POST",
+      headers: {
+        apiKey: atApiKey,
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: form.toString(),
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok || !body) {
+      throw smsError(`Africa's Talking returned ${res.status}.`, { retryable: res.status >= 500 || res.status === 429 });
+    }
+
+    const r = body.SMSMessageData?.Recipients?.[0];
+    if (!r) throw smsError(body.SMSMessageData?.Message || "Message was not accepted.", { retryable: false });
+    const code = Number(r.statusCode);
+    if (code >= 100 && code <= 102) return { messageId: r.messageId, status: "SENT", raw: r };
+    throw smsError(`Africa's Talking: ${r.status}`, { retryable: code >= 500 });
+  },
+};
+
+// Any gateway that takes a JSON POST; an id / message_id / messageId in
+// the reply is kept for delivery reports
+const httpProvider = {
+  name: "http",
+  async send({ to, message }) {
+    const { httpUrl, httpToken, senderId } = cfg();
+    if (!httpUrl) throw smsError("SMS_HTTP_URL is not configured.", { retryable: false });
+
+    const headers = { "Content-Type": "application/json", Accept: "application/json" };
+    if (httpToken) headers.Authorization = `Bearer ${httpToken}`;
+    const res = await fetch(httpUrl, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ to, message, from: senderId || undefined }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw smsError(body.error || body.message || `SMS gateway returned ${res.status}.`, {
+        retryable: res.status >= 500 || res.status === 429,
+      });
+    }
+    return { messageId: body.id ?? body.message_id ?? body.messageId ?? null, status: "SENT", raw: body };
+  },
+};
+
+const PROVIDERS = {
+  console: consoleProvider,
+  file: fileProvider,
+  africastalking: africasTalkingProvider,
+  http: httpProvider,
+};
+
+export const SMS_PROVIDERS = Object.keys(PROVIDERS);
+
+/** The adapter picked by SMS_PROVIDER (unknown names fall back to console) */
+export function smsProvider() {
+  const { provider } = cfg();
+  if (!PROVIDERS[provider]) {
+    console.warn(`⚠️ Unknown SMS_PROVIDER "${provider}", using console.`);
+    return consoleProvider;
+  }
+  return PROVIDERS[provider];
+}
+
+// Providers that never leave the machine, so nothing real posts reports
+const LOCAL_PROVIDERS = ["console", "file"];
+
+/**
+ * Fails closed: without SMS_CALLBACK_TOKEN, delivery reports are only
+ * accepted (on any path token) while SMS_PROVIDER is console or file.
+ */
+export function isValidDeliveryToken(token) {
+  const { callbackToken, provider } = cfg();
+  if (!callbackToken) return LOCAL_PROVIDERS.includes(provider);
+  return token === callbackToken;
+}
+
+/**
+ * Map a delivery report to { messageId, status, providerStatus }
+ * (status DELIVERED | FAILED | null while still in flight). Handles both:
+ *   africastalking: form post { id, status: Success|Failed|Rejected|Buffered|Sent, failureReason? }
+ *   http:           JSON { id | message_id, status: delivered|failed|... }
+ */
+export function parseDeliveryReport(body) {
+  if (!body) return null;
+  const messageId = body.id ?? body.message_id ?? body.messageId;
+  if (!messageId) return null;
+  const raw = (body.status || "").toString();
+  const s = raw.toLowerCase();
+  let status = null;
+  if (["success", "delivered"].includes(s)) status = "DELIVERED";
+  else if (["failed", "rejected", "undelivered", "expired"].includes(s)) status = "FAILED";
+  return {
+    messageId: String(messageId),
+    status,
+    providerStatus: body.failureReason ? `${raw}: ${body.failureReason}` : raw || null,
+  };
+}
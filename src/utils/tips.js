@@ -0,0 +1,139 @@
+// src/utils/tips.js
+// Tips for the washers. Kept apart from the wash price, commission and
+// profit; a tip can go to one staff member or be split between several.
+import { pool } from "../db.js";
+import { PAYMENT_METHODS } from "./payments.js";
+import { notReversedSql } from "./washStatus.js";
+
+function tipError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/** Split an amount into n shares that add back up exactly (cents go to the first) */
+export function splitEvenly(amount, n) {
+  const cents = Math.round(Number(amount) * 100);
+  const base = Math.floor(cents / n);
+  return Array.from({ length: n }, (_, i) => (base + (i === 0 ? cents - base * n : 0)) / 100);
+}
+
+function normTip(t, n) {
+  const amount = round2(t?.amount);
+  if (!(amount > 0)) throw tipError(`Tip ${n}: amount must be greater than zero.`);
+  if (!t?.staff_id) throw tipError(`Tip ${n}: staff_id is required.`);
+  const method = (t?.method || "CASH").toString().trim().toUpperCase();
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw tipError(`Tip ${n}: method must be one of ${PAYMENT_METHODS.join(", ")}.`);
+  }
+  return {
+    staff_id: t.staff_id,
+    amount,
+    method,
+    reference: (t?.reference ?? "").toString().trim() || null,
+    direct: t?.direct === true,
+  };
+}
+
+/**
+ * Read tips from a request body. Either
+ *   tips: [{ staff_id, amount, method?, reference?, direct? }]
+ * or the shorthand
+ *   tip_amount, tip_staff_ids? (split evenly; defaults to the wash's crew),
+ *   tip_method?, tip_reference?, tip_direct?
+ */
+export function normTipList(body, defaultStaffIds = null) {
+  if (Array.isArray(body?.tips)) return body.tips.map((t, i) => normTip(t, i + 1));
+
+  if (body?.tip_amount == null || body.tip_amount === "" || Number(body.tip_amount) === 0) return [];
+  const staffIds = Array.isArray(body.tip_staff_ids) && body.tip_staff_ids.length
+    ? [...new Set(body.tip_staff_ids)]
+    : [defaultStaffIds].flat().filter(Boolean);
+  if (!staffIds.length) throw tipError("tip_staff_ids (or the wash's staff_id) is required for a tip.");
+  if (!(Number(body.tip_amount) > 0)) throw tipError("tip_amount must be greater than zero.");
+
+  return splitEvenly(body.tip_amount, staffIds.length).map((amount, i) =>
+    normTip(
+      {
+        staff_id: staffIds[i],
+        amount,
+        method: body.tip_method,
+        reference: body.tip_reference,
+        direct: body.tip_direct,
+      },
+      i + 1
+    )
+  );
+}
+
+/** Keep washes.tip_amount equal to the sum of its tip rows */
+export async function refreshTipTotal(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    UPDATE washes w
+    SET tip_amount = t.total
+    FROM (SELECT COALESCE(SUM(amount),0) AS total FROM wash_tips WHERE wash_id = $1::uuid) t
+    WHERE w.id = $1::uuid
+    RETURNING w.tip_amount
+    `,
+    [washId]
+  );
+  return Number(rows[0]?.tip_amount || 0);
+}
+
+export async function recordTips(washId, tips, userId, db = pool) {
+  const { rows: washRows } = await db.query(
+    "SELECT id, status FROM washes WHERE id = $1::uuid FOR UPDATE",
+    [washId]
+  );
+  const wash = washRows[0];
+  if (!wash) throw tipError("Wash record not found.", 404);
+  if (["VOIDED", "REFUNDED"].includes(wash.status)) {
+    throw tipError(`Cannot add a tip to a ${wash.status} wash.`, 409);
+  }
+
+  const saved = [];
+  for (const t of tips) {
+    try {
+      const { rows } = await db.query(
+        `
+        INSERT INTO wash_tips (wash_id, staff_id, amount, method, reference, direct, paid_at, created_by)
+        VALUES ($1::uuid, $2::uuid, $3, $4::payment_method, $5, $6, CASE WHEN $6 THEN now() END, $7::uuid)
+        RETURNING *
+        `,
+        [washId, t.staff_id, t.amount, t.method, t.reference, t.direct, userId || null]
+      );
+      saved.push(rows[0]);
+    } catch (err) {
+      if (err.code === "23503") throw tipError("Tip staff member not found.");
+      throw err;
+    }
+  }
+
+  const tip_amount = await refreshTipTotal(washId, db);
+  return { tips: saved, tip_amount };
+}
+
+export async function listTips(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT t.*, s.name AS staff_name
+    FROM wash_tips t
+    JOIN staff s ON s.id = t.staff_id
+    WHERE t.wash_id = $1::uuid
+    ORDER BY t.created_at, s.name
+    `,
+    [washId]
+  );
+  return rows;
+}
+
+/** SQL: tips still owed to staff (unpaid, wash not reversed); alias for wash_tips */
+export function tipsOwedSql(alias = "t") {
+  return `${alias}.paid_at IS NULL AND EXISTS (
+    SELECT 1 FROM washes tw WHERE tw.id = ${alias}.wash_id AND ${notReversedSql("tw")})`;
+}
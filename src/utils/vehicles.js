@@ -0,0 +1,109 @@
+// src/utils/vehicles.js
+// Vehicles by plate: the usual car type, make/colour and who owns the car.
+// Ownership changes close the open vehicle_ownership row and open a new
+// one, so the history of a plate is kept.
+import { pool } from "../db.js";
+import { normPlate } from "./normalize.js";
+
+function vehicleError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** The vehicle with this plate, or null (lock=true takes a row lock) */
+export async function findVehicle(plate, db = pool, { lock = false } = {}) {
+  const clean = normPlate(plate);
+  if (!clean) return null;
+  const { rows } = await db.query(
+    `SELECT * FROM vehicles WHERE plate = $1${lock ? " FOR UPDATE" : ""}`,
+    [clean]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Car type to use when the till leaves it out: the one on the vehicle,
+ * else the one the plate was washed as most often. null if unknown.
+ */
+export async function usualCarType(plate, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT COALESCE(
+      (SELECT car_type_id FROM vehicles WHERE plate = $1),
+      (SELECT car_type_id FROM washes WHERE vehicle_reg = $1
+        GROUP BY car_type_id ORDER BY COUNT(*) DESC, MAX(washed_at) DESC LIMIT 1)
+    ) AS car_type_id
+    `,
+    [normPlate(plate)]
+  );
+  return rows[0]?.car_type_id || null;
+}
+
+/**
+ * Point a vehicle at a new owner (customerId null = no known owner).
+ * Closes the current vehicle_ownership row and opens the next one.
+ * No-op when the owner doesn't change. Returns the updated vehicle.
+ */
+export async function transferVehicle({ vehicleId, customerId = null, note = null, userId = null }, db) {
+  const { rows } = await db.query("SELECT * FROM vehicles WHERE id = $1::uuid FOR UPDATE", [vehicleId]);
+  const vehicle = rows[0];
+  if (!vehicle) throw vehicleError("Vehicle not found.", 404);
+  if ((vehicle.customer_id || null) === (customerId || null)) return vehicle;
+
+  if (customerId) {
+    const { rows: c } = await db.query("SELECT id FROM customers WHERE id = $1::uuid", [customerId]);
+    if (!c[0]) throw vehicleError("Customer not found.", 404);
+  }
+
+  await db.query(
+    "UPDATE vehicle_ownership SET to_at = now() WHERE vehicle_id = $1::uuid AND to_at IS NULL",
+    [vehicleId]
+  );
+  if (customerId) {
+    await db.query(
+      `INSERT INTO vehicle_ownership (vehicle_id, customer_id, note, changed_by)
+       VALUES ($1::uuid, $2::uuid, $3, $4::uuid)`,
+      [vehicleId, customerId, note, userId]
+    );
+  }
+  const { rows: updated } = await db.query(
+    "UPDATE vehicles SET customer_id = $2::uuid, updated_at = now() WHERE id = $1::uuid RETURNING *",
+    [vehicleId, customerId]
+  );
+  return updated[0];
+}
+
+/**
+ * Find or create the vehicle for a wash. A new plate gets the customer as
+ * its owner; a known plate keeps its car type and owner unless they are
+ * blank, and takes make/model/colour when given. A different customer
+ * bringing the car (a driver, a fleet) does not change the owner: that
+ * is an explicit transfer.
+ */
+export async function ensureVehicle(
+  { plate, customerId = null, carTypeId = null, make = null, model = null, colour = null, userId = null },
+  db
+) {
+  const clean = normPlate(plate);
+  if (!clean) return null;
+
+  await db.query(
+    `
+    INSERT INTO vehicles (plate, car_type_id, make, model, colour)
+    VALUES ($1, $2::uuid, $3, $4, $5)
+    ON CONFLICT (plate) DO UPDATE
+      SET car_type_id = COALESCE(vehicles.car_type_id, EXCLUDED.car_type_id),
+          make = COALESCE(EXCLUDED.make, vehicles.make),
+          model = COALESCE(EXCLUDED.model, vehicles.model),
+          colour = COALESCE(EXCLUDED.colour, vehicles.colour),
+          updated_at = now()
+    `,
+    [clean, carTypeId, make || null, model || null, colour || null]
+  );
+  const vehicle = await findVehicle(clean, db, { lock: true });
+  if (customerId && !vehicle.customer_id) {
+    return transferVehicle({ vehicleId: vehicle.id, customerId, note: "First seen at the till", userId }, db);
+  }
+  return vehicle;
+}
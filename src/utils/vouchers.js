@@ -0,0 +1,157 @@
+// src/utils/vouchers.js
+// Discount codes redeemed at the till. checkVoucher() validates a code for
+// one ticket and works out the discount; redeemVoucher() records its use
+// once the wash row exists. Both take the executor (transaction client).
+import { pool } from "../db.js";
+import { notReversedSql } from "./washStatus.js";
+
+export const VOUCHER_KINDS = ["PERCENT", "AMOUNT", "FREE_SERVICE"];
+
+function voucherError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+const isNum = (v) => v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v));
+
+export function normVoucherCode(code) {
+  return (code ?? "").toString().trim().toUpperCase().replace(/\s+/g, "");
+}
+
+/** Returns an error message, or null when the voucher body is usable */
+export function validateVoucher(v) {
+  if (!/^[A-Z0-9-]{3,32}$/.test(normVoucherCode(v.code))) {
+    return "code must be 3-32 letters, digits or dashes.";
+  }
+  if (!VOUCHER_KINDS.includes(v.kind)) return `kind must be one of ${VOUCHER_KINDS.join(", ")}.`;
+  if (v.kind === "PERCENT" && !(isNum(v.value) && v.value > 0 && v.value <= 100)) {
+    return "value must be a percentage between 0 and 100.";
+  }
+  if (v.kind === "AMOUNT" && !(isNum(v.value) && v.value > 0)) {
+    return "value must be an amount greater than zero.";
+  }
+  for (const f of ["service_ids", "car_type_ids"]) {
+    if (v[f] != null && !(Array.isArray(v[f]) && v[f].length)) {
+      return `${f} must be a non-empty list (or null for all).`;
+    }
+  }
+  for (const f of ["max_uses", "max_uses_per_customer"]) {
+    if (v[f] != null && !(Number.isInteger(Number(v[f])) && Number(v[f]) > 0)) {
+      return `${f} must be a positive whole number.`;
+    }
+  }
+  if (v.min_subtotal != null && !(isNum(v.min_subtotal) && v.min_subtotal >= 0)) {
+    return "min_subtotal must be zero or more.";
+  }
+  for (const f of ["starts_at", "expires_at"]) {
+    if (v[f] != null && Number.isNaN(new Date(v[f]).getTime())) return `${f} is not a valid date/time.`;
+  }
+  if (v.starts_at && v.expires_at && new Date(v.expires_at) <= new Date(v.starts_at)) {
+    return "expires_at must be after starts_at.";
+  }
+  return null;
+}
+
+async function countRedemptions(voucherId, { customerId = null, vehicleReg = null } = {}, db) {
+  const byCustomer = customerId || vehicleReg;
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS c
+    FROM voucher_redemptions r
+    JOIN washes w ON w.id = r.wash_id
+    WHERE r.voucher_id = $1::uuid
+      AND ${notReversedSql("w")}
+      ${byCustomer ? "AND (r.customer_id = $2::uuid OR r.vehicle_reg = $3)" : ""}
+    `,
+    byCustomer ? [voucherId, customerId, vehicleReg] : [voucherId]
+  );
+  return rows[0]?.c || 0;
+}
+
+/**
+ * Validate a code for one ticket and price its discount.
+ * ctx: { code, customerId, vehicleReg, carTypeId, lines, total, washedAt, dryRun, db }
+ *   lines: priced ticket lines; total: what is left after promotions
+ * Returns { voucher, amount, reason } or throws a 4xx error
+ * for a code that can't be used. Outside a dry run the voucher row
+ * stays locked until commit, so limits hold across tills.
+ */
+export async function checkVoucher(ctx) {
+  const db = ctx.db || pool;
+  const code = normVoucherCode(ctx.code);
+  const { rows } = await db.query(
+    `SELECT * FROM vouchers WHERE upper(code) = $1${ctx.dryRun ? "" : " FOR UPDATE"}`,
+    [code]
+  );
+  const v = rows[0];
+  if (!v) throw voucherError(`Voucher ${code} was not found.`, 404);
+  if (!v.is_active) throw voucherError(`Voucher ${code} is no longer active.`, 409);
+
+  const at = ctx.washedAt ? new Date(ctx.washedAt) : new Date();
+  if (v.starts_at && at < new Date(v.starts_at)) throw voucherError(`Voucher ${code} is not valid yet.`, 409);
+  if (v.expires_at && at >= new Date(v.expires_at)) throw voucherError(`Voucher ${code} has expired.`, 409);
+
+  if (v.car_type_ids && !v.car_type_ids.includes(ctx.carTypeId)) {
+    throw voucherError(`Voucher ${code} is not valid for this car type.`, 409);
+  }
+  const eligible = ctx.lines.filter(
+    (l) => l.service_id && (!v.service_ids || v.service_ids.includes(l.service_id))
+  );
+  if (v.service_ids && !eligible.length) {
+    throw voucherError(`Voucher ${code} is not valid for these services.`, 409);
+  }
+  const subtotal = round2(ctx.lines.reduce((a, l) => a + Number(l.unit_price), 0));
+  if (isNum(v.min_subtotal) && subtotal < Number(v.min_subtotal)) {
+    throw voucherError(`Voucher ${code} needs a ticket of at least ${Number(v.min_subtotal)}.`, 409);
+  }
+
+  if (v.max_uses && (await countRedemptions(v.id, {}, db)) >= v.max_uses) {
+    throw voucherError(`Voucher ${code} has been fully redeemed.`, 409);
+  }
+  if (v.max_uses_per_customer) {
+    const used = await countRedemptions(
+      v.id,
+      { customerId: ctx.customerId, vehicleReg: ctx.vehicleReg },
+      db
+    );
+    if (used >= v.max_uses_per_customer) {
+      throw voucherError(`Voucher ${code} was already used by this customer.`, 409);
+    }
+  }
+
+  // Discount on the eligible lines (whole ticket when unrestricted),
+  // never more than what is left to pay after promotions
+  const base = v.service_ids ? round2(eligible.reduce((a, l) => a + Number(l.unit_price), 0)) : subtotal;
+  let raw;
+  if (v.kind === "PERCENT") raw = round2((base * Number(v.value)) / 100);
+  else if (v.kind === "AMOUNT") raw = Math.min(round2(v.value), base);
+  else raw = Math.max(...eligible.map((l) => Number(l.unit_price)), 0);
+  const amount = Math.min(raw, round2(ctx.total));
+
+  return {
+    voucher: v,
+    amount,
+    reason:
+      amount < raw
+        ? `Voucher ${code}: ${amount} off (capped at the balance after promotions).`
+        : `Voucher ${code}: ${amount} off.`,
+  };
+}
+
+/** Record a redemption once the wash exists */
+export async function redeemVoucher({ voucherId, washId, customerId, vehicleReg, amount, userId }, db = pool) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO voucher_redemptions (voucher_id, wash_id, customer_id, vehicle_reg, amount, redeemed_by)
+    VALUES ($1::uuid, $2::uuid, $3::uuid, $4, $5, $6::uuid)
+    RETURNING *
+    `,
+    [voucherId, washId, customerId || null, vehicleReg || null, amount, userId || null]
+  );
+  return rows[0];
+}
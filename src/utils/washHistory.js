@@ -0,0 +1,141 @@
+// src/utils/washHistory.js
+// Versioned change history for washes: who changed what, when and why.
+// Call recordWashHistory() inside the same transaction as the change.
+import { pool } from "../db.js";
+
+// Header fields worth tracking (timestamps that only follow status are left out)
+export const HISTORY_FIELDS = [
+  "service_id",
+  "car_type_id",
+  "staff_id",
+  "customer_id",
+  "vehicle_reg",
+  "washed_at",
+  "subtotal",
+  "unit_price",
+  "commission_pct",
+  "commission_amount",
+  "profit_amount",
+  "tip_amount",
+  "is_free",
+  "promo_id",
+  "status",
+  "bay_no",
+  "payment_status",
+  "receipt_no",
+];
+
+const NUMERIC_FIELDS = new Set([
+  "subtotal",
+  "unit_price",
+  "commission_pct",
+  "commission_amount",
+  "profit_amount",
+  "tip_amount",
+]);
+
+function normValue(field, v) {
+  if (v === undefined || v === null) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (NUMERIC_FIELDS.has(field)) return Number(v);
+  return v;
+}
+
+// Lines compared as "name @ price" so a diff reads like the ticket
+function itemsSummary(items) {
+  if (!Array.isArray(items)) return null;
+  return items.map((i) => `${i.name || i.service_id || i.addon_id} @ ${Number(i.unit_price)}`);
+}
+
+// Washers compared as "name share%"
+function crewSummary(crew) {
+  if (!Array.isArray(crew)) return null;
+  return crew.map((m) => `${m.staff_name || m.staff_id} ${Number(m.share_pct)}%`);
+}
+
+// Tenders compared as "METHOD amount (reference)"
+function paymentsSummary(payments) {
+  if (!Array.isArray(payments)) return null;
+  return payments
+    .map((p) => `${p.method} ${Number(p.amount).toFixed(2)}${p.reference ? ` (${p.reference})` : ""}`)
+    .sort();
+}
+
+/** { field: { from, to } } for every tracked field that differs */
+export function diffWash(before, after) {
+  const changes = {};
+  for (const f of HISTORY_FIELDS) {
+    const from = normValue(f, before?.[f]);
+    const to = normValue(f, after?.[f]);
+    if (before && JSON.stringify(from) === JSON.stringify(to)) continue;
+    if (!before && to === null) continue;
+    changes[f] = { from, to };
+  }
+  const fromItems = itemsSummary(before?.items);
+  const toItems = itemsSummary(after?.items);
+  if (toItems && JSON.stringify(fromItems) !== JSON.stringify(toItems)) {
+    changes.items = { from: fromItems, to: toItems };
+  }
+  const fromCrew = crewSummary(before?.crew);
+  const toCrew = crewSummary(after?.crew);
+  if (toCrew && JSON.stringify(fromCrew) !== JSON.stringify(toCrew)) {
+    changes.crew = { from: fromCrew, to: toCrew };
+  }
+  const fromPayments = paymentsSummary(before?.payments);
+  const toPayments = paymentsSummary(after?.payments);
+  if (toPayments && JSON.stringify(fromPayments) !== JSON.stringify(toPayments)) {
+    changes.payments = { from: fromPayments, to: toPayments };
+  }
+  return changes;
+}
+
+function snapshotOf(wash) {
+  if (!wash) return null;
+  const { promo_trace, payments, ...rest } = wash;
+  return rest;
+}
+
+/**
+ * Append a version for a wash. Returns the row, or null for an edit or
+ * status call that changed nothing tracked. The caller should hold the wash row lock.
+ */
+export async function recordWashHistory(
+  { washId, action, before = null, after, userId = null, reason = null },
+  db = pool
+) {
+  const changes = diffWash(before, after);
+  if (["UPDATE", "STATUS"].includes(action) && !Object.keys(changes).length) return null;
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO wash_history (wash_id, version, action, changes, snapshot, reason, changed_by)
+    SELECT $1::uuid, COALESCE(MAX(version), 0) + 1, $2, $3::jsonb, $4::jsonb, $5, $6::uuid
+    FROM wash_history WHERE wash_id = $1::uuid
+    RETURNING *
+    `,
+    [
+      washId,
+      action,
+      JSON.stringify(changes),
+      JSON.stringify(snapshotOf(after)),
+      reason || null,
+      userId || null,
+    ]
+  );
+  return rows[0];
+}
+
+export async function listWashHistory(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT h.id, h.version, h.action, h.changes, h.reason,
+           h.changed_at, h.changed_by, u.name AS changed_by_name
+    FROM wash_history h
+    LEFT JOIN users u ON u.id = h.changed_by
+    WHERE h.wash_id = $1::uuid
+    ORDER BY h.version
+    `,
+    [washId]
+  );
+  return rows;
+}
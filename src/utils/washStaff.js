@@ -0,0 +1,117 @@
+// src/utils/washStaff.js
+// The crew on a wash: one or more washers sharing its commission, either
+// equally or by set percentages. washes.staff_id keeps the lead washer.
+import { pool } from "../db.js";
+import { splitEvenly } from "./tips.js";
+
+function crewError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/**
+ * Read the crew from a request body. Either
+ *   staff: [{ staff_id, share_pct? }] (or plain ids)
+ *   staff_ids: [...]                    (equal split)
+ *   staff_id                            (single washer, legacy)
+ * Shares are all given or all left out (equal split) and must add up
+ * to 100. The first washer is the lead. Returns null when none is sent.
+ */
+export function normCrew(body) {
+  let list = null;
+  if (Array.isArray(body?.staff) && body.staff.length) {
+    list = body.staff.map((s) => (typeof s === "object" && s !== null ? s : { staff_id: s }));
+  } else if (Array.isArray(body?.staff_ids) && body.staff_ids.length) {
+    list = body.staff_ids.map((id) => ({ staff_id: id }));
+  } else if (body?.staff_id) {
+    list = [{ staff_id: body.staff_id }];
+  }
+  if (!list) return null;
+
+  list.forEach((s, i) => {
+    if (!s.staff_id) throw crewError(`Staff ${i + 1}: staff_id is required.`);
+  });
+  if (new Set(list.map((s) => s.staff_id)).size !== list.length) {
+    throw crewError("A washer can only be listed once per wash.");
+  }
+
+  const given = list.filter((s) => s.share_pct != null && s.share_pct !== "");
+  let shares;
+  if (!given.length) {
+    shares = splitEvenly(100, list.length);
+  } else if (given.length !== list.length) {
+    throw crewError("Give share_pct for every washer or for none (equal split).");
+  } else {
+    shares = list.map((s) => round2(s.share_pct));
+    if (shares.some((p) => !(p > 0 && p <= 100))) {
+      throw crewError("share_pct must be greater than 0 and at most 100.");
+    }
+    if (Math.abs(shares.reduce((a, p) => a + p, 0) - 100) > 0.001) {
+      throw crewError("Commission shares must add up to 100.");
+    }
+  }
+
+  return list.map((s, i) => ({ staff_id: s.staff_id, share_pct: shares[i], is_lead: i === 0 }));
+}
+
+/** Each washer's cut of the wash commission; rounding cents go to the lead */
+export function splitCommission(commissionAmount, crew) {
+  const total = round2(commissionAmount || 0);
+  const cuts = crew.map((m) => round2((total * Number(m.share_pct)) / 100));
+  const lead = Math.max(crew.findIndex((m) => m.is_lead), 0);
+  cuts[lead] = round2(cuts[lead] + total - cuts.reduce((a, c) => a + c, 0));
+  return crew.map((m, i) => ({ ...m, commission_amount: cuts[i] }));
+}
+
+/** Replace the crew on a wash and split its commission between them */
+export async function saveWashStaff(washId, crew, commissionAmount, db = pool) {
+  await db.query("DELETE FROM wash_staff WHERE wash_id = $1::uuid", [washId]);
+  for (const m of splitCommission(commissionAmount, crew)) {
+    try {
+      await db.query(
+        `
+        INSERT INTO wash_staff (wash_id, staff_id, share_pct, commission_amount, is_lead)
+        VALUES ($1::uuid, $2::uuid, $3, $4, $5)
+        `,
+        [washId, m.staff_id, m.share_pct, m.commission_amount, m.is_lead]
+      );
+    } catch (err) {
+      if (err.code === "23503") throw crewError("Staff member not found.");
+      if (err.code === "22P02") throw crewError("Invalid staff_id.");
+      throw err;
+    }
+  }
+}
+
+/** Re-split after the wash commission changed, keeping the same crew and shares */
+export async function resplitCommission(washId, commissionAmount, db = pool) {
+  const { rows } = await db.query(
+    "SELECT staff_id, share_pct, is_lead FROM wash_staff WHERE wash_id = $1::uuid ORDER BY is_lead DESC, staff_id",
+    [washId]
+  );
+  for (const m of splitCommission(commissionAmount, rows)) {
+    await db.query(
+      "UPDATE wash_staff SET commission_amount = $3 WHERE wash_id = $1::uuid AND staff_id = $2::uuid",
+      [washId, m.staff_id, m.commission_amount]
+    );
+  }
+}
+
+export async function listWashStaff(washId, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT ws.staff_id, s.name AS staff_name, ws.share_pct, ws.commission_amount, ws.is_lead
+    FROM wash_staff ws
+    JOIN staff s ON s.id = ws.staff_id
+    WHERE ws.wash_id = $1::uuid
+    ORDER BY ws.is_lead DESC, s.name
+    `,
+    [washId]
+  );
+  return rows;
+}
@@ -0,0 +1,54 @@
+// src/utils/washStatus.js
+// Wash job lifecycle: QUEUED -> IN_PROGRESS -> DONE -> COLLECTED
+
+export const WASH_STATUSES = ["QUEUED", "IN_PROGRESS", "DONE", "COLLECTED"];
+
+// Terminal states set by the void / refund workflow (never via transitions)
+export const REVERSED_STATUSES = ["VOIDED", "REFUNDED"];
+
+export const ALL_STATUSES = [...WASH_STATUSES, ...REVERSED_STATUSES];
+
+// Only finished jobs earn commission / count as revenue & profit
+export const COUNTED_STATUSES = ["DONE", "COLLECTED"];
+
+// Allowed forward moves (plus stepping back one state to fix mistakes)
+const TRANSITIONS = {
+  QUEUED: ["IN_PROGRESS", "DONE"],
+  IN_PROGRESS: ["QUEUED", "DONE"],
+  DONE: ["IN_PROGRESS", "COLLECTED"],
+  COLLECTED: ["DONE"],
+};
+
+export function normStatus(s) {
+  const v = (s || "").toString().trim().toUpperCase();
+  return WASH_STATUSES.includes(v) ? v : null;
+}
+
+/** Parse "QUEUED,VOIDED" style filters; returns [] when nothing valid */
+export function parseStatusList(s) {
+  return (s || "")
+    .toString()
+    .split(",")
+    .map((v) => v.trim().toUpperCase())
+    .filter((v) => ALL_STATUSES.includes(v));
+}
+
+export function isReversed(status) {
+  return REVERSED_STATUSES.includes(status);
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/** SQL fragment restricting a washes alias to jobs that count for money */
+export function countedWashSql(alias = "w") {
+  const col = alias ? `${alias}.status` : "status";
+  return `${col} IN (${COUNTED_STATUSES.map((s) => `'${s}'`).join(",")})`;
+}
+
+/** SQL fragment excluding voided / refunded washes (promo & loyalty counts) */
+export function notReversedSql(alias = "w") {
+  const col = alias ? `${alias}.status` : "status";
+  return `${col} NOT IN (${REVERSED_STATUSES.map((s) => `'${s}'`).join(",")})`;
+}